@@ -0,0 +1,178 @@
+// public/js/account.js
+// Account controls: logout, signed-in devices, AI allowance, email
+// verification and password reset (including the links from account emails),
+// downloading your data and deleting the account.
+import { apiRequest, postPublic, isLoggedIn, logout, fromServerTime, download } from './api.js';
+import { signedOut } from './auth.js';
+import { openPanel, closePanel, el, showPanelError } from './panel.js';
+
+async function endSession({ allDevices = false } = {}) {
+    await logout({ allDevices }).catch(() => {});
+    closePanel();
+    signedOut();
+}
+
+function verificationStatus(user) {
+    if (user.email_verified_at) {
+        return el('p', { className: 'panel-muted' }, `${user.email} · verified`);
+    }
+
+    const resend = el('button', { className: 'action-btn', onclick: async () => {
+        resend.disabled = true;
+        try {
+            const { message } = await apiRequest('/api/email/resend-verification', { method: 'POST' });
+            resend.replaceWith(el('span', {}, message));
+        } catch (error) {
+            resend.disabled = false;
+            showPanelError(error);
+        }
+    } }, 'Resend verification email');
+
+    return el('p', { className: 'account-unverified' }, `${user.email} is not verified yet. `, resend);
+}
+
+function allowanceRow(label, { limit, used, remaining, resetsAt }) {
+    return el('div', { className: 'quiz-row' },
+        el('span', {}, label),
+        el('span', {}, limit === null ? `${used.toLocaleString()} tokens used · unlimited` : `${remaining.toLocaleString()} of ${limit.toLocaleString()} tokens left`),
+        el('span', { className: 'panel-muted' }, `resets ${new Date(resetsAt).toLocaleString()}`)
+    );
+}
+
+async function showAccount() {
+    const content = openPanel('Account');
+
+    try {
+        const [user, { sessions }, usage] = await Promise.all([
+            apiRequest(`/api/user/${localStorage.getItem('userId')}`),
+            apiRequest('/api/sessions'),
+            apiRequest('/api/usage')
+        ]);
+
+        content.append(
+            verificationStatus(user),
+            el('h3', {}, 'AI allowance'),
+            allowanceRow('Today', usage.daily),
+            allowanceRow('This month', usage.monthly),
+            el('h3', {}, 'Signed-in devices'),
+            sessions.map(session => el('div', { className: 'quiz-row' },
+                el('span', {}, `${session.device || 'Unknown device'}${session.current ? ' (this device)' : ''}`),
+                el('span', { className: 'panel-muted' }, `last active ${fromServerTime(session.last_used_at).toLocaleString()}`),
+                session.current
+                    ? el('button', { className: 'action-btn', onclick: () => endSession() }, 'Log out')
+                    : el('button', { className: 'action-btn', onclick: async () => {
+                        try {
+                            await apiRequest(`/api/sessions/${session.id}`, { method: 'DELETE' });
+                            showAccount();
+                        } catch (error) {
+                            showPanelError(error);
+                        }
+                    } }, 'Sign out')
+            )),
+            el('button', { className: 'auth-btn', onclick: () => endSession({ allDevices: true }) }, 'Log out all devices'),
+            el('h3', {}, 'Your data'),
+            el('div', { className: 'quiz-row' },
+                el('button', { className: 'action-btn', onclick: () => download('/api/account/export').catch(showPanelError) },
+                    el('i', { className: 'fas fa-download' }), ' Download my data'),
+                el('button', { className: 'action-btn', onclick: showDeleteAccount },
+                    el('i', { className: 'fas fa-user-slash' }), ' Delete account')
+            )
+        );
+    } catch (error) {
+        showPanelError(error);
+    }
+}
+
+function showDeleteAccount() {
+    const content = openPanel('Delete account');
+    const password = el('input', { type: 'password', required: true, placeholder: 'Your password' });
+
+    content.append(el('form', { className: 'auth-form', onsubmit: async (event) => {
+        event.preventDefault();
+        if (!confirm('Delete your account? This cannot be undone.')) return;
+
+        try {
+            const { message } = await apiRequest('/api/account', { method: 'DELETE', json: { password: password.value } });
+            signedOut();
+            content.replaceChildren(el('p', {}, message));
+        } catch (error) {
+            showPanelError(error);
+        }
+    } },
+        el('p', {}, 'This permanently deletes your chats, mood history, notes, documents, quizzes and flashcards. ' +
+            'Download your data first if you want to keep a copy.'),
+        password,
+        el('button', { className: 'auth-btn', type: 'submit' }, 'Delete my account')
+    ));
+}
+
+function showForgotPassword() {
+    document.getElementById('auth-modal').classList.add('hidden');
+    const content = openPanel('Forgot password');
+    const email = el('input', { type: 'email', required: true, placeholder: 'Email' });
+
+    content.append(el('form', { className: 'auth-form', onsubmit: async (event) => {
+        event.preventDefault();
+        try {
+            const { message } = await postPublic('/api/password/forgot', { email: email.value });
+            content.replaceChildren(el('p', {}, message));
+        } catch (error) {
+            showPanelError(error);
+        }
+    } },
+        el('p', {}, "Enter your account's email and we'll send you a link to choose a new password."),
+        email,
+        el('button', { className: 'auth-btn', type: 'submit' }, 'Send reset link')
+    ));
+}
+
+function showResetPassword(token) {
+    const content = openPanel('Choose a new password');
+    const password = el('input', { type: 'password', required: true, minLength: 8, placeholder: 'New password' });
+
+    content.append(el('form', { className: 'auth-form', onsubmit: async (event) => {
+        event.preventDefault();
+        try {
+            const { message } = await postPublic('/api/password/reset', { token, password: password.value });
+            signedOut();
+            content.replaceChildren(el('p', {}, message));
+        } catch (error) {
+            showPanelError(error);
+        }
+    } }, password, el('button', { className: 'auth-btn', type: 'submit' }, 'Update password')));
+}
+
+async function showVerifyEmail(token) {
+    const content = openPanel('Email verification');
+    try {
+        const { message } = await postPublic('/api/email/verify', { token });
+        content.append(el('p', {}, message));
+    } catch (error) {
+        showPanelError(error);
+    }
+}
+
+// Links in account emails open the app with ?verify= or ?reset=
+function handleEmailLink() {
+    const params = new URLSearchParams(window.location.search);
+    const verify = params.get('verify');
+    const reset = params.get('reset');
+    if (!verify && !reset) return;
+
+    history.replaceState(null, '', window.location.pathname);
+    if (verify) showVerifyEmail(verify);
+    else showResetPassword(reset);
+}
+
+document.getElementById('logout-btn').addEventListener('click', () => endSession());
+
+document.getElementById('user-avatar').addEventListener('click', () => {
+    if (isLoggedIn()) showAccount();
+});
+
+document.getElementById('forgot-password-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    showForgotPassword();
+});
+
+handleEmailLink();
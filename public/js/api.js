@@ -0,0 +1,141 @@
+// public/js/api.js
+// Authenticated JSON requests to the Study Buddy API.
+
+export function authHeaders() {
+    return { 'Authorization': `Bearer ${localStorage.getItem('token')}` };
+}
+
+export function isLoggedIn() {
+    return !!localStorage.getItem('token');
+}
+
+export function showLogin() {
+    document.getElementById('auth-modal')?.classList.remove('hidden');
+}
+
+// Keeps the tokens returned by /api/login, /api/signup and /api/token/refresh
+export function saveSession({ token, refreshToken, userId }) {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    if (userId !== undefined) localStorage.setItem('userId', userId);
+}
+
+export function clearSession() {
+    ['token', 'refreshToken', 'userId'].forEach(key => localStorage.removeItem(key));
+}
+
+// auth.js updates the header and the subject list follows the new session
+export function announceAuth(loggedIn) {
+    document.dispatchEvent(new CustomEvent('auth-change', { detail: { loggedIn } }));
+}
+
+// One refresh at a time: parallel requests that hit an expired token share it
+let refreshing = null;
+
+async function refreshAccessToken() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return false;
+
+    refreshing ??= fetch('/api/token/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+    })
+        .then(async (response) => {
+            if (!response.ok) return false;
+            saveSession(await response.json());
+            return true;
+        })
+        .catch(() => false)
+        .finally(() => { refreshing = null; });
+
+    return refreshing;
+}
+
+/**
+ * fetch() with the auth header. When the access token has expired it is
+ * refreshed once and the request retried; if that fails the session is
+ * cleared and the login form shown.
+ */
+export async function authFetch(url, { headers, ...options } = {}) {
+    const send = () => fetch(url, { ...options, headers: { ...authHeaders(), ...headers } });
+
+    let response = await send();
+    if (response.status === 401 && await refreshAccessToken()) {
+        response = await send();
+    }
+    if (response.status === 401) {
+        clearSession();
+        announceAuth(false);
+        showLogin();
+    }
+    return response;
+}
+
+/**
+ * authFetch() wrapper that sends `json` as the body and throws an Error
+ * carrying the server's message when the response is not ok.
+ */
+export async function apiRequest(url, { json, headers, ...options } = {}) {
+    const response = await authFetch(url, {
+        ...options,
+        headers: {
+            ...(json !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...headers
+        },
+        ...(json !== undefined ? { body: JSON.stringify(json) } : {})
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(data.error || `Request failed (${response.status})`);
+        error.status = response.status;
+        error.code = data.code;
+        error.retryAfter = data.retryAfter;
+        throw error;
+    }
+    return data;
+}
+
+// For the endpoints that don't need a session (login, signup, password reset...)
+export async function postPublic(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+    return data;
+}
+
+// Saves an authenticated response as a file, named by its Content-Disposition
+export async function download(url) {
+    const response = await authFetch(url);
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Download failed (${response.status})`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const [, filename = 'study-buddy-export'] = disposition.match(/filename="?([^";]+)"?/) || [];
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Ends this device's session on the server as well as in the browser
+export async function logout({ allDevices = false } = {}) {
+    try {
+        await fetch(allDevices ? '/api/logout-all' : '/api/logout', { method: 'POST', headers: authHeaders() });
+    } finally {
+        clearSession();
+    }
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+export function fromServerTime(value) {
+    return new Date(`${String(value).replace(' ', 'T')}Z`);
+}
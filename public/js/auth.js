@@ -0,0 +1,112 @@
+// public/js/auth.js
+// The login / register modal and the header's signed-in state. Signing in
+// or out announces an auth-change event so the rest of the page reloads.
+import { apiRequest, postPublic, isLoggedIn, showLogin, saveSession, clearSession, announceAuth } from './api.js';
+
+const modal = document.getElementById('auth-modal');
+const loginForm = document.getElementById('login-form');
+const registerForm = document.getElementById('register-form');
+const authButtons = document.getElementById('auth-buttons');
+const userProfile = document.getElementById('user-profile');
+const userAvatar = document.getElementById('user-avatar');
+
+function showTab(tab) {
+    modal.querySelectorAll('.auth-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    loginForm.classList.toggle('hidden', tab !== 'login');
+    registerForm.classList.toggle('hidden', tab !== 'register');
+    modal.querySelector('.auth-error')?.remove();
+}
+
+function openModal(tab) {
+    showTab(tab);
+    showLogin();
+    (tab === 'login' ? loginForm : registerForm).querySelector('input').focus();
+}
+
+function closeModal() {
+    modal.classList.add('hidden');
+}
+
+function showFormError(form, message) {
+    form.querySelector('.auth-error')?.remove();
+    const error = document.createElement('p');
+    error.className = 'auth-error';
+    error.textContent = message;
+    form.appendChild(error);
+}
+
+// Header avatar and logout button, or the login/sign-up buttons
+async function renderHeader() {
+    authButtons.classList.toggle('hidden', isLoggedIn());
+    userProfile.classList.toggle('hidden', !isLoggedIn());
+    if (!isLoggedIn()) return;
+
+    try {
+        const user = await apiRequest(`/api/user/${localStorage.getItem('userId')}`);
+        userAvatar.textContent = user.name.trim().charAt(0).toUpperCase() || 'U';
+        userAvatar.title = `${user.name} · account`;
+        if (user.avatar_color) userAvatar.style.background = user.avatar_color;
+    } catch (error) {
+        console.error('Profile error:', error);
+    }
+}
+
+export function signedOut() {
+    clearSession();
+    announceAuth(false);
+}
+
+async function submit(form, url, body) {
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+        const data = await postPublic(url, body);
+        saveSession(data);
+        form.reset();
+        closeModal();
+        announceAuth(true);
+
+        if (data.verificationSent === false) {
+            alert("We couldn't send your verification email. You can resend it from your account.");
+        }
+    } catch (error) {
+        showFormError(form, navigator.onLine ? error.message : "You're offline. Check your connection and try again.");
+    } finally {
+        button.disabled = false;
+    }
+}
+
+loginForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    submit(loginForm, '/api/login', {
+        email: document.getElementById('login-email').value.trim(),
+        password: document.getElementById('login-password').value
+    });
+});
+
+registerForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    submit(registerForm, '/api/signup', {
+        name: document.getElementById('register-name').value.trim(),
+        email: document.getElementById('register-email').value.trim(),
+        password: document.getElementById('register-password').value
+    });
+});
+
+modal.querySelectorAll('.auth-tab').forEach(button => {
+    button.addEventListener('click', () => showTab(button.dataset.tab));
+});
+modal.querySelector('.close-auth-modal').addEventListener('click', closeModal);
+modal.addEventListener('click', (event) => {
+    if (event.target === modal) closeModal();
+});
+
+document.getElementById('show-login').addEventListener('click', () => openModal('login'));
+document.getElementById('show-register').addEventListener('click', () => openModal('register'));
+
+document.addEventListener('auth-change', renderHeader);
+
+renderHeader();
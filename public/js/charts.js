@@ -0,0 +1,86 @@
+// public/js/charts.js
+// Minimal SVG charts for the progress dashboard (no charting library needed).
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WIDTH = 640;
+const HEIGHT = 160;
+const PADDING = 24;
+
+function svg(tag, attributes = {}, ...children) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    element.append(...children);
+    return element;
+}
+
+function frame(label) {
+    return svg('svg', { viewBox: `0 0 ${WIDTH} ${HEIGHT}`, role: 'img', 'aria-label': label, class: 'chart' });
+}
+
+function shortDate(day) {
+    return new Date(`${day}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+// First and last date under the x axis
+function axisLabels(chart, points) {
+    if (!points.length) return;
+    chart.append(
+        svg('text', { x: PADDING, y: HEIGHT - 4, class: 'chart-label' }, shortDate(points[0].date)),
+        svg('text', { x: WIDTH - PADDING, y: HEIGHT - 4, class: 'chart-label', 'text-anchor': 'end' },
+            shortDate(points[points.length - 1].date))
+    );
+}
+
+// Stacked bars: points are [{ date, values: { series: number } }]
+export function barChart(points, { label, colors = {}, unit = '' } = {}) {
+    const chart = frame(label);
+    const totals = points.map(point => Object.values(point.values).reduce((sum, value) => sum + value, 0));
+    const max = Math.max(1, ...totals);
+    const slot = (WIDTH - PADDING * 2) / Math.max(points.length, 1);
+    const plotHeight = HEIGHT - PADDING * 2;
+
+    points.forEach((point, i) => {
+        let top = HEIGHT - PADDING;
+        Object.entries(point.values).forEach(([series, value]) => {
+            if (!value) return;
+            const height = (value / max) * plotHeight;
+            top -= height;
+            chart.append(svg('rect', {
+                x: PADDING + i * slot + slot * 0.15,
+                y: top,
+                width: slot * 0.7,
+                height,
+                fill: colors[series] || 'var(--accent-color)'
+            }, svg('title', {}, `${shortDate(point.date)} · ${series}: ${value}${unit}`)));
+        });
+    });
+
+    chart.append(svg('text', { x: PADDING, y: 14, class: 'chart-label' }, `max ${Math.round(max)}${unit}`));
+    axisLabels(chart, points);
+    return chart;
+}
+
+// Line over a fixed range; null values leave gaps
+export function lineChart(points, { label, min = 0, max = 1, unit = '' } = {}) {
+    const chart = frame(label);
+    const step = (WIDTH - PADDING * 2) / Math.max(points.length - 1, 1);
+    const y = value => HEIGHT - PADDING - ((value - min) / (max - min)) * (HEIGHT - PADDING * 2);
+
+    chart.append(svg('line', { x1: PADDING, x2: WIDTH - PADDING, y1: y((min + max) / 2), y2: y((min + max) / 2), class: 'chart-midline' }));
+
+    let path = '';
+    points.forEach((point, i) => {
+        if (point.value === null) {
+            path += ' ';
+            return;
+        }
+        const x = PADDING + i * step;
+        path += `${path.endsWith(' ') || !path ? 'M' : 'L'}${x},${y(point.value)}`;
+        chart.append(svg('circle', { cx: x, cy: y(point.value), r: 3, class: 'chart-point' },
+            svg('title', {}, `${shortDate(point.date)}: ${point.value}${unit}`)));
+    });
+    chart.prepend(svg('path', { d: path.trim().replace(/\s+/g, ' '), class: 'chart-line' }));
+
+    axisLabels(chart, points);
+    return chart;
+}
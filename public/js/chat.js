@@ -0,0 +1,250 @@
+// public/js/chat.js
+// Sends chat messages to /api/chat in streaming mode and renders the
+// tutor's answer into its message bubble as tokens arrive.
+import { renderCitations } from './citations.js';
+import { renderMarkdown } from './markdown.js';
+import { authFetch, isLoggedIn, showLogin } from './api.js';
+import { queueMessage, pendingMessages } from './outbox.js';
+
+const chatMessages = document.getElementById('chat-messages');
+const chatInput = document.getElementById('chat-input');
+const sendButton = document.getElementById('send-button');
+const typingIndicator = document.getElementById('typing-indicator');
+const documentScope = document.getElementById('document-scope');
+
+// Name of the subject selected in the sidebar (rendered by subjects.js)
+export function currentSubject() {
+    const active = document.querySelector('#subject-list .active-subject a[data-subject]')
+        || document.querySelector('#subject-list a[data-subject]');
+    return active ? active.dataset.subject : null;
+}
+
+export function currentSubjectId() {
+    const active = document.querySelector('#subject-list .active-subject a[data-subject]')
+        || document.querySelector('#subject-list a[data-subject]');
+    return active ? Number(active.dataset.subjectId) : null;
+}
+
+// Time for today's messages; older ones (loaded from a thread) get the date too
+function formatTime(date = new Date()) {
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return time;
+    return `${date.toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })}, ${time}`;
+}
+
+export function createMessage(sender, text = '', sentAt = new Date()) {
+    const message = document.createElement('div');
+    message.className = `${sender}-message message`;
+
+    const header = document.createElement('div');
+    header.className = 'message-header';
+
+    const name = document.createElement('div');
+    name.className = 'message-sender';
+    name.textContent = { user: 'You', ai: 'Study Buddy', system: 'System' }[sender];
+
+    const time = document.createElement('div');
+    time.className = 'message-time';
+    time.textContent = formatTime(sentAt);
+
+    header.append(name, time);
+
+    const content = document.createElement('div');
+    content.className = 'message-content';
+
+    // Tutor answers are Markdown; everything else is shown exactly as typed
+    let body = content;
+    if (sender === 'ai') {
+        renderMarkdown(content, text);
+    } else {
+        body = document.createElement('p');
+        body.className = 'plain-text';
+        body.textContent = text;
+        content.appendChild(body);
+    }
+
+    message.append(header, content);
+    chatMessages.appendChild(message);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    return { element: message, body };
+}
+
+// Splits an SSE byte stream into { event, data } objects
+async function* readEvents(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            let data = '';
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+
+            if (data) yield { event, data: JSON.parse(data) };
+        }
+    }
+}
+
+export async function streamChat({ message, subject, documentId, conversationId, userId, clientMessageId }, { onToken, onCitations, onDone, onError }) {
+    const response = await authFetch('/api/chat', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'text/event-stream'
+        },
+        body: JSON.stringify({ userId, message, subject, documentId, conversationId, clientMessageId, stream: true })
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Request failed (${response.status})`);
+    }
+
+    for await (const { event, data } of readEvents(response.body)) {
+        if (event === 'token') onToken(data.content);
+        if (event === 'citations') onCitations?.(data.citations);
+        if (event === 'done') onDone(data);
+        if (event === 'error') onError(new Error(data.error));
+    }
+}
+
+// Shows the message (or its existing bubble) as waiting and stores it in the outbox
+async function queue(request, element = createMessage('user', request.message).element) {
+    const time = element.querySelector('.message-time');
+
+    try {
+        await queueMessage(request);
+        element.classList.add('queued');
+        time.textContent = 'Waiting to send';
+    } catch (error) {
+        console.error('Outbox error:', error);
+        element.classList.add('error');
+        time.textContent = "Couldn't keep this to send later";
+    }
+}
+
+async function sendMessage() {
+    const message = chatInput.value.trim();
+    if (!message) return;
+
+    if (!isLoggedIn()) {
+        showLogin();
+        return;
+    }
+
+    const request = {
+        message,
+        subject: currentSubject(),
+        documentId: documentScope?.value ? Number(documentScope.value) : undefined,
+        // The open thread (set by conversations.js); without one the server picks or starts one
+        conversationId: Number(chatMessages.dataset.conversationId) || undefined,
+        userId: localStorage.getItem('userId'),
+        // Lets the server recognise this message if the outbox has to send it again
+        clientMessageId: crypto.randomUUID()
+    };
+
+    chatInput.value = '';
+
+    // Offline, or behind messages that are still waiting: sync.js sends it in order later
+    const waiting = await pendingMessages(request.userId).catch(() => []);
+    if (!navigator.onLine || waiting.length) {
+        await queue(request);
+        return;
+    }
+
+    sendButton.disabled = true;
+    const sent = createMessage('user', message);
+    typingIndicator.classList.remove('hidden');
+
+    let bubble = null;
+    let citations = [];
+    let answer = '';
+    let renderQueued = false;
+
+    // Re-rendering the Markdown once per frame keeps long answers smooth
+    const renderAnswer = () => {
+        renderQueued = false;
+        renderMarkdown(bubble.body, answer);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    };
+
+    try {
+        await streamChat(request, {
+            onToken(content) {
+                if (!bubble) {
+                    typingIndicator.classList.add('hidden');
+                    bubble = createMessage('ai');
+                    bubble.element.classList.add('streaming');
+                }
+                answer += content;
+                if (!renderQueued) {
+                    renderQueued = true;
+                    requestAnimationFrame(renderAnswer);
+                }
+            },
+            onCitations(received) {
+                citations = received;
+            },
+            onDone({ messageId, conversationId, mood }) {
+                chatMessages.dataset.conversationId = conversationId;
+                document.dispatchEvent(new CustomEvent('conversation-activity', { detail: { conversationId } }));
+                if (mood) document.dispatchEvent(new CustomEvent('mood-intervention', { detail: mood }));
+
+                if (!bubble) return;
+                renderAnswer();
+                bubble.element.classList.remove('streaming');
+                bubble.element.dataset.messageId = messageId;
+                renderCitations(bubble.element, citations);
+
+                // Lets other features (flashcards, notes...) add actions to the message
+                document.dispatchEvent(new CustomEvent('ai-message', {
+                    detail: { element: bubble.element, messageId }
+                }));
+            },
+            onError(error) {
+                throw error;
+            }
+        });
+    } catch (error) {
+        console.error('Chat error:', error);
+
+        // fetch() rejects with a TypeError when the server can't be reached at all (even while
+        // navigator.onLine says otherwise). Before any answer arrived it is sent again later; if the
+        // server did get it, the clientMessageId makes the second send a no-op
+        if (error instanceof TypeError && !bubble) {
+            await queue(request, sent.element);
+            return;
+        }
+
+        const text = error instanceof TypeError
+            ? "Lost the connection to Study Buddy. Check your connection and try again."
+            : `Sorry, something went wrong: ${error.message}`;
+        createMessage('ai', text).element.classList.add('error');
+    } finally {
+        typingIndicator.classList.add('hidden');
+        bubble?.element.classList.remove('streaming');
+        sendButton.disabled = false;
+    }
+}
+
+sendButton.addEventListener('click', sendMessage);
+chatInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+        event.preventDefault();
+        sendMessage();
+    }
+});
@@ -0,0 +1,64 @@
+// public/js/citations.js
+// Renders the document references under an AI message. Clicking one shows
+// the cited page's text underneath.
+import { apiRequest } from './api.js';
+
+function fetchPage(documentId, pageNumber) {
+    return apiRequest(`/api/documents/${documentId}/pages/${pageNumber}`);
+}
+
+async function togglePassage(container, citation, link) {
+    const open = container.querySelector('.citation-passage');
+    const showing = open?.dataset.key === link.dataset.key;
+    open?.remove();
+    if (showing) return;
+
+    const passage = document.createElement('blockquote');
+    passage.className = 'citation-passage';
+    passage.dataset.key = link.dataset.key;
+    passage.textContent = 'Loading...';
+    container.appendChild(passage);
+
+    try {
+        const { chunks } = await fetchPage(citation.documentId, citation.pageNumber);
+        const cited = chunks.find(chunk => chunk.id === citation.chunkId) || chunks[0];
+        passage.textContent = cited ? cited.text : 'This page no longer has any text.';
+
+        if (cited) {
+            document.dispatchEvent(new CustomEvent('citation-passage', {
+                detail: { element: passage, chunkId: cited.id }
+            }));
+        }
+    } catch (error) {
+        passage.textContent = error.message;
+    }
+}
+
+export function renderCitations(messageElement, citations) {
+    if (!citations?.length) return;
+
+    messageElement.querySelector('.message-citations')?.remove();
+
+    const container = document.createElement('div');
+    container.className = 'message-citations';
+
+    const list = document.createElement('ol');
+    citations.forEach(citation => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'citation-link';
+        link.dataset.key = `${citation.documentId}:${citation.chunkId}`;
+        link.textContent = `[${citation.index}] ${citation.documentName}, p. ${citation.pageNumber}`;
+        link.addEventListener('click', (event) => {
+            event.preventDefault();
+            togglePassage(container, citation, link);
+        });
+
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+
+    container.appendChild(list);
+    messageElement.querySelector('.message-content').after(container);
+}
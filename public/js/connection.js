@@ -0,0 +1,55 @@
+// public/js/connection.js
+// The banner above the chat: shown while the browser is offline, while
+// queued messages are being sent, and while any are still waiting.
+import { isLoggedIn } from './api.js';
+import { pendingMessages } from './outbox.js';
+import { isSyncing, flushOutbox } from './sync.js';
+
+const banner = document.getElementById('connection-status');
+const icon = banner.querySelector('i');
+const text = document.getElementById('connection-text');
+const retry = document.getElementById('connection-retry');
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function show(iconClass, message, { canRetry = false } = {}) {
+    icon.className = `fas ${iconClass}`;
+    text.textContent = message;
+    retry.classList.toggle('hidden', !canRetry);
+    banner.classList.remove('hidden');
+}
+
+let latest = 0;
+
+async function update() {
+    // Only the newest update may draw, however the outbox reads finish
+    const run = ++latest;
+    const pending = isLoggedIn()
+        ? (await pendingMessages(localStorage.getItem('userId')).catch(() => [])).length
+        : 0;
+    if (run !== latest) return;
+
+    banner.classList.toggle('syncing', navigator.onLine && isSyncing());
+
+    if (!navigator.onLine) {
+        show('fa-wifi', "You're offline. Saved chats, notes and flashcards are still here" +
+            (pending ? `; ${plural(pending, 'message')} will be sent when you reconnect.` : ', and messages you send will wait until you reconnect.'));
+    } else if (isSyncing()) {
+        show('fa-sync-alt fa-spin', `Sending ${plural(pending, 'queued message')}...`);
+    } else if (pending) {
+        show('fa-clock', `${plural(pending, 'message')} waiting to send.`, { canRetry: true });
+    } else {
+        banner.classList.add('hidden');
+    }
+}
+
+retry.addEventListener('click', flushOutbox);
+
+window.addEventListener('online', update);
+window.addEventListener('offline', update);
+document.addEventListener('outbox-change', update);
+document.addEventListener('auth-change', update);
+
+update();
@@ -0,0 +1,238 @@
+// public/js/conversations.js
+// Conversation threads: the sidebar thread list for the current subject,
+// loading a thread into the chat, and forking a thread from a message.
+import { apiRequest, isLoggedIn, showLogin, fromServerTime } from './api.js';
+import { currentSubject, createMessage } from './chat.js';
+import { renderCitations } from './citations.js';
+import { openPanel, el, showPanelError } from './panel.js';
+
+const chatMessages = document.getElementById('chat-messages');
+const conversationList = document.getElementById('conversation-list');
+
+function openConversationId() {
+    return Number(chatMessages.dataset.conversationId) || null;
+}
+
+function showWelcome() {
+    chatMessages.replaceChildren();
+    createMessage('ai', `Hello! I'm your AI Study Buddy for ${currentSubject()}. I can help explain concepts, ` +
+        'solve problems, and quiz you on key topics. What would you like to learn about today?');
+}
+
+function addMessageAction(element, button) {
+    let actions = element.querySelector('.message-actions');
+    if (!actions) {
+        actions = el('div', { className: 'message-actions' });
+        element.appendChild(actions);
+    }
+    actions.appendChild(button);
+}
+
+function addForkButton(element, messageId) {
+    const button = el('button', { className: 'action-btn', title: 'Start a new thread from here', onclick: async () => {
+        const conversationId = openConversationId();
+        if (!conversationId) return;
+
+        try {
+            const { conversation } = await apiRequest(`/api/conversations/${conversationId}/fork`, {
+                method: 'POST',
+                json: { messageId }
+            });
+            await openConversation(conversation.id);
+        } catch (error) {
+            alert(error.message);
+        }
+    } });
+    button.innerHTML = '<i class="fas fa-code-branch"></i> Fork';
+    addMessageAction(element, button);
+}
+
+export async function openConversation(id) {
+    const { messages } = await apiRequest(`/api/conversations/${id}`);
+    chatMessages.dataset.conversationId = id;
+
+    if (!messages.length) {
+        showWelcome();
+    } else {
+        chatMessages.replaceChildren();
+        messages.forEach(message => {
+            const { element } = createMessage(message.sender, message.text, fromServerTime(message.timestamp));
+            element.dataset.messageId = message.id;
+
+            if (message.sender === 'ai') {
+                renderCitations(element, message.citations);
+                // Same hook live answers get, so flashcards, forking and saving work on old messages too
+                document.dispatchEvent(new CustomEvent('ai-message', {
+                    detail: { element, messageId: message.id, saved: !!message.is_saved }
+                }));
+            } else if (message.sender === 'user') {
+                addForkButton(element, message.id);
+            }
+        });
+    }
+
+    await refreshConversations();
+}
+
+// Opens a thread and scrolls to one of its messages, e.g. from a search result
+export async function showMessage(conversationId, messageId) {
+    await openConversation(conversationId);
+
+    const message = chatMessages.querySelector(`[data-message-id="${messageId}"]`);
+    if (!message) return;
+
+    message.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    message.classList.add('message-flash');
+    message.addEventListener('animationend', () => message.classList.remove('message-flash'), { once: true });
+}
+
+async function startConversation() {
+    if (!isLoggedIn()) return showLogin();
+
+    try {
+        const { conversation } = await apiRequest('/api/conversations', {
+            method: 'POST',
+            json: { subject: currentSubject() }
+        });
+        await openConversation(conversation.id);
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+function iconButton(icon, title, onclick) {
+    const button = el('button', { className: 'document-action', title, onclick: async (event) => {
+        event.stopPropagation();
+        try {
+            await onclick();
+        } catch (error) {
+            alert(error.message);
+        }
+    } });
+    button.innerHTML = `<i class="fas fa-${icon}"></i>`;
+    return button;
+}
+
+function renderConversation(conversation) {
+    const update = (json) => apiRequest(`/api/conversations/${conversation.id}`, { method: 'PATCH', json });
+
+    return el('li', {
+        className: `document-item conversation-item${conversation.id === openConversationId() ? ' active-conversation' : ''}`,
+        title: `${conversation.message_count} messages · last active ${fromServerTime(conversation.updated_at).toLocaleString()}`,
+        onclick: () => openConversation(conversation.id).catch(error => alert(error.message))
+    },
+        el('span', { className: 'document-name' },
+            conversation.forked_from_message_id ? el('i', { className: 'fas fa-code-branch' }) : null,
+            ` ${conversation.title}`
+        ),
+        iconButton('pen', 'Rename', async () => {
+            const title = prompt('Rename thread', conversation.title);
+            if (!title || title.trim() === conversation.title) return;
+            await update({ title: title.trim() });
+            await refreshConversations();
+        }),
+        iconButton('box-archive', 'Archive', async () => {
+            await update({ archived: true });
+            if (conversation.id === openConversationId()) await openLatestConversation();
+            else await refreshConversations();
+        }),
+        iconButton('trash-alt', 'Delete', async () => {
+            if (!confirm(`Delete "${conversation.title}" and all of its messages?`)) return;
+            await apiRequest(`/api/conversations/${conversation.id}`, { method: 'DELETE' });
+            if (conversation.id === openConversationId()) await openLatestConversation();
+            else await refreshConversations();
+        })
+    );
+}
+
+async function fetchConversations({ archived = false } = {}) {
+    const params = new URLSearchParams({ subject: currentSubject(), archived });
+    const { conversations } = await apiRequest(`/api/conversations?${params}`);
+    return conversations;
+}
+
+export async function refreshConversations() {
+    if (!isLoggedIn()) {
+        conversationList.replaceChildren();
+        return;
+    }
+
+    try {
+        const conversations = await fetchConversations();
+        conversationList.replaceChildren(...conversations.map(renderConversation));
+
+        if (!conversations.length) {
+            conversationList.append(el('li', { className: 'document-empty' }, 'No threads yet'));
+        }
+    } catch (error) {
+        console.error('Conversations error:', error);
+    }
+}
+
+// Shows the subject's most recent thread, or an empty chat when there is none
+async function openLatestConversation() {
+    delete chatMessages.dataset.conversationId;
+
+    if (!isLoggedIn()) {
+        showWelcome();
+        return;
+    }
+
+    try {
+        const [latest] = await fetchConversations();
+        if (latest) return await openConversation(latest.id);
+    } catch (error) {
+        console.error('Conversations error:', error);
+    }
+    showWelcome();
+    await refreshConversations();
+}
+
+async function showArchived() {
+    const content = openPanel('Archived threads');
+
+    try {
+        const conversations = await fetchConversations({ archived: true });
+
+        if (!conversations.length) {
+            content.append(el('p', { className: 'panel-muted' }, 'Nothing archived.'));
+        }
+
+        conversations.forEach(conversation => content.append(el('div', { className: 'quiz-row' },
+            el('span', {}, conversation.title),
+            el('span', { className: 'panel-muted' }, `archived ${fromServerTime(conversation.archived_at).toLocaleDateString()}`),
+            el('button', { className: 'action-btn', onclick: async () => {
+                try {
+                    await apiRequest(`/api/conversations/${conversation.id}`, { method: 'PATCH', json: { archived: false } });
+                    await refreshConversations();
+                    showArchived();
+                } catch (error) {
+                    showPanelError(error);
+                }
+            } }, 'Restore')
+        )));
+    } catch (error) {
+        showPanelError(error);
+    }
+}
+
+document.addEventListener('ai-message', ({ detail }) => {
+    if (detail.messageId) addForkButton(detail.element, detail.messageId);
+});
+
+document.addEventListener('conversation-activity', refreshConversations);
+document.addEventListener('subject-change', ({ detail }) => {
+    if (detail.conversationId) showMessage(detail.conversationId, detail.messageId).catch(error => alert(error.message));
+    else openLatestConversation();
+});
+
+document.getElementById('new-conversation').addEventListener('click', startConversation);
+
+// Clearing starts an empty thread; the old one stays in the thread list
+document.querySelector('.tool-btn[title="Clear Chat"]').addEventListener('click', startConversation);
+
+document.getElementById('archived-conversations-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    if (!isLoggedIn()) return showLogin();
+    showArchived();
+});
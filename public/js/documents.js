@@ -0,0 +1,134 @@
+// public/js/documents.js
+// Course PDF upload (#pdf-upload) and the "My Documents" sidebar list.
+import { currentSubject, createMessage } from './chat.js';
+import { apiRequest as request, isLoggedIn, showLogin } from './api.js';
+
+const pdfUpload = document.getElementById('pdf-upload');
+const documentList = document.getElementById('document-list');
+const documentScope = document.getElementById('document-scope');
+
+export function uploadDocument(file, subject) {
+    const form = new FormData();
+    form.append('file', file);
+    form.append('subject', subject);
+
+    return request('/api/documents', { method: 'POST', body: form });
+}
+
+export async function fetchDocuments(subject) {
+    const { documents } = await request(`/api/documents?subject=${encodeURIComponent(subject)}`);
+    return documents;
+}
+
+function renameDocument(id, name) {
+    return request(`/api/documents/${id}`, { method: 'PATCH', json: { name } });
+}
+
+function deleteDocument(id) {
+    return request(`/api/documents/${id}`, { method: 'DELETE' });
+}
+
+function renderDocument(doc) {
+    const item = document.createElement('li');
+    item.className = 'document-item';
+    item.dataset.documentId = doc.id;
+
+    const label = document.createElement('span');
+    label.className = 'document-name';
+    label.textContent = doc.name;
+    label.title = `${doc.original_filename} · ${doc.page_count} pages`;
+
+    const rename = document.createElement('button');
+    rename.className = 'document-action';
+    rename.title = 'Rename';
+    rename.innerHTML = '<i class="fas fa-pen"></i>';
+    rename.addEventListener('click', async () => {
+        const name = prompt('Rename document', doc.name);
+        if (!name || name.trim() === doc.name) return;
+        try {
+            await renameDocument(doc.id, name.trim());
+            await refreshDocuments();
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'document-action';
+    remove.title = 'Delete';
+    remove.innerHTML = '<i class="fas fa-trash-alt"></i>';
+    remove.addEventListener('click', async () => {
+        if (!confirm(`Delete "${doc.name}"?`)) return;
+        try {
+            await deleteDocument(doc.id);
+            await refreshDocuments();
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+
+    item.append(label, rename, remove);
+    return item;
+}
+
+// Keeps the "search in" selector next to the chat input in sync
+function renderScopeOptions(documents) {
+    if (!documentScope) return;
+
+    const selected = documentScope.value;
+    const options = [new Option('All my documents', '')];
+    documents.forEach(doc => options.push(new Option(doc.name, doc.id)));
+
+    documentScope.replaceChildren(...options);
+    documentScope.value = documents.some(doc => String(doc.id) === selected) ? selected : '';
+    documentScope.classList.toggle('hidden', !documents.length);
+}
+
+export async function refreshDocuments() {
+    if (!documentList) return;
+    if (!isLoggedIn()) {
+        documentList.replaceChildren();
+        renderScopeOptions([]);
+        return;
+    }
+
+    try {
+        const documents = await fetchDocuments(currentSubject());
+        documentList.replaceChildren(...documents.map(renderDocument));
+        renderScopeOptions(documents);
+
+        if (!documents.length) {
+            const empty = document.createElement('li');
+            empty.className = 'document-empty';
+            empty.textContent = 'No documents yet';
+            documentList.appendChild(empty);
+        }
+    } catch (error) {
+        console.error('Documents error:', error);
+    }
+}
+
+pdfUpload.addEventListener('change', async () => {
+    const file = pdfUpload.files[0];
+    pdfUpload.value = '';
+    if (!file) return;
+
+    if (!isLoggedIn()) {
+        showLogin();
+        return;
+    }
+
+    const status = createMessage('system', `Uploading "${file.name}"...`);
+
+    try {
+        const { document: doc } = await uploadDocument(file, currentSubject());
+        status.body.textContent = `📄 "${doc.name}" is ready (${doc.page_count} pages). Ask me anything about it!`;
+        await refreshDocuments();
+    } catch (error) {
+        status.element.classList.add('error');
+        status.body.textContent = `Upload failed: ${error.message}`;
+    }
+});
+
+// subjects.js announces the first subject once the catalog loads
+document.addEventListener('subject-change', refreshDocuments);
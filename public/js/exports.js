@@ -0,0 +1,77 @@
+// public/js/exports.js
+// The "Export Notes" tool: downloads the open thread, every chat, or the
+// notes as Markdown, JSON or an Anki-ready CSV.
+import { apiRequest, isLoggedIn, showLogin, download } from './api.js';
+import { currentSubject } from './chat.js';
+import { openPanel, el, showPanelError } from './panel.js';
+
+const chatMessages = document.getElementById('chat-messages');
+
+const FORMATS = [
+    { value: 'markdown', label: 'Markdown' },
+    { value: 'json', label: 'JSON' },
+    { value: 'csv', label: 'Anki CSV (front/back)' }
+];
+
+async function showExport() {
+    const subject = currentSubject();
+    const conversationId = Number(chatMessages.dataset.conversationId) || null;
+    const content = openPanel('Export');
+
+    let notebooks = [];
+    try {
+        ({ notebooks } = await apiRequest(`/api/notes/notebooks?subject=${encodeURIComponent(subject)}`));
+    } catch (error) {
+        showPanelError(error);
+    }
+
+    const source = el('select', {},
+        conversationId ? new Option('This thread', 'thread') : null,
+        new Option('Chats', 'chats'),
+        new Option('Notes', 'notes')
+    );
+    const notebook = el('select', {},
+        new Option('All notebooks', ''),
+        new Option('No notebook', 'none'),
+        notebooks.map(item => new Option(item.name, item.id))
+    );
+    const notebookLabel = el('label', { hidden: true }, 'Notebook ', notebook);
+    const onlySubject = el('input', { type: 'checkbox', checked: true });
+    const subjectLabel = el('label', { hidden: !!conversationId }, onlySubject, ` Only ${subject}`);
+    const from = el('input', { type: 'date' });
+    const to = el('input', { type: 'date' });
+    const format = el('select', {}, FORMATS.map(({ value, label }) => new Option(label, value)));
+
+    source.addEventListener('change', () => {
+        notebookLabel.hidden = source.value !== 'notes';
+        subjectLabel.hidden = source.value === 'thread';
+    });
+
+    content.append(el('form', { className: 'subject-form', onsubmit: async (event) => {
+        event.preventDefault();
+        const params = new URLSearchParams({ format: format.value });
+
+        if (source.value === 'thread') params.set('conversationId', conversationId);
+        else if (onlySubject.checked) params.set('subject', subject);
+        if (source.value === 'notes' && notebook.value) params.set('notebookId', notebook.value);
+        if (from.value) params.set('from', from.value);
+        if (to.value) params.set('to', to.value);
+
+        try {
+            await download(`/api/export/${source.value === 'notes' ? 'notes' : 'conversations'}?${params}`);
+        } catch (error) {
+            showPanelError(error);
+        }
+    } },
+        el('div', { className: 'subject-form-row' }, el('label', {}, 'Export ', source), notebookLabel),
+        subjectLabel,
+        el('div', { className: 'subject-form-row' }, el('label', {}, 'From ', from), el('label', {}, 'To ', to)),
+        el('label', {}, 'Format ', format),
+        el('button', { className: 'auth-btn', type: 'submit' }, 'Download')
+    ));
+}
+
+document.querySelector('.tool-btn[title="Export Notes"]').addEventListener('click', () => {
+    if (!isLoggedIn()) return showLogin();
+    showExport();
+});
@@ -0,0 +1,232 @@
+// public/js/flashcards.js
+// Flashcard decks, a daily review session, and "make flashcards" actions on
+// AI messages and cited document passages.
+import { apiRequest, isLoggedIn, showLogin } from './api.js';
+import { currentSubject } from './chat.js';
+import { openPanel, el, showPanelError } from './panel.js';
+
+const GRADES = [
+    { grade: 'again', label: 'Again', key: '1' },
+    { grade: 'hard', label: 'Hard', key: '2' },
+    { grade: 'good', label: 'Good', key: '3' },
+    { grade: 'easy', label: 'Easy', key: '4' }
+];
+
+let reviewKeyHandler = null;
+
+function stopKeyboardShortcuts() {
+    if (reviewKeyHandler) document.removeEventListener('keydown', reviewKeyHandler);
+    reviewKeyHandler = null;
+}
+
+async function fetchDecks(subject) {
+    const { decks } = await apiRequest(`/api/flashcards/decks?subject=${encodeURIComponent(subject)}`);
+    return decks;
+}
+
+// The deck generated cards go into: the subject's first deck, created on demand
+async function defaultDeck(subject) {
+    const decks = await fetchDecks(subject);
+    if (decks.length) return decks[0];
+
+    const { deck } = await apiRequest('/api/flashcards/decks', { method: 'POST', json: { subject, name: subject } });
+    return deck;
+}
+
+export async function generateFlashcards(source) {
+    const deck = await defaultDeck(currentSubject());
+    const { cards } = await apiRequest('/api/flashcards/generate', {
+        method: 'POST',
+        json: { deckId: deck.id, ...source }
+    });
+    return { deck, cards };
+}
+
+async function showDecks() {
+    stopKeyboardShortcuts();
+    const subject = currentSubject();
+    const content = openPanel(`${subject} Flashcards`);
+
+    const deckName = el('input', { type: 'text', placeholder: 'New deck name', required: true });
+    const newDeck = el('form', { className: 'flashcard-form', onsubmit: async (event) => {
+        event.preventDefault();
+        try {
+            await apiRequest('/api/flashcards/decks', { method: 'POST', json: { subject, name: deckName.value.trim() } });
+            showDecks();
+        } catch (error) {
+            showPanelError(error);
+        }
+    } }, deckName, el('button', { className: 'action-btn', type: 'submit' }, 'Add deck'));
+
+    const list = el('div', { className: 'deck-list' });
+    content.append(list, newDeck);
+
+    try {
+        const decks = await fetchDecks(subject);
+        const due = decks.reduce((total, deck) => total + (deck.due_count || 0), 0);
+
+        list.before(el('div', { className: 'review-banner' },
+            el('span', {}, due ? `${due} card${due === 1 ? '' : 's'} due today` : 'Nothing due — nice work!'),
+            due ? el('button', { className: 'auth-btn', onclick: () => startReview({ subject }) }, 'Start review') : null
+        ));
+
+        if (!decks.length) {
+            list.append(el('p', { className: 'panel-muted' }, 'No decks yet. Create one below, or use "Flashcards" on a tutor answer.'));
+        }
+
+        decks.forEach(deck => list.append(el('div', { className: 'quiz-row' },
+            el('span', {}, `${deck.name} · ${deck.card_count} cards`),
+            el('span', { className: 'panel-muted' }, `${deck.due_count || 0} due`),
+            deck.due_count ? el('button', { className: 'action-btn', onclick: () => startReview({ deckId: deck.id }) }, 'Review') : null,
+            el('button', { className: 'action-btn', onclick: () => showDeck(deck) }, 'Cards')
+        )));
+    } catch (error) {
+        showPanelError(error);
+    }
+}
+
+async function showDeck(deck) {
+    stopKeyboardShortcuts();
+    const content = openPanel(deck.name);
+
+    const front = el('textarea', { rows: 2, placeholder: 'Front (question)', required: true });
+    const back = el('textarea', { rows: 2, placeholder: 'Back (answer)', required: true });
+    const form = el('form', { className: 'flashcard-form', onsubmit: async (event) => {
+        event.preventDefault();
+        try {
+            await apiRequest('/api/flashcards', { method: 'POST', json: { deckId: deck.id, front: front.value, back: back.value } });
+            showDeck(deck);
+        } catch (error) {
+            showPanelError(error);
+        }
+    } }, front, back, el('button', { className: 'action-btn', type: 'submit' }, 'Add card'));
+
+    const list = el('div', { className: 'card-list' });
+    content.append(form, list, el('button', { className: 'action-btn', onclick: showDecks }, '← All decks'));
+
+    try {
+        const { cards } = await apiRequest(`/api/flashcards?deckId=${deck.id}`);
+        cards.forEach(card => list.append(el('div', { className: 'quiz-row' },
+            el('span', {}, card.front),
+            el('span', { className: 'panel-muted' }, card.interval_days ? `every ${card.interval_days}d` : 'learning'),
+            el('button', { className: 'action-btn', onclick: async () => {
+                if (!confirm('Delete this card?')) return;
+                await apiRequest(`/api/flashcards/${card.id}`, { method: 'DELETE' });
+                showDeck(deck);
+            } }, el('i', { className: 'fas fa-trash-alt' }))
+        )));
+    } catch (error) {
+        showPanelError(error);
+    }
+}
+
+// Review session: front, reveal, grade, next
+async function startReview(filter) {
+    const params = new URLSearchParams(filter).toString();
+    const content = openPanel('Review');
+
+    let cards;
+    try {
+        ({ cards } = await apiRequest(`/api/flashcards/due?${params}`));
+    } catch (error) {
+        return showPanelError(error);
+    }
+
+    let index = 0;
+    let revealed = false;
+
+    const render = () => {
+        if (index >= cards.length) {
+            stopKeyboardShortcuts();
+            content.replaceChildren(
+                el('p', { className: 'quiz-score' }, `Session complete — ${cards.length} card${cards.length === 1 ? '' : 's'} reviewed.`),
+                el('button', { className: 'action-btn', onclick: showDecks }, '← All decks')
+            );
+            return;
+        }
+
+        const card = cards[index];
+        content.replaceChildren(
+            el('p', { className: 'panel-muted' }, `${index + 1} / ${cards.length} · ${card.deck}`),
+            el('div', { className: 'flashcard' },
+                el('div', { className: 'flashcard-front' }, card.front),
+                revealed ? el('div', { className: 'flashcard-back' }, card.back) : null
+            ),
+            revealed
+                ? el('div', { className: 'grade-buttons' }, GRADES.map(({ grade, label, key }) =>
+                    el('button', { className: `grade-btn grade-${grade}`, title: `Shortcut: ${key}`, onclick: () => submit(grade) }, label)))
+                : el('button', { className: 'auth-btn', onclick: reveal }, 'Show answer')
+        );
+    };
+
+    const reveal = () => {
+        revealed = true;
+        render();
+    };
+
+    const submit = async (grade) => {
+        const card = cards[index];
+        try {
+            const { card: updated } = await apiRequest(`/api/flashcards/${card.id}/review`, { method: 'POST', json: { grade } });
+
+            // "Again" cards come back at the end of this session
+            if (grade === 'again') cards.push(updated);
+            index += 1;
+            revealed = false;
+            render();
+        } catch (error) {
+            showPanelError(error);
+        }
+    };
+
+    stopKeyboardShortcuts();
+    reviewKeyHandler = (event) => {
+        if (event.key === ' ' && !revealed) {
+            event.preventDefault();
+            reveal();
+        }
+        const shortcut = GRADES.find(({ key }) => key === event.key);
+        if (shortcut && revealed) submit(shortcut.grade);
+    };
+    document.addEventListener('keydown', reviewKeyHandler);
+
+    render();
+}
+
+// Adds a "Flashcards" action to a message or passage element
+function addFlashcardButton(container, source, label = 'Flashcards') {
+    const button = el('button', { className: 'action-btn', onclick: async () => {
+        button.disabled = true;
+        try {
+            const { deck, cards } = await generateFlashcards(source);
+            button.replaceChildren(el('i', { className: 'fas fa-check' }), ` ${cards.length} added to ${deck.name}`);
+        } catch (error) {
+            button.disabled = false;
+            alert(error.message);
+        }
+    } });
+    button.innerHTML = `<i class="fas fa-layer-group"></i> ${label}`;
+    container.appendChild(button);
+}
+
+document.addEventListener('ai-message', ({ detail }) => {
+    if (!detail.messageId) return;
+    let actions = detail.element.querySelector('.message-actions');
+    if (!actions) {
+        actions = el('div', { className: 'message-actions' });
+        detail.element.appendChild(actions);
+    }
+    addFlashcardButton(actions, { messageId: detail.messageId });
+});
+
+document.addEventListener('citation-passage', ({ detail }) => {
+    addFlashcardButton(detail.element, { chunkId: detail.chunkId }, 'Make flashcards');
+});
+
+document.querySelector('.close-tool-modal').addEventListener('click', stopKeyboardShortcuts);
+
+document.getElementById('flashcards-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    if (!isLoggedIn()) return showLogin();
+    showDecks();
+});
@@ -0,0 +1,139 @@
+// public/js/markdown.js
+// Renders tutor answers: Markdown (with tables) through marked, sanitized by
+// DOMPurify, then KaTeX math and highlight.js code blocks with copy buttons.
+// The libraries are vendored under public/vendor/ and loaded by index.html;
+// without them the text is shown as-is.
+const { marked, DOMPurify, katex, hljs } = window;
+
+// Model output is untrusted: no scripts, styles, forms, embeds or images
+const SANITIZE = {
+    USE_PROFILES: { html: true },
+    FORBID_TAGS: ['style', 'form', 'input', 'button', 'textarea', 'select', 'img', 'video', 'audio', 'iframe'],
+    FORBID_ATTR: ['style', 'id', 'name']
+};
+
+function escapeAttribute(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Math becomes data-tex placeholders that are typeset after sanitizing, so
+// KaTeX's own markup never has to get past the sanitizer
+function renderMathPlaceholder({ type, text, display }) {
+    const tag = type === 'blockMath' ? 'div' : 'span';
+    return `<${tag} class="math${display ? ' math-display' : ''}" data-tex="${escapeAttribute(text)}"></${tag}>`;
+}
+
+const BLOCK_MATH = /^(?:\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\])[ \t]*(?:\n|$)/;
+// $...$ must hug its content so prices like "$5 and $10" stay text
+const INLINE_MATH = /^(?:\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|\$(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d))/;
+
+const mathExtensions = [
+    {
+        name: 'blockMath',
+        level: 'block',
+        start: src => src.match(/\$\$|\\\[/)?.index,
+        tokenizer(src) {
+            const match = BLOCK_MATH.exec(src);
+            if (match) return { type: 'blockMath', raw: match[0], text: (match[1] ?? match[2]).trim(), display: true };
+        },
+        renderer: renderMathPlaceholder
+    },
+    {
+        name: 'inlineMath',
+        level: 'inline',
+        start: src => src.match(/\$|\\[[(]/)?.index,
+        tokenizer(src) {
+            const match = INLINE_MATH.exec(src);
+            if (!match) return;
+
+            const [raw, display, bracketDisplay, paren, dollar] = match;
+            return {
+                type: 'inlineMath',
+                raw,
+                text: (display ?? bracketDisplay ?? paren ?? dollar).trim(),
+                display: display !== undefined || bracketDisplay !== undefined
+            };
+        },
+        renderer: renderMathPlaceholder
+    }
+];
+
+if (marked) {
+    marked.use({ gfm: true, breaks: true, extensions: mathExtensions });
+}
+
+if (DOMPurify) {
+    // Links in answers open in a new tab without access to this page
+    DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+        if (node.tagName === 'A' && node.hasAttribute('href')) {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+}
+
+function typesetMath(container) {
+    container.querySelectorAll('[data-tex]').forEach(node => {
+        const tex = node.dataset.tex;
+        if (!katex) {
+            node.textContent = tex;
+            return;
+        }
+        katex.render(tex, node, {
+            displayMode: node.classList.contains('math-display'),
+            throwOnError: false,
+            trust: false
+        });
+    });
+}
+
+function addCopyButton(pre, code) {
+    const button = document.createElement('button');
+    button.className = 'code-copy';
+    button.type = 'button';
+    button.title = 'Copy code';
+    button.innerHTML = '<i class="far fa-copy"></i>';
+    button.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(code.textContent);
+            button.innerHTML = '<i class="fas fa-check"></i>';
+        } catch (error) {
+            button.innerHTML = '<i class="fas fa-times"></i>';
+        }
+        setTimeout(() => { button.innerHTML = '<i class="far fa-copy"></i>'; }, 1500);
+    });
+    pre.appendChild(button);
+}
+
+function decorateCode(container) {
+    container.querySelectorAll('pre > code').forEach(code => {
+        if (hljs) hljs.highlightElement(code);
+        addCopyButton(code.parentElement, code);
+    });
+}
+
+/**
+ * Replaces `container`'s children with `text` rendered as sanitized
+ * Markdown. Safe to call repeatedly while an answer streams in.
+ */
+export function renderMarkdown(container, text) {
+    if (!marked || !DOMPurify) {
+        const paragraph = document.createElement('p');
+        paragraph.className = 'plain-text';
+        paragraph.textContent = text;
+        container.replaceChildren(paragraph);
+        return;
+    }
+
+    const html = DOMPurify.sanitize(marked.parse(text), SANITIZE);
+    container.innerHTML = html;
+    typesetMath(container);
+    decorateCode(container);
+}
+
+// Text of a rendered answer for reading aloud: no copy buttons or duplicate MathML
+export function plainText(container) {
+    const copy = container.cloneNode(true);
+    copy.querySelectorAll('.code-copy, .katex-mathml').forEach(node => node.remove());
+    return copy.textContent;
+}
@@ -0,0 +1,242 @@
+// public/js/notes.js
+// Saved messages and the notes panel: a Save toggle on tutor answers, the
+// "Save Chat" tool, and per-subject notebooks with tags and annotations.
+import { apiRequest, isLoggedIn, showLogin, fromServerTime } from './api.js';
+import { currentSubject } from './chat.js';
+import { openPanel, el, showPanelError } from './panel.js';
+import { renderMarkdown } from './markdown.js';
+
+const chatMessages = document.getElementById('chat-messages');
+
+function setSaveLabel(button, saved) {
+    button.innerHTML = saved ? '<i class="fas fa-bookmark"></i> Saved' : '<i class="far fa-bookmark"></i> Save';
+    button.classList.toggle('saved', saved);
+}
+
+function addSaveButton(element, messageId, saved) {
+    let actions = element.querySelector('.message-actions');
+    if (!actions) {
+        actions = el('div', { className: 'message-actions' });
+        element.appendChild(actions);
+    }
+
+    const button = el('button', { className: 'action-btn', title: 'Save to your notes', onclick: async () => {
+        if (!isLoggedIn()) return showLogin();
+
+        const wasSaved = button.classList.contains('saved');
+        button.disabled = true;
+        try {
+            await apiRequest(`/api/messages/${messageId}/bookmark`, { method: wasSaved ? 'DELETE' : 'PUT', json: wasSaved ? undefined : {} });
+            setSaveLabel(button, !wasSaved);
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            button.disabled = false;
+        }
+    } });
+    setSaveLabel(button, saved);
+    actions.appendChild(button);
+}
+
+async function saveChat() {
+    if (!isLoggedIn()) return showLogin();
+
+    const conversationId = Number(chatMessages.dataset.conversationId);
+    if (!conversationId) return alert('There is nothing to save yet.');
+
+    try {
+        const { saved } = await apiRequest(`/api/conversations/${conversationId}/save`, { method: 'POST', json: {} });
+        chatMessages.querySelectorAll('.action-btn[title="Save to your notes"]').forEach(button => setSaveLabel(button, true));
+        alert(saved ? `Saved ${saved} answer${saved === 1 ? '' : 's'} to your notes.` : 'Every answer in this thread is already saved.');
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+function tagList(value) {
+    return value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+function notebookSelect(notebooks, selectedId) {
+    const select = el('select', {},
+        new Option('No notebook', ''),
+        notebooks.map(notebook => new Option(notebook.name, notebook.id))
+    );
+    select.value = selectedId ?? '';
+    return select;
+}
+
+function savedAnswer(content) {
+    const element = el('div', { className: 'note-content' });
+    renderMarkdown(element, content);
+    return element;
+}
+
+function renderNote(note, notebooks, refresh) {
+    const annotation = el('textarea', { rows: 2, maxLength: 2000, placeholder: 'Your annotation', value: note.annotation || '' });
+    const tags = el('input', { type: 'text', placeholder: 'Tags, comma separated', value: note.tags.join(', ') });
+    const notebook = notebookSelect(notebooks, note.notebookId);
+    const body = el('textarea', { rows: 4, maxLength: 20000, value: note.content });
+
+    return el('form', { className: 'note-card', onsubmit: async (event) => {
+        event.preventDefault();
+        try {
+            await apiRequest(`/api/notes/${note.id}`, {
+                method: 'PATCH',
+                json: {
+                    annotation: annotation.value,
+                    tags: tagList(tags.value),
+                    notebookId: notebook.value ? Number(notebook.value) : null,
+                    ...(note.messageId ? {} : { content: body.value })
+                }
+            });
+            refresh();
+        } catch (error) {
+            showPanelError(error);
+        }
+    } },
+        el('div', { className: 'note-meta panel-muted' },
+            el('i', { className: note.messageId ? 'fas fa-bookmark' : 'fas fa-sticky-note' }),
+            ` ${note.messageId ? 'Saved answer' : 'Note'} · ${fromServerTime(note.updated_at).toLocaleDateString()}`
+        ),
+        note.messageId ? savedAnswer(note.content) : body,
+        annotation,
+        el('div', { className: 'subject-form-row' }, tags, notebook),
+        el('div', { className: 'note-actions' },
+            el('button', { className: 'action-btn', type: 'submit' }, 'Save changes'),
+            el('button', { className: 'action-btn', type: 'button', onclick: async () => {
+                if (!confirm('Delete this note?')) return;
+                try {
+                    await apiRequest(`/api/notes/${note.id}`, { method: 'DELETE' });
+                    const message = chatMessages.querySelector(`[data-message-id="${note.messageId}"] .action-btn[title="Save to your notes"]`);
+                    if (message) setSaveLabel(message, false);
+                    refresh();
+                } catch (error) {
+                    showPanelError(error);
+                }
+            } }, el('i', { className: 'fas fa-trash-alt' }))
+        )
+    );
+}
+
+export async function showNotes(filters = {}) {
+    const subject = currentSubject();
+    const content = openPanel(`${subject} Notes`);
+    const refresh = () => showNotes({ ...filters });
+
+    try {
+        const params = new URLSearchParams({ subject });
+        if (filters.notebookId) params.set('notebookId', filters.notebookId);
+        if (filters.tag) params.set('tag', filters.tag);
+        if (filters.q) params.set('q', filters.q);
+
+        const [{ notebooks }, { tags }, { notes }] = await Promise.all([
+            apiRequest(`/api/notes/notebooks?subject=${encodeURIComponent(subject)}`),
+            apiRequest(`/api/notes/tags?subject=${encodeURIComponent(subject)}`),
+            apiRequest(`/api/notes?${params}`)
+        ]);
+
+        const notebookFilter = el('select', { onchange: () => showNotes({ ...filters, notebookId: notebookFilter.value }) },
+            new Option('All notebooks', ''),
+            new Option('No notebook', 'none'),
+            notebooks.map(notebook => new Option(`${notebook.name} (${notebook.note_count})`, notebook.id))
+        );
+        notebookFilter.value = filters.notebookId || '';
+
+        const tagFilter = el('select', { onchange: () => showNotes({ ...filters, tag: tagFilter.value }) },
+            new Option('All tags', ''),
+            tags.map(({ tag, count }) => new Option(`#${tag} (${count})`, tag))
+        );
+        tagFilter.value = filters.tag || '';
+
+        const search = el('input', { type: 'search', placeholder: 'Search notes', value: filters.q || '' });
+
+        content.append(
+            el('form', { className: 'notes-filters', onsubmit: (event) => {
+                event.preventDefault();
+                showNotes({ ...filters, q: search.value.trim() });
+            } }, notebookFilter, tagFilter, search)
+        );
+
+        if (!notes.length) {
+            content.append(el('p', { className: 'panel-muted' },
+                filters.notebookId || filters.tag || filters.q
+                    ? 'No notes match.'
+                    : 'No notes yet. Use "Save" on a tutor answer, or write one below.'));
+        }
+        notes.forEach(note => content.append(renderNote(note, notebooks, refresh)));
+
+        const noteText = el('textarea', { rows: 3, maxLength: 20000, required: true, placeholder: 'Write a note' });
+        const noteTags = el('input', { type: 'text', placeholder: 'Tags, comma separated' });
+        const noteNotebook = notebookSelect(notebooks, filters.notebookId && filters.notebookId !== 'none' ? filters.notebookId : null);
+        const notebookName = el('input', { type: 'text', maxLength: 60, required: true, placeholder: 'New notebook name' });
+
+        content.append(
+            el('h3', {}, 'New note'),
+            el('form', { className: 'subject-form', onsubmit: async (event) => {
+                event.preventDefault();
+                try {
+                    await apiRequest('/api/notes', {
+                        method: 'POST',
+                        json: {
+                            subject,
+                            content: noteText.value,
+                            tags: tagList(noteTags.value),
+                            notebookId: noteNotebook.value ? Number(noteNotebook.value) : null
+                        }
+                    });
+                    refresh();
+                } catch (error) {
+                    showPanelError(error);
+                }
+            } }, noteText, el('div', { className: 'subject-form-row' }, noteTags, noteNotebook),
+                el('button', { className: 'auth-btn', type: 'submit' }, 'Add note')),
+            el('h3', {}, 'Notebooks'),
+            ...notebooks.map(notebook => el('div', { className: 'quiz-row' },
+                el('span', {}, `${notebook.name} · ${notebook.note_count} notes`),
+                el('button', { className: 'action-btn', onclick: async () => {
+                    const name = prompt('Rename notebook', notebook.name);
+                    if (!name || name.trim() === notebook.name) return;
+                    try {
+                        await apiRequest(`/api/notes/notebooks/${notebook.id}`, { method: 'PATCH', json: { name: name.trim() } });
+                        refresh();
+                    } catch (error) {
+                        showPanelError(error);
+                    }
+                } }, el('i', { className: 'fas fa-pen' })),
+                el('button', { className: 'action-btn', onclick: async () => {
+                    if (!confirm(`Delete "${notebook.name}"? Its notes are kept.`)) return;
+                    try {
+                        await apiRequest(`/api/notes/notebooks/${notebook.id}`, { method: 'DELETE' });
+                        showNotes({ ...filters, notebookId: '' });
+                    } catch (error) {
+                        showPanelError(error);
+                    }
+                } }, el('i', { className: 'fas fa-trash-alt' }))
+            )),
+            el('form', { className: 'flashcard-form', onsubmit: async (event) => {
+                event.preventDefault();
+                try {
+                    await apiRequest('/api/notes/notebooks', { method: 'POST', json: { subject, name: notebookName.value.trim() } });
+                    refresh();
+                } catch (error) {
+                    showPanelError(error);
+                }
+            } }, notebookName, el('button', { className: 'action-btn', type: 'submit' }, 'Add notebook'))
+        );
+    } catch (error) {
+        showPanelError(error);
+    }
+}
+
+document.addEventListener('ai-message', ({ detail }) => {
+    if (detail.messageId) addSaveButton(detail.element, detail.messageId, !!detail.saved);
+});
+
+document.querySelector('.tool-btn[title="Save Chat"]').addEventListener('click', saveChat);
+
+document.getElementById('notes-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    if (!isLoggedIn()) return showLogin();
+    showNotes();
+});
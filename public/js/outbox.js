@@ -0,0 +1,60 @@
+// public/js/outbox.js
+// Chat messages written while offline, kept in IndexedDB until sync.js can
+// send them. Entries are sent in the order they were queued.
+const DB_NAME = 'study-buddy';
+const STORE = 'outbox';
+
+let opening = null;
+
+function openDatabase() {
+    opening ??= new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            opening = null;
+            reject(request.error);
+        };
+    });
+    return opening;
+}
+
+// Runs `work(store)` in one transaction and resolves with the request's result
+async function withStore(mode, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        const request = work(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// outbox-change updates the indicator (connection.js); outbox-queued also starts a send (sync.js)
+function announce(type = 'outbox-change') {
+    document.dispatchEvent(new CustomEvent(type));
+}
+
+/**
+ * Queues { userId, message, subject, conversationId, documentId, clientMessageId } and
+ * resolves with the entry's id.
+ */
+export async function queueMessage(entry) {
+    const id = await withStore('readwrite', store => store.add({ ...entry, queuedAt: new Date().toISOString() }));
+    announce();
+    announce('outbox-queued');
+    return id;
+}
+
+// The signed-in user's queued messages, oldest first
+export async function pendingMessages(userId) {
+    const entries = await withStore('readonly', store => store.getAll());
+    return entries.filter(entry => String(entry.userId) === String(userId));
+}
+
+export async function removeMessage(id) {
+    await withStore('readwrite', store => store.delete(id));
+    announce();
+}
@@ -0,0 +1,41 @@
+// public/js/panel.js
+// The study tools panel: one modal shared by quizzes, flashcards and progress.
+
+const modal = document.getElementById('tool-modal');
+const title = document.getElementById('tool-title');
+const content = document.getElementById('tool-content');
+
+export function openPanel(heading) {
+    title.textContent = heading;
+    content.replaceChildren();
+    modal.classList.remove('hidden');
+    return content;
+}
+
+export function closePanel() {
+    modal.classList.add('hidden');
+    content.replaceChildren();
+}
+
+// Small element builder: el('button', { className: 'x', onclick }, 'Text')
+export function el(tag, props = {}, ...children) {
+    const element = document.createElement(tag);
+
+    Object.entries(props).forEach(([key, value]) => {
+        if (key.startsWith('on')) element.addEventListener(key.slice(2), value);
+        else if (key === 'dataset') Object.assign(element.dataset, value);
+        else element[key] = value;
+    });
+
+    element.append(...children.flat().filter(child => child !== null && child !== undefined && child !== false));
+    return element;
+}
+
+export function showPanelError(error) {
+    content.prepend(el('p', { className: 'panel-error' }, error.message));
+}
+
+modal.querySelector('.close-tool-modal').addEventListener('click', closePanel);
+modal.addEventListener('click', (event) => {
+    if (event.target === modal) closePanel();
+});
@@ -0,0 +1,119 @@
+// public/js/progress.js
+// "Progress Tracker": study activity, streaks, mood and review performance.
+import { apiRequest, isLoggedIn, showLogin } from './api.js';
+import { openPanel, el, showPanelError } from './panel.js';
+import { barChart, lineChart } from './charts.js';
+
+const RANGES = [7, 30, 90];
+const SUBJECT_COLORS = ['#4895ef', '#2a9d8f', '#f72585', '#e9c46a', '#7209b7', '#e76f51'];
+
+let selectedDays = 30;
+
+function percent(ratio) {
+    return ratio === null ? '—' : `${Math.round(ratio * 100)}%`;
+}
+
+function stat(label, value) {
+    return el('div', { className: 'progress-stat' },
+        el('span', { className: 'progress-value' }, String(value)),
+        el('span', { className: 'panel-muted' }, label)
+    );
+}
+
+function section(heading, ...children) {
+    return el('section', { className: 'progress-section' }, el('h3', {}, heading), ...children);
+}
+
+// This week's mood per subject, most stressful first
+function moodSummary({ weeks }) {
+    const [thisWeek] = weeks;
+    if (!thisWeek) return el('p', { className: 'panel-muted' }, 'No chats this week yet.');
+
+    return el('div', {},
+        thisWeek.mostStressful
+            ? el('p', {}, `${thisWeek.mostStressful} has been the toughest subject since ${thisWeek.weekStart}.`)
+            : null,
+        thisWeek.subjects.map(entry => el('div', { className: 'quiz-row' },
+            el('span', {}, entry.subject),
+            el('span', { className: 'mood-meter', title: `stress ${percent(entry.stress)}` },
+                el('span', { style: `width:${Math.round(entry.stress * 100)}%` })),
+            el('span', { className: 'panel-muted' },
+                `${entry.messages} messages · mostly ${entry.dominantEmotion || 'mixed feelings'} · ${percent(entry.negativeShare)} negative`)
+        ))
+    );
+}
+
+function renderProgress(content, progress, mood) {
+    const { totals, streak, subjects, daily } = progress;
+    const colors = Object.fromEntries(subjects.map((entry, i) => [entry.subject, SUBJECT_COLORS[i % SUBJECT_COLORS.length]]));
+
+    content.append(
+        el('div', { className: 'progress-stats' },
+            stat('questions asked', totals.questions),
+            stat('minutes studied', Math.round(totals.studyMinutes)),
+            stat('day streak', `${streak.current} 🔥`),
+            stat('longest streak', streak.longest),
+            stat('quiz average', percent(totals.quizAverage)),
+            stat('flashcard recall', percent(totals.flashcardRetention))
+        ),
+        section('Questions per day',
+            barChart(daily.map(day => ({ date: day.date, values: day.questionsBySubject })), { label: 'Questions per day', colors }),
+            el('div', { className: 'progress-legend' }, subjects.map(entry =>
+                el('span', {}, el('i', { className: 'legend-swatch', style: `background:${colors[entry.subject]}` }), entry.subject)))
+        ),
+        section('Study minutes',
+            barChart(daily.map(day => ({ date: day.date, values: { minutes: day.studyMinutes } })), { label: 'Study minutes per day', unit: ' min' })
+        ),
+        section('Mood trend',
+            totals.averageMood === null
+                ? el('p', { className: 'panel-muted' }, 'No mood data yet.')
+                : lineChart(daily.map(day => ({ date: day.date, value: day.mood })), { label: 'Average mood per day', min: -1, max: 1 })
+        ),
+        section('Mood by subject this week', moodSummary(mood)),
+        section('Quizzes and flashcards',
+            el('p', {}, `${totals.quizAttempts} quiz attempts · ${totals.flashcardReviews} flashcard reviews`),
+            totals.quizAttempts
+                ? lineChart(daily.map(day => ({ date: day.date, value: day.quizAverage })), { label: 'Quiz average per day' })
+                : null,
+            subjects.filter(entry => entry.quizAttempts).map(entry =>
+                el('div', { className: 'quiz-row' },
+                    el('span', {}, entry.subject),
+                    el('span', { className: 'panel-muted' }, `${entry.quizAttempts} attempts · ${percent(entry.quizAverage)}`)
+                ))
+        )
+    );
+}
+
+async function showProgress() {
+    const content = openPanel('Progress Tracker');
+
+    const ranges = el('div', { className: 'progress-ranges' }, RANGES.map(days =>
+        el('button', {
+            className: `action-btn${days === selectedDays ? ' active' : ''}`,
+            onclick: () => {
+                selectedDays = days;
+                showProgress();
+            }
+        }, `${days} days`)
+    ));
+    content.append(ranges);
+
+    try {
+        const userId = localStorage.getItem('userId');
+        const tzOffset = -new Date().getTimezoneOffset();
+        const params = new URLSearchParams({ days: selectedDays, tzOffset });
+        const [progress, mood] = await Promise.all([
+            apiRequest(`/api/progress/${userId}?${params}`),
+            apiRequest(`/api/progress/${userId}/mood?${new URLSearchParams({ weeks: 1, tzOffset })}`)
+        ]);
+        renderProgress(content, progress, mood);
+    } catch (error) {
+        showPanelError(error);
+    }
+}
+
+document.getElementById('progress-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    if (!isLoggedIn()) return showLogin();
+    showProgress();
+});
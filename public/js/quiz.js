@@ -0,0 +1,167 @@
+// public/js/quiz.js
+// "Quick Quiz": generate a quiz, take it, and review past attempts.
+import { apiRequest, isLoggedIn, showLogin, fromServerTime } from './api.js';
+import { currentSubject } from './chat.js';
+import { fetchDocuments } from './documents.js';
+import { openPanel, el, showPanelError } from './panel.js';
+
+const TYPE_LABELS = { mcq: 'Multiple choice', true_false: 'True / false', short_answer: 'Short answer' };
+
+function percent(score, max) {
+    return max ? Math.round((score / max) * 100) : 0;
+}
+
+async function showQuizHome() {
+    const subject = currentSubject();
+    const content = openPanel(`${subject} Quizzes`);
+
+    const source = el('select', { id: 'quiz-source' }, new Option('From my recent chat', 'chat'));
+    const count = el('input', { type: 'number', min: 1, max: 20, value: 5, id: 'quiz-count' });
+    const generate = el('button', { className: 'auth-btn', type: 'submit' }, 'Generate quiz');
+
+    const form = el('form', { className: 'quiz-generate', onsubmit: async (event) => {
+        event.preventDefault();
+        generate.disabled = true;
+        generate.textContent = 'Generating...';
+
+        const [kind, documentId] = source.value.split(':');
+        try {
+            const { quiz } = await apiRequest('/api/quizzes/generate', {
+                method: 'POST',
+                json: { subject, source: kind, documentId: documentId ? Number(documentId) : undefined, count: Number(count.value) }
+            });
+            showQuiz(quiz);
+        } catch (error) {
+            generate.disabled = false;
+            generate.textContent = 'Generate quiz';
+            showPanelError(error);
+        }
+    } },
+        el('label', {}, 'Source ', source),
+        el('label', {}, 'Questions ', count),
+        generate
+    );
+
+    const history = el('div', { className: 'quiz-history' }, el('h3', {}, 'Past quizzes'));
+    content.append(form, history);
+
+    try {
+        const [documents, { quizzes }] = await Promise.all([
+            fetchDocuments(subject),
+            apiRequest(`/api/quizzes?subject=${encodeURIComponent(subject)}`)
+        ]);
+
+        documents.forEach(doc => source.add(new Option(`From "${doc.name}"`, `document:${doc.id}`)));
+
+        if (!quizzes.length) {
+            history.append(el('p', { className: 'panel-muted' }, 'No quizzes yet.'));
+        }
+
+        quizzes.forEach(quiz => history.append(el('div', { className: 'quiz-row' },
+            el('span', {}, `${quiz.title} · ${quiz.question_count} questions`),
+            el('span', { className: 'panel-muted' },
+                quiz.attempt_count ? `best ${Math.round(quiz.best_ratio * 100)}%` : 'not taken'),
+            el('button', { className: 'action-btn', onclick: () => openQuiz(quiz.id) }, 'Take'),
+            quiz.attempt_count ? el('button', { className: 'action-btn', onclick: () => showAttempts(quiz) }, 'Review') : null
+        )));
+    } catch (error) {
+        showPanelError(error);
+    }
+}
+
+async function openQuiz(quizId) {
+    try {
+        const { quiz } = await apiRequest(`/api/quizzes/${quizId}`);
+        showQuiz(quiz);
+    } catch (error) {
+        showPanelError(error);
+    }
+}
+
+function answerInput(question) {
+    if (question.type === 'short_answer') {
+        return el('textarea', { name: `q${question.id}`, rows: 2, placeholder: 'Your answer' });
+    }
+
+    return el('div', { className: 'quiz-options' }, question.options.map(option =>
+        el('label', {}, el('input', { type: 'radio', name: `q${question.id}`, value: option }), ` ${option}`)
+    ));
+}
+
+function showQuiz(quiz) {
+    const content = openPanel(quiz.title);
+
+    const form = el('form', { className: 'quiz-form', onsubmit: async (event) => {
+        event.preventDefault();
+        const data = new FormData(form);
+        const answers = {};
+        quiz.questions.forEach(question => {
+            const value = data.get(`q${question.id}`);
+            if (value !== null && value !== '') answers[question.id] = value;
+        });
+
+        try {
+            const { attempt } = await apiRequest(`/api/quizzes/${quiz.id}/attempts`, { method: 'POST', json: { answers } });
+            showAttempt(attempt);
+        } catch (error) {
+            showPanelError(error);
+        }
+    } },
+        quiz.questions.map(question => el('fieldset', { className: 'quiz-question' },
+            el('legend', {}, `${question.position}. ${TYPE_LABELS[question.type]}`),
+            el('p', {}, question.prompt),
+            answerInput(question)
+        )),
+        el('button', { className: 'auth-btn', type: 'submit' }, 'Submit answers')
+    );
+
+    content.append(form);
+}
+
+// Review screen: every question with the student's answer, the correct one and why
+function showAttempt(attempt) {
+    const content = openPanel(`${attempt.title} — ${percent(attempt.score, attempt.maxScore)}%`);
+
+    content.append(
+        el('p', { className: 'quiz-score' },
+            `Score: ${Number(attempt.score.toFixed(2))} / ${attempt.maxScore} · ${fromServerTime(attempt.submittedAt).toLocaleString()}`),
+        attempt.questions.map(question => {
+            const result = question.result || { correct: false, answer: null, feedback: '' };
+            return el('div', { className: `quiz-review ${result.correct ? 'correct' : 'incorrect'}` },
+                el('p', { className: 'quiz-prompt' }, `${question.position}. ${question.prompt}`),
+                el('p', {}, `Your answer: ${result.answer ?? '—'}`),
+                result.correct ? null : el('p', {}, `Correct answer: ${question.answer}`),
+                result.feedback ? el('p', { className: 'panel-muted' }, result.feedback) : null,
+                question.explanation ? el('p', { className: 'quiz-explanation' }, question.explanation) : null
+            );
+        }),
+        el('button', { className: 'action-btn', onclick: showQuizHome }, '← All quizzes')
+    );
+}
+
+async function showAttempts(quiz) {
+    const content = openPanel(`${quiz.title} — attempts`);
+
+    try {
+        const { attempts } = await apiRequest(`/api/quizzes/${quiz.id}/attempts`);
+        content.append(
+            attempts.map(attempt => el('div', { className: 'quiz-row' },
+                el('span', {}, fromServerTime(attempt.submitted_at).toLocaleString()),
+                el('span', {}, `${percent(attempt.score, attempt.max_score)}%`),
+                el('button', { className: 'action-btn', onclick: async () => {
+                    const data = await apiRequest(`/api/quizzes/${quiz.id}/attempts/${attempt.id}`);
+                    showAttempt(data.attempt);
+                } }, 'Review')
+            )),
+            el('button', { className: 'action-btn', onclick: showQuizHome }, '← All quizzes')
+        );
+    } catch (error) {
+        showPanelError(error);
+    }
+}
+
+document.getElementById('quick-quiz-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    if (!isLoggedIn()) return showLogin();
+    showQuizHome();
+});
@@ -0,0 +1,155 @@
+// public/js/search.js
+// The sidebar search box: searches chats, notes and document pages through
+// /api/search and jumps to whatever result is picked.
+import { apiRequest, isLoggedIn, showLogin, fromServerTime } from './api.js';
+import { currentSubject, currentSubjectId } from './chat.js';
+import { selectSubject } from './subjects.js';
+import { showMessage } from './conversations.js';
+import { showNotes } from './notes.js';
+import { openPanel, closePanel, el, showPanelError } from './panel.js';
+
+const PAGE_SIZE = 20;
+
+const TYPE_LABELS = {
+    message: { icon: 'comment', label: 'Chat' },
+    note: { icon: 'book-open', label: 'Note' },
+    document: { icon: 'file-pdf', label: 'Document' }
+};
+
+const searchForm = document.getElementById('search-form');
+const searchInput = document.getElementById('search-input');
+
+// Snippets arrive HTML-escaped with only <mark> added, so they are safe to render
+function snippetElement(result) {
+    const snippet = el('p', { className: 'search-snippet' });
+    snippet.innerHTML = result.snippet;
+    return snippet;
+}
+
+function goToSubject(result, detail) {
+    if (result.subjectId === currentSubjectId()) return false;
+    selectSubject(result.subjectId, detail);
+    return true;
+}
+
+async function openResult(result, filters) {
+    if (result.type === 'document') return showDocumentPage(result, filters);
+
+    closePanel();
+    try {
+        if (result.type === 'message') {
+            const target = { conversationId: result.conversationId, messageId: result.messageId };
+            if (!goToSubject(result, target)) await showMessage(target.conversationId, target.messageId);
+        } else {
+            goToSubject(result);
+            await showNotes({ q: filters.q });
+        }
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function showDocumentPage(result, filters) {
+    const content = openPanel(`${result.title} · page ${result.pageNumber}`);
+    content.append(el('button', { className: 'action-btn', onclick: () => showResults(filters) },
+        el('i', { className: 'fas fa-arrow-left' }), ' Back to results'));
+
+    try {
+        const { chunks } = await apiRequest(`/api/documents/${result.documentId}/pages/${result.pageNumber}`);
+        if (!chunks.length) content.append(el('p', { className: 'panel-muted' }, 'This page no longer has any text.'));
+
+        chunks.forEach(chunk => content.append(el('blockquote', {
+            className: `citation-passage${chunk.id === result.id ? ' search-hit' : ''}`
+        }, chunk.text)));
+        content.querySelector('.search-hit')?.scrollIntoView({ block: 'center' });
+    } catch (error) {
+        showPanelError(error);
+    }
+}
+
+function renderResult(result, filters) {
+    const { icon, label } = TYPE_LABELS[result.type];
+    const source = result.type === 'document' ? `${result.title}, page ${result.pageNumber}`
+        : result.type === 'message' ? `${result.title || 'Chat'} · ${result.sender === 'ai' ? 'Study Buddy' : 'You'}`
+        : result.title || 'No notebook';
+
+    return el('div', { className: 'search-result', onclick: () => openResult(result, filters) },
+        el('div', { className: 'search-result-meta' },
+            el('i', { className: `fas fa-${icon}` }),
+            ` ${label} · ${result.subject} · ${source}`,
+            el('span', { className: 'panel-muted' }, fromServerTime(result.created_at).toLocaleDateString())
+        ),
+        snippetElement(result)
+    );
+}
+
+async function showResults(filters) {
+    const content = openPanel(`Search: ${filters.q}`);
+
+    const type = el('select', {},
+        new Option('Everything', ''),
+        Object.entries(TYPE_LABELS).map(([value, { label }]) => new Option(`${label}s`, value))
+    );
+    const sender = el('select', {},
+        new Option('Anyone', ''),
+        new Option('My messages', 'user'),
+        new Option('Study Buddy', 'ai')
+    );
+    const sort = el('select', {}, new Option('Best match', 'relevance'), new Option('Newest', 'recent'));
+    const onlySubject = el('input', { type: 'checkbox', checked: !!filters.subject });
+    const from = el('input', { type: 'date', value: filters.from || '' });
+    const to = el('input', { type: 'date', value: filters.to || '' });
+    type.value = filters.type || '';
+    sender.value = filters.sender || '';
+    sort.value = filters.sort || 'relevance';
+
+    content.append(el('form', { className: 'notes-filters', onchange: () => showResults({
+        q: filters.q,
+        type: type.value,
+        sender: sender.value,
+        sort: sort.value,
+        subject: onlySubject.checked ? currentSubject() : '',
+        from: from.value,
+        to: to.value
+    }) }, type, sender, sort, el('label', {}, onlySubject, ` Only ${currentSubject()}`), from, to));
+
+    const list = el('div', { className: 'search-results' });
+    content.append(list);
+
+    const loadPage = async (offset) => {
+        const params = new URLSearchParams({ q: filters.q, limit: PAGE_SIZE, offset });
+        ['type', 'sender', 'sort', 'subject', 'from', 'to'].forEach(key => {
+            if (filters[key]) params.set(key, filters[key]);
+        });
+
+        const { results, total } = await apiRequest(`/api/search?${params}`);
+        if (!total) list.append(el('p', { className: 'panel-muted' }, 'Nothing matches.'));
+        results.forEach(result => list.append(renderResult(result, filters)));
+
+        if (offset + results.length < total) {
+            const more = el('button', { className: 'action-btn', onclick: async () => {
+                more.remove();
+                try {
+                    await loadPage(offset + PAGE_SIZE);
+                } catch (error) {
+                    showPanelError(error);
+                }
+            } }, `Show more (${total - offset - results.length} left)`);
+            list.append(more);
+        }
+    };
+
+    try {
+        await loadPage(0);
+    } catch (error) {
+        showPanelError(error);
+    }
+}
+
+searchForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    if (!isLoggedIn()) return showLogin();
+
+    const q = searchInput.value.trim();
+    if (q) showResults({ q });
+});
@@ -0,0 +1,178 @@
+// public/js/subjects.js
+// The subject catalog: renders the sidebar, chat header and input
+// placeholder from /api/subjects, and lets students add private subjects
+// (admins also manage the global ones).
+import { apiRequest, isLoggedIn, showLogin } from './api.js';
+import { openPanel, el, showPanelError } from './panel.js';
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+const subjectList = document.getElementById('subject-list');
+const chatTitle = document.getElementById('chat-title');
+const subjectBadge = document.getElementById('subject-badge');
+const chatInput = document.getElementById('chat-input');
+
+let subjects = [];
+
+async function fetchSubjects() {
+    if (isLoggedIn()) return (await apiRequest('/api/subjects')).subjects;
+
+    const response = await fetch('/api/subjects');
+    if (!response.ok) throw new Error(`Request failed (${response.status})`);
+    return (await response.json()).subjects;
+}
+
+function renderSidebar(selectedId) {
+    subjectList.replaceChildren(...subjects.map(subject => {
+        const link = el('a', {
+            href: '#',
+            title: subject.description || subject.name,
+            dataset: { subject: subject.name, subjectId: subject.id },
+            onclick: (event) => {
+                event.preventDefault();
+                selectSubject(subject.id);
+            }
+        },
+            el('div', { className: 'subject-icon' }, el('i', { className: `fas fa-${subject.icon}` })),
+            el('span', {}, subject.name),
+            subject.scope === 'private' ? el('i', { className: 'fas fa-lock subject-private', title: 'Only you can see this subject' }) : null
+        );
+        link.style.setProperty('--subject-color', subject.color);
+
+        return el('li', { className: subject.id === selectedId ? 'active-subject' : '' }, link);
+    }));
+}
+
+// `detail` rides along on the subject-change event, e.g. a conversation to open instead of the latest
+export function selectSubject(id, detail = {}) {
+    const subject = subjects.find(candidate => candidate.id === id) || subjects[0];
+    if (!subject) return;
+
+    subjectList.querySelectorAll('li').forEach(item => {
+        item.classList.toggle('active-subject', item.firstChild.dataset.subjectId === String(subject.id));
+    });
+
+    chatTitle.textContent = `${subject.name} Assistant`;
+    subjectBadge.textContent = subject.name;
+    subjectBadge.style.background = subject.color;
+    chatInput.placeholder = `Ask me anything about ${subject.name}...`;
+    localStorage.setItem('subjectId', subject.id);
+
+    // Documents, quizzes and history follow the selected subject
+    document.dispatchEvent(new CustomEvent('subject-change', { detail: { ...detail, subject } }));
+}
+
+export async function loadSubjects() {
+    try {
+        subjects = await fetchSubjects();
+        const selectedId = Number(localStorage.getItem('subjectId'));
+        const selected = subjects.find(subject => subject.id === selectedId) || subjects[0];
+
+        renderSidebar(selected?.id);
+        if (selected) selectSubject(selected.id);
+    } catch (error) {
+        console.error('Subjects error:', error);
+    }
+}
+
+function subjectForm(subject, { canCreateGlobal, onSaved }) {
+    const name = el('input', { type: 'text', required: true, maxLength: 60, placeholder: 'Name', value: subject?.name || '' });
+    const description = el('input', { type: 'text', maxLength: 500, placeholder: 'Short description', value: subject?.description || '' });
+    const icon = el('input', { type: 'text', placeholder: 'Font Awesome icon, e.g. atom', value: subject?.icon || 'book' });
+    const color = el('input', { type: 'color', value: subject?.color || '#4361ee' });
+    const difficulty = el('select', {}, DIFFICULTIES.map(level => new Option(level, level)));
+    difficulty.value = subject?.difficulty || 'intermediate';
+    const systemPrompt = el('textarea', {
+        rows: 4,
+        maxLength: 4000,
+        placeholder: 'How the tutor should teach this subject (optional)',
+        value: subject?.system_prompt || ''
+    });
+    const global = canCreateGlobal && !subject ? el('input', { type: 'checkbox' }) : null;
+
+    return el('form', { className: 'subject-form', onsubmit: async (event) => {
+        event.preventDefault();
+        const json = {
+            name: name.value,
+            description: description.value,
+            icon: icon.value.trim().replace(/^fa-/, ''),
+            color: color.value,
+            difficulty: difficulty.value,
+            systemPrompt: systemPrompt.value,
+            ...(global?.checked ? { scope: 'global' } : {})
+        };
+
+        try {
+            const { subject: saved } = subject
+                ? await apiRequest(`/api/subjects/${subject.id}`, { method: 'PATCH', json })
+                : await apiRequest('/api/subjects', { method: 'POST', json });
+            onSaved(saved);
+        } catch (error) {
+            showPanelError(error);
+        }
+    } },
+        name,
+        description,
+        el('div', { className: 'subject-form-row' },
+            el('label', {}, 'Icon ', icon),
+            el('label', {}, 'Color ', color),
+            el('label', {}, 'Level ', difficulty)
+        ),
+        systemPrompt,
+        global ? el('label', {}, global, ' Visible to every student') : null,
+        el('button', { className: 'auth-btn', type: 'submit' }, subject ? 'Save subject' : 'Add subject')
+    );
+}
+
+async function showSubjects() {
+    const content = openPanel('Subjects');
+
+    try {
+        const [user] = await Promise.all([
+            apiRequest(`/api/user/${localStorage.getItem('userId')}`),
+            loadSubjects()
+        ]);
+        const canCreateGlobal = user.role === 'admin';
+
+        const refresh = async (saved) => {
+            await loadSubjects();
+            if (saved) selectSubject(saved.id);
+            showSubjects();
+        };
+
+        subjects.forEach(subject => content.append(el('div', { className: 'quiz-row' },
+            el('span', {}, el('i', { className: `fas fa-${subject.icon}` }), ` ${subject.name}`),
+            el('span', { className: 'panel-muted' }, `${subject.scope} · ${subject.difficulty}`),
+            subject.editable ? el('button', { className: 'action-btn', onclick: () => {
+                content.replaceChildren(
+                    subjectForm(subject, { canCreateGlobal, onSaved: refresh }),
+                    el('button', { className: 'action-btn', onclick: showSubjects }, '← All subjects')
+                );
+            } }, 'Edit') : null,
+            subject.editable ? el('button', { className: 'action-btn', onclick: async () => {
+                if (!confirm(`Delete "${subject.name}" and every chat, document, quiz and deck in it?`)) return;
+                try {
+                    await apiRequest(`/api/subjects/${subject.id}`, { method: 'DELETE' });
+                    refresh();
+                } catch (error) {
+                    showPanelError(error);
+                }
+            } }, el('i', { className: 'fas fa-trash-alt' })) : null
+        )));
+
+        content.append(el('h3', {}, 'New subject'), subjectForm(null, { canCreateGlobal, onSaved: refresh }));
+    } catch (error) {
+        showPanelError(error);
+    }
+}
+
+document.getElementById('manage-subjects-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    if (!isLoggedIn()) return showLogin();
+    showSubjects();
+});
+
+// Private subjects come and go with the session
+document.addEventListener('auth-change', loadSubjects);
+
+loadSubjects();
@@ -0,0 +1,124 @@
+// public/js/sync.js
+// Registers the service worker (/sw.js) and sends the outbox to /api/chat,
+// oldest message first, whenever the browser is online and signed in.
+import { apiRequest, isLoggedIn } from './api.js';
+import { currentSubject, createMessage } from './chat.js';
+import { openConversation } from './conversations.js';
+import { pendingMessages, removeMessage } from './outbox.js';
+
+const API_CACHE = 'study-buddy-api';
+// How long to wait before trying again when the server can't be reached but the browser is online
+const RETRY_DELAY_MS = 30 * 1000;
+
+const chatMessages = document.getElementById('chat-messages');
+
+let syncing = false;
+let retryTimer = null;
+
+export function isSyncing() {
+    return syncing;
+}
+
+function setSyncing(value) {
+    syncing = value;
+    document.dispatchEvent(new CustomEvent('outbox-change'));
+}
+
+/**
+ * How long to wait before sending a failed message again, or null when
+ * another try won't help. Lost connections and server trouble clear up soon
+ * and other 429s say when to come back; a used-up AI quota lasts until the
+ * next day or month, so that message is refused like any other.
+ */
+function retryDelay(error) {
+    if (!error.status || error.status >= 500) return RETRY_DELAY_MS;
+    if (error.status === 429 && error.code !== 'quota_exceeded') {
+        return Math.max(RETRY_DELAY_MS, (error.retryAfter || 0) * 1000);
+    }
+    return null;
+}
+
+/**
+ * Sends one queued message. Resolves with { conversationId } for the thread
+ * it went to, { retryIn } (ms) when it should stay queued (everything after
+ * it waits too, to keep the order), or {} when the server refused it and it
+ * was dropped.
+ */
+async function send(entry, threads) {
+    try {
+        const { conversationId } = await apiRequest('/api/chat', {
+            method: 'POST',
+            json: {
+                userId: entry.userId,
+                message: entry.message,
+                subject: entry.subject,
+                documentId: entry.documentId,
+                clientMessageId: entry.clientMessageId,
+                // Messages queued with no thread open follow the first one into the thread it landed in
+                conversationId: entry.conversationId ?? threads.get(entry.subject)
+            }
+        });
+        await removeMessage(entry.id);
+        return { conversationId };
+    } catch (error) {
+        const retryIn = retryDelay(error);
+        if (retryIn !== null) return { retryIn };
+
+        // The server refused it (e.g. the subject was deleted), so retrying won't help
+        console.error('Outbox error:', error);
+        await removeMessage(entry.id);
+        createMessage('system', `Couldn't send "${entry.message.slice(0, 60)}": ${error.message}`).element.classList.add('error');
+        return {};
+    }
+}
+
+export async function flushOutbox() {
+    if (syncing || !navigator.onLine || !isLoggedIn()) return;
+
+    clearTimeout(retryTimer);
+    const userId = localStorage.getItem('userId');
+    const threads = new Map();
+    let sent = 0;
+    setSyncing(true);
+
+    try {
+        // Re-read each time so messages queued during the sync are sent too
+        for (let [entry] = await pendingMessages(userId); entry; [entry] = await pendingMessages(userId)) {
+            const { conversationId, retryIn } = await send(entry, threads);
+            if (retryIn) {
+                retryTimer = setTimeout(flushOutbox, retryIn);
+                break;
+            }
+            if (!conversationId) continue;
+
+            sent++;
+            if (entry.conversationId == null) threads.set(entry.subject, conversationId);
+        }
+    } catch (error) {
+        console.error('Outbox error:', error);
+    } finally {
+        setSyncing(false);
+    }
+
+    if (!sent) return;
+
+    // Swap the queued bubbles for the saved messages and their answers
+    const openId = Number(chatMessages.dataset.conversationId) || threads.get(currentSubject());
+    if (openId) await openConversation(openId).catch(error => console.error('Conversations error:', error));
+    else document.dispatchEvent(new CustomEvent('conversation-activity'));
+}
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(error => console.error('Service worker error:', error));
+}
+
+document.addEventListener('auth-change', ({ detail }) => {
+    // Cached API reads belong to the account that fetched them
+    if ('caches' in window) caches.delete(API_CACHE);
+    if (detail.loggedIn) flushOutbox();
+});
+
+document.addEventListener('outbox-queued', flushOutbox);
+window.addEventListener('online', flushOutbox);
+
+flushOutbox();
@@ -0,0 +1,72 @@
+// public/js/voice.js
+// Voice input for the chat box (Web Speech API recognition) and "Listen"
+// on tutor answers (speech synthesis). Both hide when the browser lacks them.
+import { plainText } from './markdown.js';
+
+const chatInput = document.getElementById('chat-input');
+const voiceButton = document.getElementById('voice-btn');
+
+const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+
+let recognition = null;
+
+function startDictation() {
+    recognition = new Recognition();
+    recognition.lang = navigator.language || 'en-US';
+    recognition.interimResults = true;
+
+    // Dictation is added after whatever was already typed
+    const typed = chatInput.value ? `${chatInput.value.trimEnd()} ` : '';
+
+    recognition.onresult = (event) => {
+        const spoken = Array.from(event.results, result => result[0].transcript).join('');
+        chatInput.value = typed + spoken;
+    };
+    recognition.onerror = (event) => {
+        if (event.error === 'not-allowed') alert('Allow microphone access to use voice input.');
+    };
+    recognition.onend = () => {
+        recognition = null;
+        voiceButton.classList.remove('listening');
+        chatInput.focus();
+    };
+
+    recognition.start();
+    voiceButton.classList.add('listening');
+}
+
+function addListenButton(element) {
+    let actions = element.querySelector('.message-actions');
+    if (!actions) {
+        actions = document.createElement('div');
+        actions.className = 'message-actions';
+        element.appendChild(actions);
+    }
+
+    const button = document.createElement('button');
+    button.className = 'action-btn';
+    button.innerHTML = '<i class="fas fa-volume-up"></i> Listen';
+    button.addEventListener('click', () => {
+        // A second click stops the answer that is being read out
+        const speaking = speechSynthesis.speaking;
+        speechSynthesis.cancel();
+        if (speaking) return;
+
+        const text = plainText(element.querySelector('.message-content'));
+        speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+    });
+    actions.prepend(button);
+}
+
+if (Recognition) {
+    voiceButton.addEventListener('click', () => {
+        if (recognition) recognition.stop();
+        else startDictation();
+    });
+} else {
+    voiceButton.classList.add('hidden');
+}
+
+if ('speechSynthesis' in window) {
+    document.addEventListener('ai-message', ({ detail }) => addListenButton(detail.element));
+}
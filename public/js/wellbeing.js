@@ -0,0 +1,40 @@
+// public/js/wellbeing.js
+// Shows the break suggestion the server sends after a long run of confused
+// or frustrated messages, with an optional five-minute break timer.
+import { el } from './panel.js';
+
+const BREAK_MINUTES = 5;
+
+const chatMessages = document.getElementById('chat-messages');
+
+function formatRemaining(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function startBreak(notice) {
+    let remaining = BREAK_MINUTES * 60;
+    const countdown = el('strong', {}, formatRemaining(remaining));
+    notice.replaceChildren(el('i', { className: 'fas fa-mug-hot' }), ' Break time: ', countdown, ' — step away from the screen.');
+
+    const timer = setInterval(() => {
+        remaining -= 1;
+        countdown.textContent = formatRemaining(remaining);
+        if (remaining > 0) return;
+
+        clearInterval(timer);
+        notice.replaceChildren(el('i', { className: 'fas fa-seedling' }), " Welcome back! Let's pick up where you left off.");
+    }, 1000);
+}
+
+document.addEventListener('mood-intervention', ({ detail }) => {
+    if (!detail.message) return;
+
+    const notice = el('div', { className: 'wellbeing-notice' },
+        el('i', { className: 'fas fa-heart' }),
+        ` ${detail.message} `,
+        el('button', { className: 'action-btn', onclick: () => startBreak(notice) }, `Take a ${BREAK_MINUTES}-minute break`),
+        el('button', { className: 'action-btn', onclick: () => notice.remove() }, 'Keep going')
+    );
+    chatMessages.appendChild(notice);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+});
@@ -0,0 +1,121 @@
+// public/sw.js
+// Service worker: keeps the app shell (with the vendored libraries) and the
+// CDN stylesheets cached so the app opens offline, and keeps the latest copy of the API reads that
+// should stay readable offline: subjects, threads, notes, flashcards,
+// documents and progress. Bump VERSION when the shell list changes.
+const VERSION = 'v2';
+const SHELL_CACHE = `study-buddy-shell-${VERSION}`;
+const CDN_CACHE = 'study-buddy-cdn';
+// Per-user data; the page deletes it on sign-in and sign-out (js/sync.js)
+const API_CACHE = 'study-buddy-api';
+
+const SHELL = [
+    '/',
+    '/style.css',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/icons/icon-192.png',
+    '/vendor/marked-12.0.2.min.js',
+    '/vendor/purify-3.1.6.min.js',
+    '/vendor/katex-0.16.9.min.js',
+    '/vendor/highlight-11.9.0.min.js',
+    ...[
+        'account', 'api', 'auth', 'charts', 'chat', 'citations', 'connection', 'conversations',
+        'documents', 'exports', 'flashcards', 'markdown', 'notes', 'outbox', 'panel', 'progress',
+        'quiz', 'search', 'subjects', 'sync', 'voice', 'wellbeing'
+    ].map(name => `/js/${name}.js`)
+];
+
+const CDN_HOST = 'cdnjs.cloudflare.com';
+
+const OFFLINE_API = /^\/api\/(subjects|conversations|history|notes|flashcards|documents|progress|user)(\/|$)/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('study-buddy-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+function offlineResponse() {
+    return new Response(JSON.stringify({
+        error: "You're offline and this hasn't been saved for offline use yet.",
+        code: 'offline'
+    }), { status: 503, headers: { 'Content-Type': 'application/json' } });
+}
+
+// Fresh data when online; the last good copy when not
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        return (await cache.match(request)) || null;
+    }
+}
+
+// Shell files answer from the cache at once and refresh in the background
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const refresh = fetch(request)
+        .then((response) => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    return cached || (await refresh) || Response.error();
+}
+
+// Versioned CDN URLs never change, so a cached copy is always good
+async function cacheFirst(request) {
+    const cache = await caches.open(CDN_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.hostname === CDN_HOST) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        // Every page is the app; links with ?verify= or ?reset= tokens are never cached
+        event.respondWith(fetch(request).catch(() => caches.match('/')));
+        return;
+    }
+
+    if (url.pathname.startsWith('/api/')) {
+        if (OFFLINE_API.test(url.pathname)) {
+            event.respondWith(networkFirst(request, API_CACHE).then(response => response || offlineResponse()));
+        }
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(request));
+});
@@ -0,0 +1,76 @@
+// server/accountData.js
+// What we store about a user, on their request: a JSON archive of every row
+// that belongs to them, and deleting the account with all of it.
+const bcrypt = require('bcryptjs');
+const { all, transaction } = require('./database');
+const { HttpError } = require('./errors');
+const users = require('./repositories/users');
+const { addAuditLog } = require('./repositories/auditLogs');
+
+// Each table and how to find the user's rows in it. Secrets (password and
+// token hashes) are left out; `omit` lists the columns to drop.
+const EXPORT_TABLES = [
+    { table: 'Sessions', where: 'userId = ?' },
+    { table: 'AuthTokens', where: 'userId = ?', omit: ['token_hash'] },
+    { table: 'Subjects', where: 'ownerId = ?' },
+    { table: 'Conversations', where: 'userId = ?' },
+    { table: 'ConversationSummaries', where: 'conversationId IN (SELECT id FROM Conversations WHERE userId = ?)' },
+    { table: 'ChatMessages', where: 'userId = ?' },
+    { table: 'MoodLogs', where: 'userId = ?' },
+    { table: 'Documents', where: 'userId = ?' },
+    { table: 'DocumentChunks', where: 'documentId IN (SELECT id FROM Documents WHERE userId = ?)' },
+    { table: 'Quizzes', where: 'userId = ?' },
+    { table: 'QuizQuestions', where: 'quizId IN (SELECT id FROM Quizzes WHERE userId = ?)' },
+    { table: 'QuizAttempts', where: 'userId = ?' },
+    { table: 'FlashcardDecks', where: 'userId = ?' },
+    { table: 'Flashcards', where: 'userId = ?' },
+    { table: 'FlashcardReviews', where: 'userId = ?' },
+    { table: 'Notebooks', where: 'userId = ?' },
+    { table: 'Notes', where: 'userId = ?' },
+    { table: 'NoteTags', where: 'noteId IN (SELECT id FROM Notes WHERE userId = ?)' },
+    { table: 'LlmUsage', where: 'userId = ?' },
+    { table: 'AuditLogs', where: 'userId = ? OR target_user_id = ?', params: 2 }
+];
+
+function omitColumns(row, columns = []) {
+    const copy = { ...row };
+    columns.forEach(column => delete copy[column]);
+    return copy;
+}
+
+// Resolves with { exportedAt, user, tables: { TableName: [rows] } }
+async function exportAccount(db, userId) {
+    const user = await users.findUserById(db, userId);
+    if (!user) throw new HttpError('Account not found.', 404, 'user_not_found');
+
+    const tables = {};
+    for (const { table, where, omit, params = 1 } of EXPORT_TABLES) {
+        const rows = await all(db, `SELECT * FROM ${table} WHERE ${where} ORDER BY rowid ASC`, Array(params).fill(userId));
+        tables[table] = rows.map(row => omitColumns(row, omit));
+    }
+
+    return { exportedAt: new Date().toISOString(), user, tables };
+}
+
+/**
+ * Deletes the account after checking `password`. The foreign keys cascade
+ * to everything the user owns; audit entries are kept without the user.
+ */
+async function deleteAccount(db, userId, password, request = {}) {
+    const passwordHash = await users.findPasswordHash(db, userId);
+    if (!passwordHash) throw new HttpError('Account not found.', 404, 'user_not_found');
+
+    if (typeof password !== 'string' || !await bcrypt.compare(password, passwordHash)) {
+        throw new HttpError('Password is incorrect.', 403, 'invalid_password');
+    }
+
+    await transaction(async (tx) => {
+        await users.deleteUser(tx, userId);
+        await addAuditLog(tx, { userId: null, action: 'account_delete', targetUserId: userId, ...request });
+    });
+}
+
+module.exports = {
+    exportAccount,
+    deleteAccount
+};
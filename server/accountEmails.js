@@ -0,0 +1,111 @@
+// server/accountEmails.js
+// Account flows driven by emailed links: verifying an address and resetting a
+// forgotten password. Links carry a random single-use token; only its hash is stored.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { transaction } = require('./database');
+const { HttpError } = require('./errors');
+const { getMailer } = require('./mail');
+const { verificationEmail, passwordResetEmail } = require('./mail/templates');
+const users = require('./repositories/users');
+const authTokens = require('./repositories/authTokens');
+const { revokeUserSessions } = require('./repositories/sessions');
+
+const VERIFY_TOKEN_MINUTES = 48 * 60;
+const RESET_TOKEN_MINUTES = 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+function appUrl() {
+    return (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new HttpError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`, 400, 'weak_password');
+    }
+}
+
+// Replaces any outstanding token for `purpose` and returns the new raw token
+async function issueToken(db, userId, purpose, minutes) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await transaction(async (tx) => {
+        await authTokens.invalidateAuthTokens(tx, userId, purpose);
+        await authTokens.createAuthToken(tx, { userId, purpose, tokenHash: hashToken(token), minutes });
+    });
+
+    return token;
+}
+
+// Marks the token used and returns its row; 400 if it is unknown, used or expired
+async function consumeToken(db, purpose, token) {
+    const stored = token && await authTokens.findValidAuthToken(db, purpose, hashToken(String(token)));
+
+    if (!stored || !await authTokens.markAuthTokenUsed(db, stored.id)) {
+        throw new HttpError('This link is invalid or has expired.', 400, 'invalid_token');
+    }
+    return stored;
+}
+
+async function sendVerificationEmail(db, user) {
+    const token = await issueToken(db, user.id, 'verify_email', VERIFY_TOKEN_MINUTES);
+    const link = `${appUrl()}/?verify=${encodeURIComponent(token)}`;
+
+    await getMailer().send({
+        to: user.email,
+        ...verificationEmail({ name: user.name, link, hours: VERIFY_TOKEN_MINUTES / 60 })
+    });
+}
+
+async function verifyEmail(db, token) {
+    const { userId } = await consumeToken(db, 'verify_email', token);
+    await users.markEmailVerified(db, userId);
+    return userId;
+}
+
+/**
+ * Emails a reset link if the address belongs to an account. Callers should
+ * answer the same way either way so the endpoint can't be used to probe emails.
+ */
+async function requestPasswordReset(db, email) {
+    const user = email && await users.findUserByEmail(db, email);
+    if (!user) return;
+
+    const token = await issueToken(db, user.id, 'reset_password', RESET_TOKEN_MINUTES);
+    const link = `${appUrl()}/?reset=${encodeURIComponent(token)}`;
+
+    await getMailer().send({
+        to: user.email,
+        ...passwordResetEmail({ name: user.name, link, minutes: RESET_TOKEN_MINUTES })
+    });
+}
+
+/**
+ * Sets a new password and signs the account out everywhere. Following the
+ * link also proves the student controls the address, so it counts as verified.
+ */
+async function resetPassword(db, token, password) {
+    validatePassword(password);
+    const { userId } = await consumeToken(db, 'reset_password', token);
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    await transaction(async (tx) => {
+        await users.updatePassword(tx, userId, passwordHash);
+        await users.markEmailVerified(tx, userId);
+        await revokeUserSessions(tx, userId, 'password_reset');
+    });
+
+    return userId;
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    sendVerificationEmail,
+    verifyEmail,
+    requestPasswordReset,
+    resetPassword
+};
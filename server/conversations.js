@@ -0,0 +1,80 @@
+// server/conversations.js
+// Conversation threads: choosing the thread a chat message goes to, and
+// forking a new thread from an earlier message.
+const { get, transaction } = require('./database');
+const { HttpError } = require('./errors');
+const conversations = require('./repositories/conversations');
+const { copyMessagesThrough } = require('./repositories/messages');
+
+const DEFAULT_TITLE = 'New conversation';
+const MAX_TITLE_LENGTH = 100;
+
+// A thread started by a chat message is named after the start of that message
+function titleFromMessage(message) {
+    const text = message.replace(/\s+/g, ' ').trim();
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text || DEFAULT_TITLE;
+}
+
+/**
+ * The thread a chat message belongs in: `conversationId` when given (it must
+ * be the user's, in this subject, and not archived), otherwise the subject's
+ * most recent thread, otherwise a new one. Resolves with its id.
+ */
+async function resolveChatConversation(db, { userId, subjectId, conversationId, message }) {
+    if (conversationId) {
+        const conversation = await conversations.getConversation(db, userId, conversationId);
+
+        if (!conversation || conversation.subjectId !== subjectId) {
+            throw new HttpError('Conversation not found.', 404, 'conversation_not_found');
+        }
+        if (conversation.archived_at) {
+            throw new HttpError('This conversation is archived. Restore it to keep chatting.', 409, 'conversation_archived');
+        }
+        return conversation.id;
+    }
+
+    const latest = await conversations.latestConversation(db, userId, subjectId);
+    if (latest) return latest.id;
+
+    return conversations.createConversation(db, { userId, subjectId, title: titleFromMessage(message) });
+}
+
+/**
+ * Starts a new thread holding a copy of `conversation` up to and including
+ * `messageId`. Resolves with the new conversation.
+ */
+async function forkConversation(db, userId, conversation, messageId, title) {
+    const message = await get(db,
+        'SELECT id FROM ChatMessages WHERE id = ? AND conversationId = ?',
+        [messageId, conversation.id]
+    );
+    if (!message) {
+        throw new HttpError('Message not found in this conversation.', 404, 'message_not_found');
+    }
+
+    const forkId = await transaction(async (tx) => {
+        const id = await conversations.createConversation(tx, {
+            userId,
+            subjectId: conversation.subjectId,
+            title: title || `${conversation.title} (fork)`.slice(0, MAX_TITLE_LENGTH),
+            forkedFromMessageId: messageId
+        });
+
+        await copyMessagesThrough(tx, conversation.id, id, message.id);
+        return id;
+    });
+
+    return conversations.getConversation(db, userId, forkId);
+}
+
+async function deleteConversation(db, userId, id) {
+    return transaction(tx => conversations.deleteConversation(tx, userId, id));
+}
+
+module.exports = {
+    DEFAULT_TITLE,
+    MAX_TITLE_LENGTH,
+    resolveChatConversation,
+    forkConversation,
+    deleteConversation
+};
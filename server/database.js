@@ -2,6 +2,8 @@ require('dotenv').config();
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { migrate } = require('./migrate');
+const { seed } = require('./seeds');
 
 // Verify environment variables
 if (!process.env.DB_PATH) {
@@ -10,9 +12,16 @@ if (!process.env.DB_PATH) {
 
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'database', 'ai_study_buddy.db');
 
+// How long a connection waits for another one's write lock before failing
+const BUSY_TIMEOUT_MS = 5000;
+
 // Database connection reference
 let dbInstance = null;
 
+// Dedicated connection for transactions, and the queue that runs them one at a time
+let transactionDb = null;
+let transactionQueue = Promise.resolve();
+
 async function getDatabaseConnection() {
     if (dbInstance) return dbInstance;
     
@@ -24,10 +33,21 @@ async function getDatabaseConnection() {
         console.log('✅ Connected to SQLite database');
         dbInstance.run("PRAGMA foreign_keys = ON");
     });
+    dbInstance.configure('busyTimeout', BUSY_TIMEOUT_MS);
     
     return dbInstance;
 }
 
+function getTransactionConnection() {
+    if (transactionDb) return transactionDb;
+
+    transactionDb = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READWRITE);
+    transactionDb.configure('busyTimeout', BUSY_TIMEOUT_MS);
+    transactionDb.run("PRAGMA foreign_keys = ON");
+
+    return transactionDb;
+}
+
 async function setupDatabase() {
     try {
         // Create database directory
@@ -40,13 +60,9 @@ async function setupDatabase() {
 
         const db = await getDatabaseConnection();
 
-        // Create tables
-        await Promise.all([
-            createUsersTable(db),
-            createSubjectsTable(db),
-            createChatMessagesTable(db),
-            createMoodLogsTable(db)
-        ]);
+        // Bring the schema up to date, then make sure reference data exists
+        await migrate(db, helpers);
+        await seed(db, helpers);
 
         console.log('🎉 Database setup complete!');
         console.log(`📁 Database location: ${DB_PATH}`);
@@ -58,122 +74,76 @@ async function setupDatabase() {
     }
 }
 
-// Table creation functions
-async function createUsersTable(db) {
+// Promise wrappers for the callback-style sqlite3 API
+function run(db, sql, params = []) {
     return new Promise((resolve, reject) => {
-        db.run(`
-            CREATE TABLE IF NOT EXISTS Users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT NOT NULL,
-                email TEXT NOT NULL UNIQUE,
-                password TEXT NOT NULL,
-                avatar_color TEXT DEFAULT '#4361ee',
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                last_login DATETIME
-            )
-        `, (err) => {
+        db.run(sql, params, function (err) {
             if (err) return reject(err);
-            console.log('✅ Users table ready');
-            resolve();
+            resolve({ lastID: this.lastID, changes: this.changes });
         });
     });
 }
 
-async function createSubjectsTable(db) {
+function get(db, sql, params = []) {
     return new Promise((resolve, reject) => {
-        db.run(`
-            CREATE TABLE IF NOT EXISTS Subjects (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT NOT NULL UNIQUE,
-                color TEXT NOT NULL,
-                icon TEXT NOT NULL
-            )
-        `, async (err) => {
-            if (err) return reject(err);
-            
-            // Insert default subjects if table was just created
-            const row = await new Promise(r => 
-                db.get("SELECT COUNT(*) as count FROM Subjects", r)
-            );
-            
-            if (row.count === 0) {
-                await insertDefaultSubjects(db);
-            }
-            
-            console.log('✅ Subjects table ready');
-            resolve();
-        });
+        db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
     });
 }
 
-async function insertDefaultSubjects(db) {
-    const defaultSubjects = [
-        { name: 'Quantum Physics', color: '#7209b7', icon: 'atom' },
-        { name: 'Molecular Biology', color: '#2a9d8f', icon: 'dna' },
-        // Add other default subjects...
-    ];
-
-    await Promise.all(defaultSubjects.map(subject => {
-        return new Promise((resolve, reject) => {
-            db.run(
-                `INSERT INTO Subjects (name, color, icon) VALUES (?, ?, ?)`,
-                [subject.name, subject.color, subject.icon],
-                (err) => err ? reject(err) : resolve()
-            );
-        });
-    }));
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
 }
 
-async function createChatMessagesTable(db) {
+// Runs one or more statements without parameters (schema changes, transactions)
+function exec(db, sql) {
     return new Promise((resolve, reject) => {
-        db.run(`
-            CREATE TABLE IF NOT EXISTS ChatMessages (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                userId INTEGER NOT NULL,
-                subjectId INTEGER NOT NULL,
-                sender TEXT NOT NULL CHECK(sender IN ('user', 'ai', 'system')),
-                text TEXT NOT NULL,
-                is_saved BOOLEAN DEFAULT 0,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                sentiment_score REAL,
-                sentiment_magnitude REAL,
-                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
-                FOREIGN KEY (subjectId) REFERENCES Subjects(id) ON DELETE CASCADE
-            )
-        `, (err) => {
-            if (err) return reject(err);
-            console.log('✅ ChatMessages table ready');
-            resolve();
-        });
+        db.exec(sql, (err) => err ? reject(err) : resolve());
     });
 }
 
-async function createMoodLogsTable(db) {
-    return new Promise((resolve, reject) => {
-        db.run(`
-            CREATE TABLE IF NOT EXISTS MoodLogs (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                userId INTEGER NOT NULL,
-                subjectId INTEGER NOT NULL,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                score REAL NOT NULL,
-                magnitude REAL NOT NULL,
-                message TEXT,
-                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
-                FOREIGN KEY (subjectId) REFERENCES Subjects(id) ON DELETE CASCADE
-            )
-        `, (err) => {
-            if (err) return reject(err);
-            console.log('✅ MoodLogs table ready');
-            resolve();
-        });
+/**
+ * Runs `work(txDb)` between BEGIN IMMEDIATE and COMMIT and resolves with its
+ * result; if it throws, everything it wrote is rolled back. `work` must use
+ * the `txDb` it is given for every write.
+ *
+ * Transactions run one at a time on their own connection, so statements that
+ * concurrent requests send through the shared connection can't end up inside
+ * (or be rolled back with) someone else's transaction.
+ */
+function transaction(work) {
+    const result = transactionQueue.then(async () => {
+        const db = getTransactionConnection();
+        await exec(db, 'BEGIN IMMEDIATE');
+
+        try {
+            const value = await work(db);
+            await exec(db, 'COMMIT');
+            return value;
+        } catch (error) {
+            await exec(db, 'ROLLBACK').catch(() => {});
+            throw error;
+        }
     });
+
+    transactionQueue = result.catch(() => {});
+    return result;
 }
 
+// Handed to migrations and seeds so they don't need to require this module
+const helpers = { run, get, all, exec };
+
 // Export for use in other files
 module.exports = {
     setupDatabase,
-    getDatabaseConnection
+    getDatabaseConnection,
+    run,
+    get,
+    all,
+    exec,
+    transaction,
+    helpers
 };
 
 // Run setup if this is the main module
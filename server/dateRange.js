@@ -0,0 +1,42 @@
+// server/dateRange.js
+// The ?from= / ?to= filters shared by exports and search: inclusive
+// YYYY-MM-DD dates compared against stored UTC timestamps.
+const { HttpError } = require('./errors');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value, label) {
+    if (!value) return null;
+    if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new HttpError(`${label} must be a date like 2024-09-30.`);
+    }
+    return value;
+}
+
+// Resolves { from, to } (either may be null) or throws a 400
+function parseDateRange({ from, to }) {
+    const range = { from: parseDate(from, 'from'), to: parseDate(to, 'to') };
+    if (range.from && range.to && range.from > range.to) throw new HttpError('from must not be after to.');
+    return range;
+}
+
+// SQL conditions limiting `column` to the range, with their parameters
+function dateRangeFilter(column, { from, to }) {
+    const conditions = [];
+    const params = [];
+
+    if (from) {
+        conditions.push(`${column} >= ?`);
+        params.push(from);
+    }
+    if (to) {
+        conditions.push(`${column} < date(?, '+1 day')`);
+        params.push(to);
+    }
+    return { sql: conditions.map(condition => ` AND ${condition}`).join(''), params };
+}
+
+module.exports = {
+    parseDateRange,
+    dateRangeFilter
+};
@@ -0,0 +1,64 @@
+// server/documents/chunk.js
+// Splits page text into overlapping chunks for storage and retrieval.
+// Chunks never span pages so every chunk can be cited by page number.
+
+const CHUNK_SIZE = 1200;    // characters
+const CHUNK_OVERLAP = 200;  // characters repeated from the previous chunk
+
+// Prefer to cut at a paragraph, then a sentence, then a word boundary
+function findBreak(text, start, end) {
+    if (end >= text.length) return text.length;
+
+    const window = text.slice(start, end);
+    const minimum = Math.floor((end - start) / 2);
+
+    for (const pattern of [/\n\s*\n/g, /[.!?]\s/g, /\s/g]) {
+        let last = -1;
+        let match;
+        while ((match = pattern.exec(window)) !== null) last = match.index + match[0].length;
+        if (last >= minimum) return start + last;
+    }
+
+    return end;
+}
+
+function chunkPage(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+    const clean = text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+    const chunks = [];
+    let start = 0;
+
+    while (start < clean.length) {
+        const end = findBreak(clean, start, start + size);
+        const chunk = clean.slice(start, end).trim();
+        if (chunk) chunks.push(chunk);
+        if (end >= clean.length) break;
+
+        // Step back for overlap, but always move forward
+        start = Math.max(end - overlap, start + 1);
+        const nextSpace = clean.indexOf(' ', start);
+        if (nextSpace !== -1 && nextSpace < end) start = nextSpace + 1;
+    }
+
+    return chunks;
+}
+
+/**
+ * Turns `[{ pageNumber, text }]` into `[{ chunkIndex, pageNumber, text }]`.
+ */
+function chunkPages(pages, options) {
+    const chunks = [];
+
+    pages.forEach(page => {
+        chunkPage(page.text, options).forEach(text => {
+            chunks.push({ chunkIndex: chunks.length, pageNumber: page.pageNumber, text });
+        });
+    });
+
+    return chunks;
+}
+
+module.exports = {
+    CHUNK_SIZE,
+    CHUNK_OVERLAP,
+    chunkPages
+};
@@ -0,0 +1,11 @@
+// server/documents/errors.js
+const { HttpError } = require('../errors');
+
+// Raised for uploads we can understand but cannot ingest
+class DocumentError extends HttpError {
+    constructor(message, status = 400, code = 'invalid_document') {
+        super(message, status, code);
+    }
+}
+
+module.exports = { DocumentError };
@@ -0,0 +1,74 @@
+// server/documents/extract.js
+// Page-by-page text extraction for uploaded course PDFs.
+const pdf = require('pdf-parse/lib/pdf-parse.js');
+const { DocumentError } = require('./errors');
+
+// Pages with fewer characters than this are treated as images (scans)
+const MIN_TEXT_PER_PAGE = 20;
+
+function renderPageText(pageData) {
+    return pageData.getTextContent({ normalizeWhitespace: true }).then(textContent => {
+        let lastY;
+        let text = '';
+
+        // pdf.js returns positioned fragments; start a new line whenever the baseline moves
+        for (const item of textContent.items) {
+            if (lastY !== undefined && lastY !== item.transform[5]) text += '\n';
+            text += item.str;
+            lastY = item.transform[5];
+        }
+
+        return text;
+    });
+}
+
+/**
+ * Extracts the text of every page of a PDF.
+ * Resolves with `[{ pageNumber, text }]`; rejects with a DocumentError for
+ * files that are not PDFs, are password protected, or contain no text layer.
+ */
+async function extractPdfPages(buffer) {
+    if (!buffer || buffer.slice(0, 5).toString('latin1') !== '%PDF-') {
+        throw new DocumentError('The uploaded file is not a PDF.', 415, 'not_pdf');
+    }
+
+    const pages = [];
+
+    try {
+        // pdf.js ignores byteOffset, and Node buffers are often views into a
+        // shared pool, so hand it a copy that starts at offset 0
+        await pdf(new Uint8Array(buffer), {
+            pagerender: async (pageData) => {
+                const text = await renderPageText(pageData);
+                pages.push({ pageNumber: pageData.pageNumber, text: text.trim() });
+                return text;
+            }
+        });
+    } catch (error) {
+        if (error.name === 'PasswordException') {
+            throw new DocumentError(
+                'This PDF is password protected. Remove the password and upload it again.',
+                422,
+                'encrypted_pdf'
+            );
+        }
+        throw new DocumentError('The PDF could not be read. It may be damaged.', 422, 'unreadable_pdf');
+    }
+
+    if (!pages.length) {
+        throw new DocumentError('The PDF has no pages.', 422, 'empty_pdf');
+    }
+
+    const textChars = pages.reduce((total, page) => total + page.text.length, 0);
+    if (textChars < MIN_TEXT_PER_PAGE * pages.length) {
+        throw new DocumentError(
+            'No text could be found in this PDF. It looks like a scanned document; run it through OCR first.',
+            422,
+            'scanned_pdf'
+        );
+    }
+
+    return pages.sort((a, b) => a.pageNumber - b.pageNumber);
+}
+
+module.exports = { extractPdfPages };
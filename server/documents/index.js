@@ -0,0 +1,104 @@
+// server/documents/index.js
+// Stores uploaded course documents and their text chunks.
+const { run, get, all, transaction } = require('../database');
+const { extractPdfPages } = require('./extract');
+const { chunkPages } = require('./chunk');
+const { DocumentError } = require('./errors');
+
+const DOCUMENT_COLUMNS = `d.id, d.name, d.original_filename, d.size_bytes, d.page_count,
+    d.chunk_count, d.created_at, d.updated_at, s.name as subject`;
+
+async function getDocument(db, userId, documentId) {
+    return get(db,
+        `SELECT ${DOCUMENT_COLUMNS}
+         FROM Documents d
+         JOIN Subjects s ON d.subjectId = s.id
+         WHERE d.id = ? AND d.userId = ?`,
+        [documentId, userId]
+    );
+}
+
+// Chunks of one page, used to show the passage behind a citation
+async function getPageChunks(db, userId, documentId, pageNumber) {
+    return all(db,
+        `SELECT dc.id, dc.chunk_index, dc.text
+         FROM DocumentChunks dc
+         JOIN Documents d ON d.id = dc.documentId
+         WHERE dc.documentId = ? AND d.userId = ? AND dc.page_number = ?
+         ORDER BY dc.chunk_index ASC`,
+        [documentId, userId, pageNumber]
+    );
+}
+
+async function listDocuments(db, userId, subjectId) {
+    const params = [userId];
+    let query = `
+        SELECT ${DOCUMENT_COLUMNS}
+        FROM Documents d
+        JOIN Subjects s ON d.subjectId = s.id
+        WHERE d.userId = ?
+    `;
+
+    if (subjectId) {
+        query += ' AND d.subjectId = ?';
+        params.push(subjectId);
+    }
+
+    query += ' ORDER BY d.created_at DESC, d.id DESC';
+    return all(db, query, params);
+}
+
+/**
+ * Extracts, chunks and stores a PDF for a user and subject.
+ * Resolves with the stored document row.
+ */
+async function ingestDocument(db, { userId, subjectId, name, filename, buffer }) {
+    const pages = await extractPdfPages(buffer);
+    const chunks = chunkPages(pages);
+
+    // The document and all of its chunks are stored together or not at all
+    const documentId = await transaction(async (tx) => {
+        const result = await run(tx,
+            `INSERT INTO Documents (userId, subjectId, name, original_filename, size_bytes, page_count, chunk_count)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, subjectId, name, filename, buffer.length, pages.length, chunks.length]
+        );
+
+        for (const chunk of chunks) {
+            await run(tx,
+                'INSERT INTO DocumentChunks (documentId, chunk_index, page_number, text) VALUES (?, ?, ?, ?)',
+                [result.lastID, chunk.chunkIndex, chunk.pageNumber, chunk.text]
+            );
+        }
+
+        return result.lastID;
+    });
+
+    return getDocument(db, userId, documentId);
+}
+
+async function renameDocument(db, userId, documentId, name) {
+    const result = await run(db,
+        'UPDATE Documents SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND userId = ?',
+        [name, documentId, userId]
+    );
+    return result.changes ? getDocument(db, userId, documentId) : null;
+}
+
+async function deleteDocument(db, userId, documentId) {
+    const result = await run(db,
+        'DELETE FROM Documents WHERE id = ? AND userId = ?',
+        [documentId, userId]
+    );
+    return result.changes > 0;
+}
+
+module.exports = {
+    DocumentError,
+    getDocument,
+    getPageChunks,
+    listDocuments,
+    ingestDocument,
+    renameDocument,
+    deleteDocument
+};
@@ -0,0 +1,78 @@
+// server/documents/retrieve.js
+// BM25 retrieval over uploaded document chunks (SQLite FTS5).
+const { all } = require('../database');
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+    'explain', 'for', 'from', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'please',
+    'so', 'tell', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why',
+    'with', 'you', 'your'
+]);
+
+// Turns a free-text question into an FTS5 query of quoted terms joined by OR,
+// so punctuation in the question can never break the MATCH syntax.
+function toMatchQuery(question) {
+    const terms = (question.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(term => term.length > 1 && !STOPWORDS.has(term));
+
+    return [...new Set(terms)].map(term => `"${term}"`).join(' OR ');
+}
+
+/**
+ * Returns the chunks that best match `question`, best first:
+ * `[{ chunkId, documentId, documentName, pageNumber, text }]`.
+ * Pass `documentId` to search a single document.
+ */
+async function retrieveChunks(db, { userId, subjectId, documentId, question, limit = 4 }) {
+    const match = toMatchQuery(question);
+    if (!match) return [];
+
+    const params = [match, userId, subjectId];
+    let query = `
+        SELECT dc.id as chunkId, d.id as documentId, d.name as documentName,
+               dc.page_number as pageNumber, dc.text
+        FROM DocumentChunksFts
+        JOIN DocumentChunks dc ON dc.id = DocumentChunksFts.rowid
+        JOIN Documents d ON d.id = dc.documentId
+        WHERE DocumentChunksFts MATCH ? AND d.userId = ? AND d.subjectId = ?
+    `;
+
+    if (documentId) {
+        query += ' AND d.id = ?';
+        params.push(documentId);
+    }
+
+    query += ' ORDER BY bm25(DocumentChunksFts) LIMIT ?';
+    params.push(limit);
+
+    return all(db, query, params);
+}
+
+// System prompt section that grounds the answer in the retrieved excerpts
+function buildGroundingPrompt(chunks) {
+    const excerpts = chunks
+        .map((chunk, i) => `[${i + 1}] ${chunk.documentName}, page ${chunk.pageNumber}:\n${chunk.text}`)
+        .join('\n\n');
+
+    return 'Use the following excerpts from the student\'s course material when they are relevant. ' +
+        'Cite them inline as [1], [2], ... and do not invent citations. ' +
+        'If the excerpts do not answer the question, say so and answer from general knowledge.\n\n' +
+        excerpts;
+}
+
+function toCitations(chunks) {
+    return chunks.map((chunk, i) => ({
+        index: i + 1,
+        documentId: chunk.documentId,
+        documentName: chunk.documentName,
+        pageNumber: chunk.pageNumber,
+        chunkId: chunk.chunkId
+    }));
+}
+
+module.exports = {
+    toMatchQuery,
+    retrieveChunks,
+    buildGroundingPrompt,
+    toCitations
+};
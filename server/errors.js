@@ -0,0 +1,33 @@
+// server/errors.js
+
+// Error a route can answer directly: `status` is the HTTP status and `code`
+// a stable machine-readable reason for the client.
+class HttpError extends Error {
+    constructor(message, status = 400, code = 'bad_request') {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Sends an HttpError as JSON; anything else is logged and becomes a 500.
+// Errors with `retryAfter` (seconds) also set the Retry-After header.
+function sendError(res, error, fallbackMessage, logLabel) {
+    if (error instanceof HttpError) {
+        if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+        return res.status(error.status).json({
+            error: error.message,
+            code: error.code,
+            ...(error.retryAfter ? { retryAfter: error.retryAfter } : {}),
+            ...error.details
+        });
+    }
+    console.error(`${logLabel}:`, error);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+module.exports = {
+    HttpError,
+    sendError
+};
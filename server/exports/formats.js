@@ -0,0 +1,152 @@
+// server/exports/formats.js
+// Renders collected chats and notes as Markdown, JSON or an Anki CSV.
+// Every renderer returns { body, contentType, extension }.
+
+const FORMATS = ['markdown', 'json', 'csv'];
+const SENDER_LABELS = { user: 'You', ai: 'Study Buddy' };
+
+// Stored timestamps are UTC "YYYY-MM-DD HH:MM:SS"; ISO strings work too
+function formatTime(timestamp) {
+    return `${timestamp.replace('T', ' ').slice(0, 16)} UTC`;
+}
+
+function groupBy(items, key) {
+    const groups = new Map();
+    items.forEach(item => {
+        const value = item[key] ?? null;
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(item);
+    });
+    return groups;
+}
+
+function quote(text) {
+    return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+function sources(citations) {
+    return citations
+        .map(citation => `[${citation.index}] ${citation.documentName}${citation.pageNumber ? `, p. ${citation.pageNumber}` : ''}`)
+        .join('; ');
+}
+
+// Anki reads the # header lines to pick the separator and name the columns
+function ankiCsv(rows) {
+    const field = value => `"${String(value).replace(/"/g, '""')}"`;
+    const lines = ['#separator:comma', '#html:false', '#columns:Front,Back'];
+    rows.forEach(([front, back]) => lines.push(`${field(front)},${field(back)}`));
+    return lines.join('\n') + '\n';
+}
+
+function firstLine(text, maxLength = 120) {
+    const line = text.trim().split('\n')[0];
+    return line.length > maxLength ? `${line.slice(0, maxLength - 1)}…` : line;
+}
+
+// Conversations
+
+function conversationsToMarkdown(conversations, exportedAt) {
+    const lines = ['# Study Buddy chats', '', `_Exported ${formatTime(exportedAt)}_`];
+
+    groupBy(conversations, 'subject').forEach((threads, subject) => {
+        lines.push('', `## ${subject}`);
+
+        threads.forEach(conversation => {
+            lines.push('', `### ${conversation.title}`, '',
+                `_Started ${formatTime(conversation.created_at)}${conversation.archived_at ? ' · archived' : ''}_`);
+
+            conversation.messages.forEach(message => {
+                lines.push('', `**${SENDER_LABELS[message.sender] || message.sender}** · ${formatTime(message.timestamp)}`, '', message.text);
+                if (message.citations.length) lines.push('', `_Sources: ${sources(message.citations)}_`);
+            });
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// One card per tutor answer, fronted by the question before it
+function conversationsToCards(conversations) {
+    const rows = [];
+    conversations.forEach(conversation => {
+        let question = null;
+        conversation.messages.forEach(message => {
+            if (message.sender === 'user') {
+                question = message.text;
+            } else if (message.sender === 'ai' && question) {
+                rows.push([question, message.text]);
+                question = null;
+            }
+        });
+    });
+    return rows;
+}
+
+function renderConversations(conversations, format, exportedAt) {
+    if (format === 'json') {
+        return {
+            body: JSON.stringify({ exportedAt, conversations }, null, 2),
+            contentType: 'application/json',
+            extension: 'json'
+        };
+    }
+    if (format === 'csv') {
+        return { body: ankiCsv(conversationsToCards(conversations)), contentType: 'text/csv', extension: 'csv' };
+    }
+    return { body: conversationsToMarkdown(conversations, exportedAt), contentType: 'text/markdown', extension: 'md' };
+}
+
+// Notes
+
+function notesToMarkdown(notes, exportedAt) {
+    const lines = ['# Study Buddy notes', '', `_Exported ${formatTime(exportedAt)}_`];
+
+    groupBy(notes, 'subject').forEach((subjectNotes, subject) => {
+        lines.push('', `## ${subject}`);
+
+        groupBy(subjectNotes, 'notebook').forEach((notebookNotes, notebook) => {
+            lines.push('', `### ${notebook || 'Unfiled'}`);
+
+            notebookNotes.forEach(note => {
+                const tags = note.tags.map(tag => `#${tag}`).join(' ');
+                lines.push('', `#### ${formatTime(note.created_at)}${tags ? ` · ${tags}` : ''}`, '');
+                if (note.question) lines.push(`_Question: ${note.question}_`, '');
+                lines.push(note.content);
+                if (note.annotation) lines.push('', quote(note.annotation));
+            });
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// Front is the question a saved answer replied to, else the annotation or the note's first line
+function notesToCards(notes) {
+    return notes.map(note => {
+        const front = note.question || note.annotation || firstLine(note.content);
+        const back = note.annotation && front !== note.annotation
+            ? `${note.content}\n\nNote: ${note.annotation}`
+            : note.content;
+        return [front, back];
+    });
+}
+
+function renderNotes(notes, format, exportedAt) {
+    if (format === 'json') {
+        return {
+            body: JSON.stringify({ exportedAt, notes }, null, 2),
+            contentType: 'application/json',
+            extension: 'json'
+        };
+    }
+    if (format === 'csv') {
+        return { body: ankiCsv(notesToCards(notes)), contentType: 'text/csv', extension: 'csv' };
+    }
+    return { body: notesToMarkdown(notes, exportedAt), contentType: 'text/markdown', extension: 'md' };
+}
+
+module.exports = {
+    FORMATS,
+    renderConversations,
+    renderNotes
+};
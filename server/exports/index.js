@@ -0,0 +1,85 @@
+// server/exports/index.js
+// Collects a user's chats or notes for download; ./formats.js renders them.
+const { all } = require('../database');
+const { listNotes } = require('../notes');
+const { dateRangeFilter } = require('../dateRange');
+
+/**
+ * Threads with their student and tutor turns, oldest first. Narrow with
+ * `conversationId` or `subjectId`; `from` and `to` (inclusive YYYY-MM-DD)
+ * filter messages, and threads left empty are dropped.
+ */
+async function collectConversations(db, userId, { conversationId, subjectId, from, to } = {}) {
+    const params = [userId];
+    let filters = '';
+
+    if (conversationId) {
+        filters += ' AND c.id = ?';
+        params.push(conversationId);
+    }
+    if (subjectId) {
+        filters += ' AND c.subjectId = ?';
+        params.push(subjectId);
+    }
+
+    const conversations = await all(db,
+        `SELECT c.id, c.title, s.name AS subject, c.created_at, c.archived_at
+         FROM Conversations c
+         JOIN Subjects s ON s.id = c.subjectId
+         WHERE c.userId = ?${filters}
+         ORDER BY s.name ASC, c.created_at ASC, c.id ASC`,
+        params
+    );
+
+    const range = dateRangeFilter('cm.timestamp', { from, to });
+    filters += range.sql;
+    params.push(...range.params);
+
+    const messages = await all(db,
+        `SELECT cm.conversationId, cm.sender, cm.text, cm.timestamp, cm.citations
+         FROM ChatMessages cm
+         JOIN Conversations c ON c.id = cm.conversationId
+         WHERE c.userId = ? AND cm.sender != 'system'${filters}
+         ORDER BY cm.id ASC`,
+        params
+    );
+
+    const byConversation = new Map(conversations.map(conversation => [conversation.id, { ...conversation, messages: [] }]));
+    messages.forEach(({ conversationId: id, citations, ...message }) => {
+        byConversation.get(id).messages.push({ ...message, citations: citations ? JSON.parse(citations) : [] });
+    });
+
+    return [...byConversation.values()].filter(conversation => conversation.messages.length);
+}
+
+/**
+ * Notes matching the filters (see listNotes), oldest first. Saved answers
+ * carry the student `question` that prompted them, for flashcard fronts.
+ */
+async function collectNotes(db, userId, filters = {}) {
+    const notes = (await listNotes(db, userId, { ...filters, limit: null }))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id - b.id);
+    const messageIds = notes.map(note => note.messageId).filter(Boolean);
+
+    const questions = new Map();
+    if (messageIds.length) {
+        const rows = await all(db,
+            `SELECT a.id, (
+                SELECT q.text FROM ChatMessages q
+                WHERE q.conversationId = a.conversationId AND q.id < a.id AND q.sender = 'user'
+                ORDER BY q.id DESC LIMIT 1
+             ) AS question
+             FROM ChatMessages a
+             WHERE a.id IN (${messageIds.map(() => '?').join(', ')})`,
+            messageIds
+        );
+        rows.forEach(row => questions.set(row.id, row.question));
+    }
+
+    return notes.map(note => ({ ...note, question: questions.get(note.messageId) || null }));
+}
+
+module.exports = {
+    collectConversations,
+    collectNotes
+};
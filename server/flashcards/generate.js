@@ -0,0 +1,63 @@
+// server/flashcards/generate.js
+// Turns an AI answer or a document chunk into question/answer cards.
+const { getProvider, parseJsonReply } = require('../llm');
+const { splitSentences, pickKeyword, blankOut } = require('../text');
+
+const MAX_BACK_CHARS = 600;
+
+async function generateWithModel(provider, text, { subject, count, question }) {
+    const { content } = await provider.complete([{
+        role: 'system',
+        content: `You write concise study flashcards for ${subject}. Reply with JSON only: ` +
+            '{"cards":[{"front":"question","back":"answer"}]}. Each card tests one fact.'
+    }, {
+        role: 'user',
+        content: `Write up to ${count} flashcards from this material` +
+            `${question ? ` (it answers the question "${question}")` : ''}:\n\n${text}`
+    }], { maxTokens: 800, temperature: 0.3 });
+
+    const parsed = parseJsonReply(content);
+    return (parsed?.cards || [])
+        .filter(card => card && card.front && card.back)
+        .map(card => ({ front: String(card.front).trim(), back: String(card.back).trim() }))
+        .slice(0, count);
+}
+
+function clip(text) {
+    return text.length > MAX_BACK_CHARS ? `${text.slice(0, MAX_BACK_CHARS - 3)}...` : text;
+}
+
+// Offline cards: the student's question with the tutor's answer, or
+// fill-in-the-blank cards from the sentences of a passage
+function generateOffline(text, { count, question }) {
+    if (question) {
+        return [{ front: question, back: clip(text.trim()) }];
+    }
+
+    return splitSentences(text)
+        .map(sentence => ({ sentence, keyword: pickKeyword(sentence) }))
+        .filter(fact => fact.keyword)
+        .slice(0, count)
+        .map(fact => ({ front: blankOut(fact.sentence, fact.keyword), back: `${fact.keyword} — ${fact.sentence}` }));
+}
+
+/**
+ * Returns `[{ front, back }]` cards for `text`. Pass `question` when the text
+ * is the tutor's answer to a student question. `provider` defaults to the
+ * configured model provider.
+ */
+async function generateCards(text, { subject, count = 5, question = null, provider = getProvider() }) {
+
+    if (!provider.deterministic) {
+        try {
+            const cards = await generateWithModel(provider, text, { subject, count, question });
+            if (cards.length) return cards;
+        } catch (error) {
+            console.error('Flashcard generation error:', error);
+        }
+    }
+
+    return generateOffline(text, { count, question });
+}
+
+module.exports = { generateCards };
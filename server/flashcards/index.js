@@ -0,0 +1,245 @@
+// server/flashcards/index.js
+// Flashcard decks, cards and spaced-repetition reviews.
+const { run, get, all, transaction } = require('../database');
+const { HttpError } = require('../errors');
+const { schedule, toSqlTimestamp, DEFAULT_EASE } = require('./scheduler');
+const { generateCards } = require('./generate');
+const { getProvider } = require('../llm');
+const { meteredProvider } = require('../usage');
+
+const CARD_COLUMNS = `c.id, c.deckId, c.front, c.back, c.source, c.ease_factor, c.interval_days,
+    c.repetitions, c.due_at, c.last_reviewed_at, c.created_at`;
+
+async function listDecks(db, userId, subjectId) {
+    const params = [toSqlTimestamp(new Date()), userId];
+    let query = `
+        SELECT d.id, d.name, d.created_at, s.name as subject,
+               COUNT(c.id) as card_count,
+               SUM(CASE WHEN c.due_at <= ? THEN 1 ELSE 0 END) as due_count
+        FROM FlashcardDecks d
+        JOIN Subjects s ON d.subjectId = s.id
+        LEFT JOIN Flashcards c ON c.deckId = d.id
+        WHERE d.userId = ?
+    `;
+
+    if (subjectId) {
+        query += ' AND d.subjectId = ?';
+        params.push(subjectId);
+    }
+
+    query += ' GROUP BY d.id ORDER BY d.name ASC';
+    return all(db, query, params);
+}
+
+async function getDeck(db, userId, deckId) {
+    return get(db,
+        `SELECT d.id, d.name, d.subjectId, d.created_at, s.name as subject
+         FROM FlashcardDecks d
+         JOIN Subjects s ON d.subjectId = s.id
+         WHERE d.id = ? AND d.userId = ?`,
+        [deckId, userId]
+    );
+}
+
+async function createDeck(db, { userId, subjectId, name }) {
+    try {
+        const result = await run(db,
+            'INSERT INTO FlashcardDecks (userId, subjectId, name) VALUES (?, ?, ?)',
+            [userId, subjectId, name]
+        );
+        return getDeck(db, userId, result.lastID);
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            throw new HttpError('You already have a deck with that name.', 409, 'deck_exists');
+        }
+        throw error;
+    }
+}
+
+async function renameDeck(db, userId, deckId, name) {
+    try {
+        const result = await run(db,
+            'UPDATE FlashcardDecks SET name = ? WHERE id = ? AND userId = ?',
+            [name, deckId, userId]
+        );
+        return result.changes ? getDeck(db, userId, deckId) : null;
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            throw new HttpError('You already have a deck with that name.', 409, 'deck_exists');
+        }
+        throw error;
+    }
+}
+
+async function deleteDeck(db, userId, deckId) {
+    const result = await run(db, 'DELETE FROM FlashcardDecks WHERE id = ? AND userId = ?', [deckId, userId]);
+    return result.changes > 0;
+}
+
+async function getCard(db, userId, cardId) {
+    return get(db,
+        `SELECT ${CARD_COLUMNS}, d.name as deck
+         FROM Flashcards c
+         JOIN FlashcardDecks d ON c.deckId = d.id
+         WHERE c.id = ? AND c.userId = ?`,
+        [cardId, userId]
+    );
+}
+
+async function listCards(db, userId, deckId) {
+    return all(db,
+        `SELECT ${CARD_COLUMNS}
+         FROM Flashcards c
+         WHERE c.deckId = ? AND c.userId = ?
+         ORDER BY c.created_at ASC, c.id ASC`,
+        [deckId, userId]
+    );
+}
+
+async function addCards(db, userId, deckId, cards, { source = 'manual', messageId = null, chunkId = null } = {}) {
+    const ids = await transaction(async (tx) => {
+        const inserted = [];
+
+        for (const card of cards) {
+            const result = await run(tx,
+                `INSERT INTO Flashcards (deckId, userId, front, back, source, source_message_id, source_chunk_id, ease_factor)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [deckId, userId, card.front, card.back, source, messageId, chunkId, DEFAULT_EASE]
+            );
+            inserted.push(result.lastID);
+        }
+        return inserted;
+    });
+
+    return Promise.all(ids.map(id => getCard(db, userId, id)));
+}
+
+/**
+ * Generates cards from one of the user's AI messages (`messageId`) or
+ * document chunks (`chunkId`) and adds them to a deck.
+ */
+async function generateIntoDeck(db, userId, deck, { messageId, chunkId, count }) {
+    const provider = meteredProvider(getProvider(), { userId, feature: 'flashcards' });
+
+    if (messageId) {
+        const message = await get(db,
+            `SELECT id, conversationId, text FROM ChatMessages
+             WHERE id = ? AND userId = ? AND subjectId = ? AND sender = 'ai'`,
+            [messageId, userId, deck.subjectId]
+        );
+        if (!message) {
+            throw new HttpError('Message not found.', 404, 'message_not_found');
+        }
+
+        // The student's question is the user message stored just before the answer in its thread
+        const question = await get(db,
+            `SELECT text FROM ChatMessages
+             WHERE conversationId = ? AND sender = 'user' AND id < ?
+             ORDER BY id DESC LIMIT 1`,
+            [message.conversationId, message.id]
+        );
+
+        const cards = await generateCards(message.text, { subject: deck.subject, count, question: question?.text, provider });
+        if (!cards.length) {
+            throw new HttpError('No flashcards could be made from this message.', 422, 'generation_failed');
+        }
+        return addCards(db, userId, deck.id, cards, { source: 'message', messageId: message.id });
+    }
+
+    const chunk = await get(db,
+        `SELECT dc.id, dc.text FROM DocumentChunks dc
+         JOIN Documents d ON d.id = dc.documentId
+         WHERE dc.id = ? AND d.userId = ? AND d.subjectId = ?`,
+        [chunkId, userId, deck.subjectId]
+    );
+    if (!chunk) {
+        throw new HttpError('Document passage not found.', 404, 'chunk_not_found');
+    }
+
+    const cards = await generateCards(chunk.text, { subject: deck.subject, count, provider });
+    if (!cards.length) {
+        throw new HttpError('No flashcards could be made from this passage.', 422, 'generation_failed');
+    }
+    return addCards(db, userId, deck.id, cards, { source: 'chunk', chunkId: chunk.id });
+}
+
+async function updateCard(db, userId, cardId, { front, back }) {
+    const result = await run(db,
+        'UPDATE Flashcards SET front = COALESCE(?, front), back = COALESCE(?, back) WHERE id = ? AND userId = ?',
+        [front ?? null, back ?? null, cardId, userId]
+    );
+    return result.changes ? getCard(db, userId, cardId) : null;
+}
+
+async function deleteCard(db, userId, cardId) {
+    const result = await run(db, 'DELETE FROM Flashcards WHERE id = ? AND userId = ?', [cardId, userId]);
+    return result.changes > 0;
+}
+
+// Cards due now, oldest due first, for a review session
+async function listDueCards(db, userId, { subjectId, deckId, limit = 50 }) {
+    const params = [userId, toSqlTimestamp(new Date())];
+    let query = `
+        SELECT ${CARD_COLUMNS}, d.name as deck, s.name as subject
+        FROM Flashcards c
+        JOIN FlashcardDecks d ON c.deckId = d.id
+        JOIN Subjects s ON d.subjectId = s.id
+        WHERE c.userId = ? AND c.due_at <= ?
+    `;
+
+    if (subjectId) {
+        query += ' AND d.subjectId = ?';
+        params.push(subjectId);
+    }
+    if (deckId) {
+        query += ' AND d.id = ?';
+        params.push(deckId);
+    }
+
+    query += ' ORDER BY c.due_at ASC, c.id ASC LIMIT ?';
+    params.push(limit);
+
+    return all(db, query, params);
+}
+
+async function reviewCard(db, userId, cardId, grade) {
+    const card = await getCard(db, userId, cardId);
+    if (!card) return null;
+
+    const now = new Date();
+    const next = schedule(card, grade, now);
+
+    // The card's new schedule and its review log entry are written together
+    await transaction(async (tx) => {
+        await run(tx,
+            `UPDATE Flashcards
+             SET ease_factor = ?, interval_days = ?, repetitions = ?, due_at = ?, last_reviewed_at = ?
+             WHERE id = ?`,
+            [next.easeFactor, next.intervalDays, next.repetitions, toSqlTimestamp(next.dueAt), toSqlTimestamp(now), card.id]
+        );
+
+        await run(tx,
+            `INSERT INTO FlashcardReviews (cardId, userId, grade, ease_factor, interval_days, reviewed_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [card.id, userId, grade, next.easeFactor, next.intervalDays, toSqlTimestamp(now)]
+        );
+    });
+
+    return getCard(db, userId, card.id);
+}
+
+module.exports = {
+    listDecks,
+    getDeck,
+    createDeck,
+    renameDeck,
+    deleteDeck,
+    getCard,
+    listCards,
+    addCards,
+    generateIntoDeck,
+    updateCard,
+    deleteCard,
+    listDueCards,
+    reviewCard
+};
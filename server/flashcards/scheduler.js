@@ -0,0 +1,80 @@
+// server/flashcards/scheduler.js
+// SM-2 spaced repetition (SuperMemo 2) with Anki-style grade buttons:
+// Again = q1, Hard = q3, Good = q4, Easy = q5.
+
+const GRADES = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+};
+
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// A failed card comes back in the same session instead of tomorrow
+const RELEARN_MINUTES = 10;
+
+/**
+ * Returns the next scheduling state for a card after a review.
+ * `card` holds `{ ease_factor, interval_days, repetitions }`.
+ * Returns `{ easeFactor, intervalDays, repetitions, dueAt }`.
+ */
+function schedule(card, grade, now = new Date()) {
+    const quality = GRADES[grade];
+    if (quality === undefined) {
+        throw new Error(`Unknown grade "${grade}"`);
+    }
+
+    const ease = card.ease_factor || DEFAULT_EASE;
+    const previousInterval = card.interval_days || 0;
+    let repetitions = card.repetitions || 0;
+    let intervalDays;
+
+    // EF' = EF + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+    const easeFactor = Math.max(
+        MIN_EASE,
+        ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    if (quality < 3) {
+        repetitions = 0;
+        intervalDays = 0;
+        return {
+            easeFactor,
+            intervalDays,
+            repetitions,
+            dueAt: new Date(now.getTime() + RELEARN_MINUTES * 60 * 1000)
+        };
+    }
+
+    if (repetitions === 0) {
+        intervalDays = 1;
+    } else if (repetitions === 1) {
+        intervalDays = 6;
+    } else if (quality === 3) {
+        // "Hard" grows the interval gently, as Anki does, rather than by the full ease
+        intervalDays = Math.max(previousInterval + 1, Math.round(previousInterval * 1.2));
+    } else {
+        intervalDays = Math.round(previousInterval * easeFactor);
+    }
+
+    repetitions += 1;
+
+    const dueAt = new Date(now);
+    dueAt.setUTCDate(dueAt.getUTCDate() + intervalDays);
+
+    return { easeFactor, intervalDays, repetitions, dueAt };
+}
+
+// Format a Date the way SQLite's CURRENT_TIMESTAMP does, so comparisons work
+function toSqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+module.exports = {
+    GRADES,
+    DEFAULT_EASE,
+    schedule,
+    toSqlTimestamp
+};
@@ -0,0 +1,54 @@
+// server/llm/index.js
+// Chooses the chat model provider from configuration.
+//
+//   LLM_PROVIDER   openrouter | openai-compatible | mock
+//                  (defaults to openrouter when OPENROUTER_API_KEY is set, else mock)
+//   LLM_MODEL      model name sent to the provider
+//   LLM_BASE_URL   base URL for openai-compatible, e.g. http://localhost:11434/v1
+//   LLM_API_KEY    optional key for openai-compatible servers
+const { createOpenRouterProvider } = require('./openrouter');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+const { parseJsonReply } = require('./json');
+
+let providerInstance = null;
+
+function createProvider(env = process.env) {
+    const name = env.LLM_PROVIDER || (env.OPENROUTER_API_KEY ? 'openrouter' : 'mock');
+
+    switch (name) {
+        case 'openrouter':
+            if (!env.OPENROUTER_API_KEY) {
+                throw new Error('LLM_PROVIDER=openrouter requires OPENROUTER_API_KEY');
+            }
+            return createOpenRouterProvider({
+                apiKey: env.OPENROUTER_API_KEY,
+                model: env.LLM_MODEL || env.OPENROUTER_MODEL_ID || 'openai/gpt-3.5-turbo',
+                referer: `http://localhost:${env.PORT || 3000}/`
+            });
+
+        case 'openai-compatible':
+            return createOpenAICompatibleProvider({
+                baseUrl: env.LLM_BASE_URL,
+                apiKey: env.LLM_API_KEY,
+                model: env.LLM_MODEL || 'local-model'
+            });
+
+        case 'mock':
+            return createMockProvider({ model: env.LLM_MODEL || undefined });
+
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${name}"`);
+    }
+}
+
+function getProvider() {
+    if (!providerInstance) providerInstance = createProvider();
+    return providerInstance;
+}
+
+module.exports = {
+    createProvider,
+    getProvider,
+    parseJsonReply
+};
@@ -0,0 +1,23 @@
+// server/llm/json.js
+
+// Pulls the first JSON object or array out of a model reply, tolerating
+// ```json fences and chatter around it. Returns null when nothing parses.
+function parseJsonReply(text) {
+    if (!text) return null;
+
+    const unfenced = text.replace(/```(?:json)?/gi, '');
+    const start = unfenced.search(/[[{]/);
+    if (start === -1) return null;
+
+    const close = unfenced[start] === '{' ? '}' : ']';
+    const end = unfenced.lastIndexOf(close);
+    if (end <= start) return null;
+
+    try {
+        return JSON.parse(unfenced.slice(start, end + 1));
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { parseJsonReply };
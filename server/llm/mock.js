@@ -0,0 +1,54 @@
+// server/llm/mock.js
+// Deterministic provider for development, offline demos and tests.
+// The same conversation always produces the same reply.
+
+function lastUserMessage(messages) {
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i].role === 'user') return messages[i].content;
+    }
+    return '';
+}
+
+function mockReply(messages) {
+    const question = lastUserMessage(messages).trim();
+    const quoted = question.length > 80 ? `${question.slice(0, 77)}...` : question;
+
+    return question.includes('?')
+        ? `That's an interesting question: "${quoted}". Let's break it down step by step, starting with the key definitions.`
+        : `You said: "${quoted}". Could you tell me more about what you're looking for?`;
+}
+
+function estimateUsage(messages, content) {
+    const promptChars = messages.reduce((total, message) => total + message.content.length, 0);
+    return {
+        prompt_tokens: Math.ceil(promptChars / 4),
+        completion_tokens: Math.ceil(content.length / 4)
+    };
+}
+
+function createMockProvider({ model = 'mock-tutor' } = {}) {
+    return {
+        name: 'mock',
+        model,
+        deterministic: true,
+
+        async complete(messages) {
+            const content = mockReply(messages);
+            return { content, model, usage: estimateUsage(messages, content) };
+        },
+
+        async stream(messages, { onToken, signal } = {}) {
+            const content = mockReply(messages);
+
+            // Emit word by word so the streaming UI can be exercised offline
+            for (const token of content.match(/\S+\s*/g) || []) {
+                if (signal?.aborted) break;
+                onToken(token);
+            }
+
+            return { content, model, usage: estimateUsage(messages, content) };
+        }
+    };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,106 @@
+// server/llm/openaiCompatible.js
+// Provider for any server that speaks the OpenAI chat completions API:
+// OpenRouter, llama.cpp's server, Ollama (/v1), vLLM, LM Studio, ...
+
+// Reads an SSE completion body and calls onToken for every content delta.
+// Resolves with the usage block when the server sends one.
+async function readCompletionStream(body, onToken) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let usage = null;
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+
+            // Skip blank lines and ": OPENROUTER PROCESSING" keep-alive comments
+            if (!line.startsWith('data:')) continue;
+
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return usage;
+
+            try {
+                const data = JSON.parse(payload);
+                const token = data.choices?.[0]?.delta?.content;
+                if (token) onToken(token);
+                if (data.usage) usage = data.usage;
+            } catch (parseError) {
+                console.error('Malformed stream chunk:', payload);
+            }
+        }
+    }
+
+    return usage;
+}
+
+function createOpenAICompatibleProvider({ name = 'openai-compatible', baseUrl, apiKey, model, headers = {} }) {
+    if (!baseUrl) {
+        throw new Error(`LLM provider "${name}" needs a base URL`);
+    }
+
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    async function request(messages, { stream, maxTokens = 1000, temperature = 0.7, signal }) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+                ...headers
+            },
+            body: JSON.stringify({
+                model,
+                messages,
+                temperature,
+                max_tokens: maxTokens,
+                stream,
+                ...(stream ? { stream_options: { include_usage: true } } : {})
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`${name} responded with ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+        }
+
+        return response;
+    }
+
+    return {
+        name,
+        model,
+
+        async complete(messages, options = {}) {
+            const response = await request(messages, { ...options, stream: false });
+            const data = await response.json();
+
+            return {
+                content: data.choices?.[0]?.message?.content || '',
+                model: data.model || model,
+                usage: data.usage || null
+            };
+        },
+
+        async stream(messages, { onToken, ...options } = {}) {
+            const response = await request(messages, { ...options, stream: true });
+            let content = '';
+
+            const usage = await readCompletionStream(response.body, (token) => {
+                content += token;
+                onToken(token);
+            });
+
+            return { content, model, usage };
+        }
+    };
+}
+
+module.exports = {
+    createOpenAICompatibleProvider,
+    readCompletionStream
+};
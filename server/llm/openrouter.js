@@ -0,0 +1,14 @@
+// server/llm/openrouter.js
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+function createOpenRouterProvider({ apiKey, model, referer }) {
+    return createOpenAICompatibleProvider({
+        name: 'openrouter',
+        baseUrl: 'https://openrouter.ai/api/v1',
+        apiKey,
+        model,
+        headers: { 'HTTP-Referer': referer }
+    });
+}
+
+module.exports = { createOpenRouterProvider };
@@ -0,0 +1,55 @@
+// server/mail/index.js
+// Chooses how outgoing email is delivered.
+//
+//   MAIL_TRANSPORT   smtp | outbox (defaults to smtp when SMTP_HOST is set, else outbox)
+//   MAIL_FROM        sender address, e.g. "Study Buddy <no-reply@example.com>"
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   MAIL_OUTBOX_DIR  where the outbox transport writes messages (default server/mail-outbox)
+//
+// A transport is { name, send({ to, subject, text, html }) } and send resolves with { id }.
+const path = require('path');
+const { createSmtpTransport } = require('./smtp');
+const { createOutboxTransport } = require('./outbox');
+
+const DEFAULT_FROM = 'AI Study Buddy <no-reply@localhost>';
+
+let transportInstance = null;
+
+function createTransport(env = process.env) {
+    const name = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'outbox');
+    const from = env.MAIL_FROM || DEFAULT_FROM;
+
+    switch (name) {
+        case 'smtp':
+            if (!env.SMTP_HOST) {
+                throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+            }
+            return createSmtpTransport({
+                host: env.SMTP_HOST,
+                port: parseInt(env.SMTP_PORT, 10) || 587,
+                secure: env.SMTP_SECURE === 'true',
+                user: env.SMTP_USER,
+                pass: env.SMTP_PASS,
+                from
+            });
+
+        case 'outbox':
+            return createOutboxTransport({
+                dir: env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox'),
+                from
+            });
+
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+}
+
+function getMailer() {
+    if (!transportInstance) transportInstance = createTransport();
+    return transportInstance;
+}
+
+module.exports = {
+    createTransport,
+    getMailer
+};
@@ -0,0 +1,26 @@
+// server/mail/outbox.js
+// Development transport: writes each message to a JSON file instead of sending it,
+// so verification and reset links can be opened without a mail server.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+function createOutboxTransport({ dir, from }) {
+    return {
+        name: 'outbox',
+        dir,
+
+        async send({ to, subject, text, html }) {
+            await fs.mkdir(dir, { recursive: true });
+
+            const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+            const file = path.join(dir, `${id}.json`);
+            await fs.writeFile(file, JSON.stringify({ id, from, to, subject, text, html, sentAt: new Date().toISOString() }, null, 2));
+
+            console.log(`📬 Mail to ${to} written to ${file}`);
+            return { id };
+        }
+    };
+}
+
+module.exports = { createOutboxTransport };
@@ -0,0 +1,23 @@
+// server/mail/smtp.js
+// Delivers mail through an SMTP server (any provider: Gmail, SES, Mailgun, Postfix...).
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport({ host, port, secure, user, pass, from }) {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        async send({ to, subject, text, html }) {
+            const info = await transporter.sendMail({ from, to, subject, text, html });
+            return { id: info.messageId };
+        }
+    };
+}
+
+module.exports = { createSmtpTransport };
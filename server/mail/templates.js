@@ -0,0 +1,49 @@
+// server/mail/templates.js
+// Plain-text and HTML bodies for account emails.
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+function render({ greeting, lines, link, action, footer }) {
+    const text = [greeting, '', ...lines, '', `${action}: ${link}`, '', footer].join('\n');
+    const html = `<p>${escapeHtml(greeting)}</p>
+${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n')}
+<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>
+<p style="color:#666">${escapeHtml(footer)}</p>`;
+
+    return { text, html };
+}
+
+function verificationEmail({ name, link, hours }) {
+    return {
+        subject: 'Confirm your AI Study Buddy email',
+        ...render({
+            greeting: `Hi ${name},`,
+            lines: ['Welcome to AI Study Buddy! Please confirm this is your email address.'],
+            link,
+            action: 'Verify my email',
+            footer: `This link expires in ${hours} hours. If you didn't sign up, you can ignore this email.`
+        })
+    };
+}
+
+function passwordResetEmail({ name, link, minutes }) {
+    return {
+        subject: 'Reset your AI Study Buddy password',
+        ...render({
+            greeting: `Hi ${name},`,
+            lines: ['Someone asked to reset the password for your account. The link below works once.'],
+            link,
+            action: 'Choose a new password',
+            footer: `This link expires in ${minutes} minutes. If you didn't ask for this, your password is unchanged.`
+        })
+    };
+}
+
+module.exports = {
+    verificationEmail,
+    passwordResetEmail
+};
@@ -0,0 +1,133 @@
+// server/memory.js
+// Builds the multi-turn prompt for /api/chat from stored ChatMessages,
+// folding turns that no longer fit the token budget into a rolling summary.
+const { run, get } = require('./database');
+const { listTurnsAfter } = require('./repositories/messages');
+
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET, 10) || 2000;
+
+// Rough token estimate (~4 characters per token for English text)
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+function toChatRole(sender) {
+    return sender === 'ai' ? 'assistant' : 'user';
+}
+
+function formatTurns(turns) {
+    return turns
+        .map(turn => `${turn.sender === 'ai' ? 'Tutor' : 'Student'}: ${turn.text}`)
+        .join('\n');
+}
+
+// Used when no model is available to write the summary: keeps the start of
+// every turn so the tutor still knows which topics were covered.
+function extractiveSummary(previousSummary, turns, maxTokens) {
+    const lines = turns.map(turn => {
+        const text = turn.text.replace(/\s+/g, ' ').trim();
+        const clipped = text.length > 160 ? `${text.slice(0, 157)}...` : text;
+        return `${turn.sender === 'ai' ? 'Tutor' : 'Student'}: ${clipped}`;
+    });
+
+    // Drop the oldest lines first once the summary outgrows its budget
+    const summaryLines = [...(previousSummary ? previousSummary.split('\n') : []), ...lines];
+    while (summaryLines.length > 1 && estimateTokens(summaryLines.join('\n')) > maxTokens) {
+        summaryLines.shift();
+    }
+    return summaryLines.join('\n');
+}
+
+async function loadSummary(db, conversationId) {
+    return get(db,
+        'SELECT summary, summarized_through FROM ConversationSummaries WHERE conversationId = ?',
+        [conversationId]
+    );
+}
+
+async function saveSummary(db, conversationId, summary, summarizedThrough) {
+    await run(db,
+        `INSERT INTO ConversationSummaries (conversationId, summary, summarized_through, updated_at)
+         VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(conversationId) DO UPDATE SET
+            summary = excluded.summary,
+            summarized_through = excluded.summarized_through,
+            updated_at = CURRENT_TIMESTAMP`,
+        [conversationId, summary, summarizedThrough]
+    );
+}
+
+/**
+ * Returns the chat messages to send to the model: system prompt, the
+ * thread's rolling summary, document excerpts, as many recent turns of the
+ * thread as fit the budget, then the new question.
+ *
+ * `summarize(previousSummary, transcript)` may return a model-written
+ * summary; when it returns nothing an extractive summary is stored instead.
+ */
+async function buildConversationContext(db, { conversationId, systemPrompt, groundingPrompt, message, summarize, budget = HISTORY_TOKEN_BUDGET }) {
+    const stored = await loadSummary(db, conversationId);
+    let summary = stored?.summary || '';
+    const summarizedThrough = stored?.summarized_through || 0;
+
+    const turns = await listTurnsAfter(db, conversationId, summarizedThrough);
+
+    const fixedTokens = estimateTokens(systemPrompt) + estimateTokens(groundingPrompt) + estimateTokens(message);
+    const historyTokens = turns.reduce((total, turn) => total + estimateTokens(turn.text), 0);
+
+    let recent = turns;
+
+    if (fixedTokens + estimateTokens(summary) + historyTokens > budget) {
+        // Keep only the newest turns that fit in half the budget so the
+        // summary is not rewritten on every single request.
+        const keepBudget = Math.max(0, Math.floor(budget / 2) - fixedTokens);
+        let kept = 0;
+        let splitAt = turns.length;
+
+        while (splitAt > 0 && kept + estimateTokens(turns[splitAt - 1].text) <= keepBudget) {
+            kept += estimateTokens(turns[splitAt - 1].text);
+            splitAt--;
+        }
+
+        const folded = turns.slice(0, splitAt);
+        recent = turns.slice(splitAt);
+
+        if (folded.length) {
+            const summaryBudget = Math.floor(budget / 4);
+            let newSummary = null;
+
+            try {
+                newSummary = await summarize?.(summary, formatTurns(folded), summaryBudget);
+            } catch (error) {
+                console.error('Summary generation error:', error);
+            }
+
+            summary = newSummary || extractiveSummary(summary, folded, summaryBudget);
+            await saveSummary(db, conversationId, summary, folded[folded.length - 1].id);
+        }
+    }
+
+    const messages = [{ role: 'system', content: systemPrompt }];
+
+    if (summary) {
+        messages.push({
+            role: 'system',
+            content: `Summary of the earlier conversation with this student:\n${summary}`
+        });
+    }
+
+    if (groundingPrompt) {
+        messages.push({ role: 'system', content: groundingPrompt });
+    }
+
+    recent.forEach(turn => messages.push({ role: toChatRole(turn.sender), content: turn.text }));
+    messages.push({ role: 'user', content: message });
+
+    return messages;
+}
+
+module.exports = {
+    HISTORY_TOKEN_BUDGET,
+    estimateTokens,
+    buildConversationContext
+};
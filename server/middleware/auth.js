@@ -0,0 +1,55 @@
+// server/middleware/auth.js
+const jwt = require('jsonwebtoken');
+const { getDatabaseConnection } = require('../database');
+const { findUserById } = require('../repositories/users');
+const { getSession } = require('../repositories/sessions');
+const { isActive } = require('../sessions');
+
+// JWT Authentication Middleware
+// Identity comes only from the token; the role is read from Users so
+// role changes apply without re-issuing tokens, and the token's session
+// must still be active so logging out takes effect immediately.
+function authenticateToken(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    
+    if (!token) return res.sendStatus(401);
+    
+    jwt.verify(token, process.env.AUTH_SECRET, async (err, payload) => {
+        if (err?.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Access token expired.', code: 'token_expired' });
+        }
+        if (err) return res.sendStatus(403);
+
+        try {
+            const db = await getDatabaseConnection();
+            const [user, session] = await Promise.all([
+                findUserById(db, payload.userId),
+                payload.sid ? getSession(db, payload.sid) : null
+            ]);
+
+            if (!isActive(session) || session.userId !== payload.userId) {
+                return res.status(401).json({ error: 'Session has ended. Please log in again.', code: 'session_revoked' });
+            }
+            if (!user) return res.status(401).json({ error: 'Account no longer exists.' });
+
+            req.user = { userId: user.id, role: user.role, sessionId: session.id };
+            next();
+        } catch (error) {
+            console.error('Auth error:', error);
+            res.status(500).json({ error: 'Failed to authenticate.' });
+        }
+    });
+}
+
+// For routes that also serve anonymous visitors: requests without a token
+// continue with no req.user; requests with one are authenticated as usual
+function authenticateOptional(req, res, next) {
+    if (!req.headers['authorization']) return next();
+    authenticateToken(req, res, next);
+}
+
+module.exports = {
+    authenticateToken,
+    authenticateOptional
+};
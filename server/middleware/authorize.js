@@ -0,0 +1,82 @@
+// server/middleware/authorize.js
+// Role and ownership checks. Run after authenticateToken.
+const { getDatabaseConnection } = require('../database');
+const { addAuditLog } = require('../repositories/auditLogs');
+const { findUserById } = require('../repositories/users');
+
+// Records a refused attempt to act on another account, then answers 403
+async function denyCrossAccount(req, res, targetUserId) {
+    console.warn(`🚫 User ${req.user.userId} tried to access user ${targetUserId}: ${req.method} ${req.originalUrl}`);
+
+    try {
+        const db = await getDatabaseConnection();
+        await addAuditLog(db, {
+            userId: req.user.userId,
+            action: 'cross_account_access',
+            targetUserId: Number(targetUserId) || null,
+            method: req.method,
+            path: req.originalUrl,
+            ip: req.ip
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+
+    return res.status(403).json({ error: 'You do not have access to this account.' });
+}
+
+// True when the authenticated user may act on `targetUserId` (themselves, or any user as an admin)
+function canAccessUser(user, targetUserId) {
+    return user.role === 'admin' || String(user.userId) === String(targetUserId);
+}
+
+// Guards routes with a user id in the path, e.g. /api/history/:userId
+function authorizeUserParam(param = 'userId') {
+    return (req, res, next) => {
+        if (canAccessUser(req.user, req.params[param])) return next();
+        denyCrossAccount(req, res, req.params[param]);
+    };
+}
+
+// Like authorizeUserParam, but instructors may also read a student's
+// progress. Each time they do it is recorded in the audit log.
+function authorizeProgressReader(param = 'userId') {
+    return async (req, res, next) => {
+        if (canAccessUser(req.user, req.params[param])) return next();
+        if (req.user.role !== 'instructor') return denyCrossAccount(req, res, req.params[param]);
+
+        try {
+            const db = await getDatabaseConnection();
+            const target = await findUserById(db, req.params[param]);
+            if (target?.role !== 'student') return denyCrossAccount(req, res, req.params[param]);
+
+            await addAuditLog(db, {
+                userId: req.user.userId,
+                action: 'instructor_progress_view',
+                targetUserId: target.id,
+                method: req.method,
+                path: req.originalUrl,
+                ip: req.ip
+            });
+            next();
+        } catch (error) {
+            console.error('Authorization error:', error);
+            res.status(500).json({ error: 'Failed to check access.' });
+        }
+    };
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (roles.includes(req.user.role)) return next();
+        res.status(403).json({ error: 'You do not have permission to do this.' });
+    };
+}
+
+module.exports = {
+    canAccessUser,
+    denyCrossAccount,
+    authorizeUserParam,
+    authorizeProgressReader,
+    requireRole
+};
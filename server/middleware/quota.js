@@ -0,0 +1,18 @@
+// server/middleware/quota.js
+// Refuses model-backed requests once the user's AI allowance is used up.
+// Run after authenticateToken.
+const { getDatabaseConnection } = require('../database');
+const { sendError } = require('../errors');
+const { checkQuota } = require('../usage');
+
+async function requireAiQuota(req, res, next) {
+    try {
+        const db = await getDatabaseConnection();
+        await checkQuota(db, req.user);
+        next();
+    } catch (error) {
+        sendError(res, error, 'Failed to check AI allowance.', 'Quota check error');
+    }
+}
+
+module.exports = { requireAiQuota };
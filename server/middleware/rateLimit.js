@@ -0,0 +1,46 @@
+// server/middleware/rateLimit.js
+// In-memory fixed-window rate limiting by client IP. Counts live in this
+// process only, which is enough for a single server instance.
+const { HttpError, sendError } = require('../errors');
+
+/**
+ * Allows `max` requests per `windowMs` from each IP; the rest get 429 with
+ * Retry-After. `name` keeps separate limiters from sharing counts.
+ */
+function rateLimit({ name, windowMs, max, message = 'Too many attempts. Please try again later.' }) {
+    const hits = new Map();
+
+    // Drop finished windows now and then so the map can't grow without bound
+    setInterval(() => {
+        const now = Date.now();
+        hits.forEach((entry, key) => {
+            if (entry.resetAt <= now) hits.delete(key);
+        });
+    }, windowMs).unref();
+
+    return (req, res, next) => {
+        if (!max) return next();
+
+        const key = `${name}:${req.ip}`;
+        const now = Date.now();
+        let entry = hits.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count += 1;
+
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+
+        if (entry.count > max) {
+            const error = new HttpError(message, 429, 'rate_limited');
+            error.retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+            return sendError(res, error);
+        }
+        next();
+    };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,144 @@
+// server/migrate.js
+// Versioned schema migrations. Each file in ./migrations is named
+// NNN_description.js and exports async up(db, helpers) / down(db, helpers).
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .map(file => {
+            const match = file.match(FILE_PATTERN);
+            if (!match) return null;
+            return {
+                version: Number(match[1]),
+                name: match[2],
+                file,
+                ...require(path.join(dir, file))
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db, { exec }) {
+    await exec(db, `
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function appliedVersions(db, helpers) {
+    await ensureMigrationsTable(db, helpers);
+    const rows = await helpers.all(db, 'SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => row.version);
+}
+
+// Runs one migration step and its bookkeeping in a single transaction.
+// Migrations that rebuild a table export `foreignKeys: false`: enforcement
+// can't change inside a transaction, so it is switched off around the step
+// and the result is checked with foreign_key_check before committing.
+async function runStep(db, helpers, migration, direction) {
+    const pauseForeignKeys = migration.foreignKeys === false;
+    const { foreign_keys: enforced } = await helpers.get(db, 'PRAGMA foreign_keys');
+
+    if (pauseForeignKeys) await helpers.exec(db, 'PRAGMA foreign_keys = OFF');
+    await helpers.exec(db, 'BEGIN');
+    try {
+        await migration[direction](db, helpers);
+
+        if (direction === 'up') {
+            await helpers.run(db, 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        } else {
+            await helpers.run(db, 'DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+
+        if (pauseForeignKeys) {
+            const violations = await helpers.all(db, 'PRAGMA foreign_key_check');
+            if (violations.length) {
+                throw new Error(`${violations.length} foreign key violation(s), first in ${violations[0].table}`);
+            }
+        }
+
+        await helpers.exec(db, 'COMMIT');
+    } catch (error) {
+        await helpers.exec(db, 'ROLLBACK');
+        error.message = `Migration ${migration.file} (${direction}) failed: ${error.message}`;
+        throw error;
+    } finally {
+        if (pauseForeignKeys && enforced) await helpers.exec(db, 'PRAGMA foreign_keys = ON');
+    }
+}
+
+/**
+ * Applies every pending migration (or up to `to`). Returns the migrations applied.
+ */
+async function migrate(db, helpers, { to = Infinity, log = console.log } = {}) {
+    const applied = new Set(await appliedVersions(db, helpers));
+    const pending = loadMigrations().filter(m => !applied.has(m.version) && m.version <= to);
+
+    for (const migration of pending) {
+        await runStep(db, helpers, migration, 'up');
+        log(`⬆️  Applied ${migration.file}`);
+    }
+    return pending;
+}
+
+/**
+ * Reverts the most recent `steps` migrations. Returns the migrations reverted.
+ */
+async function rollback(db, helpers, { steps = 1, log = console.log } = {}) {
+    const applied = await appliedVersions(db, helpers);
+    const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+    const targets = applied.slice(-steps).reverse();
+
+    const reverted = [];
+    for (const version of targets) {
+        const migration = byVersion.get(version);
+        if (!migration) {
+            throw new Error(`Cannot roll back version ${version}: its migration file is missing`);
+        }
+        await runStep(db, helpers, migration, 'down');
+        log(`⬇️  Reverted ${migration.file}`);
+        reverted.push(migration);
+    }
+    return reverted;
+}
+
+// Every known migration with whether (and when) it has been applied
+async function status(db, helpers) {
+    await ensureMigrationsTable(db, helpers);
+    const rows = await helpers.all(db, 'SELECT version, name, applied_at FROM schema_migrations');
+    const applied = new Map(rows.map(row => [row.version, row]));
+    const migrations = loadMigrations();
+
+    const report = migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        applied: applied.has(m.version),
+        appliedAt: applied.has(m.version) ? applied.get(m.version).applied_at : null
+    }));
+
+    // Applied in the database but no longer on disk
+    rows.filter(row => !migrations.some(m => m.version === row.version)).forEach(row => report.push({
+        version: row.version,
+        name: row.name,
+        applied: true,
+        appliedAt: row.applied_at,
+        missing: true
+    }));
+
+    return report.sort((a, b) => a.version - b.version);
+}
+
+module.exports = {
+    loadMigrations,
+    migrate,
+    rollback,
+    status
+};
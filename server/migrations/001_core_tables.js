@@ -0,0 +1,59 @@
+// Users, subjects, chat history and mood logs.
+// IF NOT EXISTS lets databases built by the old setupDatabase() adopt this migration.
+module.exports = {
+    async up(db, { exec }) {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS Users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                email TEXT NOT NULL UNIQUE,
+                password TEXT NOT NULL,
+                avatar_color TEXT DEFAULT '#4361ee',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_login DATETIME
+            );
+
+            CREATE TABLE IF NOT EXISTS Subjects (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                color TEXT NOT NULL,
+                icon TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS ChatMessages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                subjectId INTEGER NOT NULL,
+                sender TEXT NOT NULL CHECK(sender IN ('user', 'ai', 'system')),
+                text TEXT NOT NULL,
+                is_saved BOOLEAN DEFAULT 0,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                sentiment_score REAL,
+                sentiment_magnitude REAL,
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
+                FOREIGN KEY (subjectId) REFERENCES Subjects(id) ON DELETE CASCADE
+            );
+
+            CREATE TABLE IF NOT EXISTS MoodLogs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                subjectId INTEGER NOT NULL,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                score REAL NOT NULL,
+                magnitude REAL NOT NULL,
+                message TEXT,
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
+                FOREIGN KEY (subjectId) REFERENCES Subjects(id) ON DELETE CASCADE
+            );
+        `);
+    },
+
+    async down(db, { exec }) {
+        await exec(db, `
+            DROP TABLE IF EXISTS MoodLogs;
+            DROP TABLE IF EXISTS ChatMessages;
+            DROP TABLE IF EXISTS Subjects;
+            DROP TABLE IF EXISTS Users;
+        `);
+    }
+};
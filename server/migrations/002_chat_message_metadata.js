@@ -0,0 +1,25 @@
+// Streaming state, provider/model and document citations on chat messages.
+const COLUMNS = [
+    ['is_partial', 'BOOLEAN DEFAULT 0'],
+    ['provider', 'TEXT'],
+    ['model', 'TEXT'],
+    ['citations', 'TEXT']
+];
+
+module.exports = {
+    async up(db, { all, exec }) {
+        const existing = (await all(db, 'PRAGMA table_info(ChatMessages)')).map(column => column.name);
+
+        for (const [name, type] of COLUMNS) {
+            if (!existing.includes(name)) {
+                await exec(db, `ALTER TABLE ChatMessages ADD COLUMN ${name} ${type}`);
+            }
+        }
+    },
+
+    async down(db, { exec }) {
+        for (const [name] of [...COLUMNS].reverse()) {
+            await exec(db, `ALTER TABLE ChatMessages DROP COLUMN ${name}`);
+        }
+    }
+};
@@ -0,0 +1,22 @@
+// Rolling summaries of older chat turns, one per user and subject.
+module.exports = {
+    async up(db, { exec }) {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS ConversationSummaries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                subjectId INTEGER NOT NULL,
+                summary TEXT NOT NULL,
+                summarized_through INTEGER NOT NULL DEFAULT 0,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(userId, subjectId),
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
+                FOREIGN KEY (subjectId) REFERENCES Subjects(id) ON DELETE CASCADE
+            );
+        `);
+    },
+
+    async down(db, { exec }) {
+        await exec(db, 'DROP TABLE IF EXISTS ConversationSummaries');
+    }
+};
@@ -0,0 +1,64 @@
+// Uploaded course documents, their chunks and the FTS5 retrieval index.
+module.exports = {
+    async up(db, { exec }) {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS Documents (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                subjectId INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                original_filename TEXT NOT NULL,
+                size_bytes INTEGER NOT NULL,
+                page_count INTEGER NOT NULL,
+                chunk_count INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
+                FOREIGN KEY (subjectId) REFERENCES Subjects(id) ON DELETE CASCADE
+            );
+
+            CREATE TABLE IF NOT EXISTS DocumentChunks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                documentId INTEGER NOT NULL,
+                chunk_index INTEGER NOT NULL,
+                page_number INTEGER NOT NULL,
+                text TEXT NOT NULL,
+                FOREIGN KEY (documentId) REFERENCES Documents(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_document_chunks_document ON DocumentChunks(documentId, chunk_index);
+
+            -- Full-text index for retrieval, kept in sync by triggers
+            CREATE VIRTUAL TABLE IF NOT EXISTS DocumentChunksFts USING fts5(
+                text,
+                content='DocumentChunks',
+                content_rowid='id',
+                tokenize='porter unicode61'
+            );
+
+            CREATE TRIGGER IF NOT EXISTS document_chunks_ai AFTER INSERT ON DocumentChunks BEGIN
+                INSERT INTO DocumentChunksFts(rowid, text) VALUES (new.id, new.text);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS document_chunks_ad AFTER DELETE ON DocumentChunks BEGIN
+                INSERT INTO DocumentChunksFts(DocumentChunksFts, rowid, text) VALUES ('delete', old.id, old.text);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS document_chunks_au AFTER UPDATE ON DocumentChunks BEGIN
+                INSERT INTO DocumentChunksFts(DocumentChunksFts, rowid, text) VALUES ('delete', old.id, old.text);
+                INSERT INTO DocumentChunksFts(rowid, text) VALUES (new.id, new.text);
+            END;
+        `);
+    },
+
+    async down(db, { exec }) {
+        await exec(db, `
+            DROP TRIGGER IF EXISTS document_chunks_au;
+            DROP TRIGGER IF EXISTS document_chunks_ad;
+            DROP TRIGGER IF EXISTS document_chunks_ai;
+            DROP TABLE IF EXISTS DocumentChunksFts;
+            DROP TABLE IF EXISTS DocumentChunks;
+            DROP TABLE IF EXISTS Documents;
+        `);
+    }
+};
@@ -0,0 +1,53 @@
+// Generated quizzes, their questions and graded attempts.
+module.exports = {
+    async up(db, { exec }) {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS Quizzes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                subjectId INTEGER NOT NULL,
+                title TEXT NOT NULL,
+                source TEXT NOT NULL CHECK(source IN ('chat', 'document')),
+                documentId INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
+                FOREIGN KEY (subjectId) REFERENCES Subjects(id) ON DELETE CASCADE,
+                FOREIGN KEY (documentId) REFERENCES Documents(id) ON DELETE SET NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS QuizQuestions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                quizId INTEGER NOT NULL,
+                position INTEGER NOT NULL,
+                type TEXT NOT NULL CHECK(type IN ('mcq', 'true_false', 'short_answer')),
+                prompt TEXT NOT NULL,
+                options TEXT,
+                answer TEXT NOT NULL,
+                explanation TEXT,
+                keywords TEXT,
+                FOREIGN KEY (quizId) REFERENCES Quizzes(id) ON DELETE CASCADE
+            );
+
+            CREATE TABLE IF NOT EXISTS QuizAttempts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                quizId INTEGER NOT NULL,
+                userId INTEGER NOT NULL,
+                answers TEXT NOT NULL,
+                results TEXT NOT NULL,
+                score REAL NOT NULL,
+                max_score REAL NOT NULL,
+                submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (quizId) REFERENCES Quizzes(id) ON DELETE CASCADE,
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE
+            );
+        `);
+    },
+
+    async down(db, { exec }) {
+        await exec(db, `
+            DROP TABLE IF EXISTS QuizAttempts;
+            DROP TABLE IF EXISTS QuizQuestions;
+            DROP TABLE IF EXISTS Quizzes;
+        `);
+    }
+};
@@ -0,0 +1,60 @@
+// Flashcard decks, cards with SM-2 scheduling state, and the review log.
+module.exports = {
+    async up(db, { exec }) {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS FlashcardDecks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                subjectId INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(userId, subjectId, name),
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
+                FOREIGN KEY (subjectId) REFERENCES Subjects(id) ON DELETE CASCADE
+            );
+
+            CREATE TABLE IF NOT EXISTS Flashcards (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                deckId INTEGER NOT NULL,
+                userId INTEGER NOT NULL,
+                front TEXT NOT NULL,
+                back TEXT NOT NULL,
+                source TEXT NOT NULL DEFAULT 'manual' CHECK(source IN ('manual', 'message', 'chunk')),
+                source_message_id INTEGER,
+                source_chunk_id INTEGER,
+                ease_factor REAL NOT NULL DEFAULT 2.5,
+                interval_days INTEGER NOT NULL DEFAULT 0,
+                repetitions INTEGER NOT NULL DEFAULT 0,
+                due_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_reviewed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (deckId) REFERENCES FlashcardDecks(id) ON DELETE CASCADE,
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
+                FOREIGN KEY (source_message_id) REFERENCES ChatMessages(id) ON DELETE SET NULL,
+                FOREIGN KEY (source_chunk_id) REFERENCES DocumentChunks(id) ON DELETE SET NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_flashcards_due ON Flashcards(userId, due_at);
+
+            CREATE TABLE IF NOT EXISTS FlashcardReviews (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                cardId INTEGER NOT NULL,
+                userId INTEGER NOT NULL,
+                grade TEXT NOT NULL CHECK(grade IN ('again', 'hard', 'good', 'easy')),
+                ease_factor REAL NOT NULL,
+                interval_days INTEGER NOT NULL,
+                reviewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (cardId) REFERENCES Flashcards(id) ON DELETE CASCADE,
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE
+            );
+        `);
+    },
+
+    async down(db, { exec }) {
+        await exec(db, `
+            DROP TABLE IF EXISTS FlashcardReviews;
+            DROP TABLE IF EXISTS Flashcards;
+            DROP TABLE IF EXISTS FlashcardDecks;
+        `);
+    }
+};
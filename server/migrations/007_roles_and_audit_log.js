@@ -0,0 +1,31 @@
+// User roles and an audit trail of refused cross-account access.
+module.exports = {
+    async up(db, { exec }) {
+        await exec(db, `
+            ALTER TABLE Users ADD COLUMN role TEXT NOT NULL DEFAULT 'student'
+                CHECK(role IN ('student', 'instructor', 'admin'));
+
+            CREATE TABLE IF NOT EXISTS AuditLogs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER,
+                action TEXT NOT NULL,
+                target_user_id INTEGER,
+                method TEXT,
+                path TEXT,
+                ip TEXT,
+                details TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE SET NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_audit_logs_user ON AuditLogs(userId, created_at);
+        `);
+    },
+
+    async down(db, { exec }) {
+        await exec(db, `
+            DROP TABLE IF EXISTS AuditLogs;
+            ALTER TABLE Users DROP COLUMN role;
+        `);
+    }
+};
@@ -0,0 +1,40 @@
+// Login sessions (one per device) and their rotating refresh tokens.
+module.exports = {
+    async up(db, { exec }) {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS Sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                user_agent TEXT,
+                device TEXT,
+                ip TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                revoked_at DATETIME,
+                revoked_reason TEXT,
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_sessions_user ON Sessions(userId, revoked_at);
+
+            -- Every refresh token ever issued for a session; rotated_at is set once it
+            -- has been exchanged, so presenting it again reveals a stolen token.
+            CREATE TABLE IF NOT EXISTS RefreshTokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                sessionId INTEGER NOT NULL,
+                token_hash TEXT NOT NULL UNIQUE,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                rotated_at DATETIME,
+                FOREIGN KEY (sessionId) REFERENCES Sessions(id) ON DELETE CASCADE
+            );
+        `);
+    },
+
+    async down(db, { exec }) {
+        await exec(db, `
+            DROP TABLE IF EXISTS RefreshTokens;
+            DROP TABLE IF EXISTS Sessions;
+        `);
+    }
+};
@@ -0,0 +1,28 @@
+// Email verification state and single-use tokens for verification and password reset.
+module.exports = {
+    async up(db, { exec }) {
+        await exec(db, `
+            ALTER TABLE Users ADD COLUMN email_verified_at DATETIME;
+
+            CREATE TABLE IF NOT EXISTS AuthTokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                purpose TEXT NOT NULL CHECK(purpose IN ('verify_email', 'reset_password')),
+                token_hash TEXT NOT NULL UNIQUE,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON AuthTokens(userId, purpose);
+        `);
+    },
+
+    async down(db, { exec }) {
+        await exec(db, `
+            DROP TABLE IF EXISTS AuthTokens;
+            ALTER TABLE Users DROP COLUMN email_verified_at;
+        `);
+    }
+};
@@ -0,0 +1,25 @@
+// Token usage of every model call, for per-user quotas.
+module.exports = {
+    async up(db, { exec }) {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS LlmUsage (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                feature TEXT NOT NULL,
+                provider TEXT NOT NULL,
+                model TEXT,
+                prompt_tokens INTEGER NOT NULL DEFAULT 0,
+                completion_tokens INTEGER NOT NULL DEFAULT 0,
+                estimated BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_llm_usage_user ON LlmUsage(userId, created_at);
+        `);
+    },
+
+    async down(db, { exec }) {
+        await exec(db, 'DROP TABLE IF EXISTS LlmUsage');
+    }
+};
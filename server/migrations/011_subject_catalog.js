@@ -0,0 +1,54 @@
+// Subjects gain a tutor persona (system prompt, difficulty, description) and
+// can belong to one student. Names are unique among global subjects and
+// within each student's own, so Subjects is rebuilt without UNIQUE(name).
+module.exports = {
+    foreignKeys: false,
+
+    async up(db, { exec }) {
+        await exec(db, `
+            CREATE TABLE Subjects_new (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                description TEXT,
+                color TEXT NOT NULL,
+                icon TEXT NOT NULL,
+                system_prompt TEXT,
+                difficulty TEXT NOT NULL DEFAULT 'intermediate'
+                    CHECK(difficulty IN ('beginner', 'intermediate', 'advanced')),
+                ownerId INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (ownerId) REFERENCES Users(id) ON DELETE CASCADE
+            );
+
+            INSERT INTO Subjects_new (id, name, color, icon) SELECT id, name, color, icon FROM Subjects;
+            DROP TABLE Subjects;
+            ALTER TABLE Subjects_new RENAME TO Subjects;
+
+            CREATE UNIQUE INDEX idx_subjects_global_name ON Subjects(name) WHERE ownerId IS NULL;
+            CREATE UNIQUE INDEX idx_subjects_owner_name ON Subjects(ownerId, name) WHERE ownerId IS NOT NULL;
+        `);
+    },
+
+    async down(db, { get, exec }) {
+        // Private subjects have no place in the old schema, and dropping them
+        // here would orphan their chats
+        const { count } = await get(db, 'SELECT COUNT(*) AS count FROM Subjects WHERE ownerId IS NOT NULL');
+        if (count) {
+            throw new Error(`${count} private subject(s) exist; delete them before rolling back`);
+        }
+
+        await exec(db, `
+            CREATE TABLE Subjects_old (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                color TEXT NOT NULL,
+                icon TEXT NOT NULL
+            );
+
+            INSERT INTO Subjects_old (id, name, color, icon) SELECT id, name, color, icon FROM Subjects;
+            DROP TABLE Subjects;
+            ALTER TABLE Subjects_old RENAME TO Subjects;
+        `);
+    }
+};
@@ -0,0 +1,85 @@
+// Named conversation threads. Every chat message belongs to one; existing
+// messages are gathered into one thread per user and subject. Messages
+// copied into a fork keep a pointer to the original in copied_from_id.
+// Rolling summaries are re-keyed from (user, subject) to the conversation.
+// ChatMessages.conversationId carries no FOREIGN KEY so rollback can drop
+// it; deleteConversation removes a thread's messages itself.
+module.exports = {
+    async up(db, { exec }) {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS Conversations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                subjectId INTEGER NOT NULL,
+                title TEXT NOT NULL,
+                forked_from_message_id INTEGER,
+                archived_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
+                FOREIGN KEY (subjectId) REFERENCES Subjects(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_conversations_user ON Conversations(userId, subjectId, updated_at);
+
+            ALTER TABLE ChatMessages ADD COLUMN conversationId INTEGER;
+            ALTER TABLE ChatMessages ADD COLUMN copied_from_id INTEGER;
+
+            INSERT INTO Conversations (userId, subjectId, title, created_at, updated_at)
+            SELECT cm.userId, cm.subjectId, s.name || ' chat', MIN(cm.timestamp), MAX(cm.timestamp)
+            FROM ChatMessages cm
+            JOIN Subjects s ON s.id = cm.subjectId
+            GROUP BY cm.userId, cm.subjectId;
+
+            UPDATE ChatMessages SET conversationId = (
+                SELECT c.id FROM Conversations c
+                WHERE c.userId = ChatMessages.userId AND c.subjectId = ChatMessages.subjectId
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_chat_messages_conversation ON ChatMessages(conversationId, id);
+
+            CREATE TABLE ConversationSummaries_new (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                conversationId INTEGER NOT NULL UNIQUE,
+                summary TEXT NOT NULL,
+                summarized_through INTEGER NOT NULL DEFAULT 0,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (conversationId) REFERENCES Conversations(id) ON DELETE CASCADE
+            );
+
+            INSERT INTO ConversationSummaries_new (conversationId, summary, summarized_through, updated_at)
+            SELECT c.id, cs.summary, cs.summarized_through, cs.updated_at
+            FROM ConversationSummaries cs
+            JOIN Conversations c ON c.userId = cs.userId AND c.subjectId = cs.subjectId;
+
+            DROP TABLE ConversationSummaries;
+            ALTER TABLE ConversationSummaries_new RENAME TO ConversationSummaries;
+        `);
+    },
+
+    // Summaries are a cache of older turns; the per-subject table comes back
+    // empty and is rebuilt as students keep chatting
+    async down(db, { exec }) {
+        await exec(db, `
+            DROP TABLE ConversationSummaries;
+
+            CREATE TABLE ConversationSummaries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                subjectId INTEGER NOT NULL,
+                summary TEXT NOT NULL,
+                summarized_through INTEGER NOT NULL DEFAULT 0,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(userId, subjectId),
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
+                FOREIGN KEY (subjectId) REFERENCES Subjects(id) ON DELETE CASCADE
+            );
+
+            DELETE FROM ChatMessages WHERE copied_from_id IS NOT NULL;
+            DROP INDEX IF EXISTS idx_chat_messages_conversation;
+            ALTER TABLE ChatMessages DROP COLUMN copied_from_id;
+            ALTER TABLE ChatMessages DROP COLUMN conversationId;
+            DROP TABLE IF EXISTS Conversations;
+        `);
+    }
+};
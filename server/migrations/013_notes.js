@@ -0,0 +1,55 @@
+// Personal notes: saved chat messages and free-form notes, with the
+// student's annotation, grouped into per-subject notebooks and tagged.
+// ChatMessages.is_saved mirrors whether a message has a note.
+module.exports = {
+    async up(db, { exec }) {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS Notebooks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                subjectId INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(userId, subjectId, name),
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
+                FOREIGN KEY (subjectId) REFERENCES Subjects(id) ON DELETE CASCADE
+            );
+
+            CREATE TABLE IF NOT EXISTS Notes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                subjectId INTEGER NOT NULL,
+                notebookId INTEGER,
+                messageId INTEGER UNIQUE,
+                content TEXT NOT NULL,
+                annotation TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
+                FOREIGN KEY (subjectId) REFERENCES Subjects(id) ON DELETE CASCADE,
+                FOREIGN KEY (notebookId) REFERENCES Notebooks(id) ON DELETE SET NULL,
+                FOREIGN KEY (messageId) REFERENCES ChatMessages(id) ON DELETE SET NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_notes_user ON Notes(userId, subjectId, updated_at);
+
+            CREATE TABLE IF NOT EXISTS NoteTags (
+                noteId INTEGER NOT NULL,
+                tag TEXT NOT NULL,
+                PRIMARY KEY (noteId, tag),
+                FOREIGN KEY (noteId) REFERENCES Notes(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_note_tags_tag ON NoteTags(tag);
+        `);
+    },
+
+    async down(db, { exec }) {
+        await exec(db, `
+            UPDATE ChatMessages SET is_saved = 0;
+            DROP TABLE IF EXISTS NoteTags;
+            DROP TABLE IF EXISTS Notes;
+            DROP TABLE IF EXISTS Notebooks;
+        `);
+    }
+};
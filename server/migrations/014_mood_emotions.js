@@ -0,0 +1,33 @@
+// Per-emotion breakdown on mood logs (0..1 each) and the strongest emotion.
+// Existing logs are re-scored with the lexicon analyzer, which replaces the
+// old keyword count, so their score and magnitude change too.
+const { EMOTIONS, analyzeSentiment } = require('../sentiment');
+
+module.exports = {
+    async up(db, { run, all, exec }) {
+        for (const emotion of EMOTIONS) {
+            await exec(db, `ALTER TABLE MoodLogs ADD COLUMN ${emotion} REAL NOT NULL DEFAULT 0`);
+        }
+        await exec(db, 'ALTER TABLE MoodLogs ADD COLUMN dominant_emotion TEXT');
+
+        const logs = await all(db, 'SELECT id, message FROM MoodLogs');
+        for (const log of logs) {
+            const { score, magnitude, emotions, dominantEmotion } = analyzeSentiment(log.message || '');
+            await run(db,
+                `UPDATE MoodLogs SET score = ?, magnitude = ?, ${EMOTIONS.map(emotion => `${emotion} = ?`).join(', ')},
+                    dominant_emotion = ? WHERE id = ?`,
+                [score, magnitude, ...EMOTIONS.map(emotion => emotions[emotion]), dominantEmotion, log.id]
+            );
+        }
+
+        await exec(db, 'CREATE INDEX IF NOT EXISTS idx_mood_logs_user ON MoodLogs(userId, subjectId, timestamp)');
+    },
+
+    async down(db, { exec }) {
+        await exec(db, 'DROP INDEX IF EXISTS idx_mood_logs_user');
+        await exec(db, 'ALTER TABLE MoodLogs DROP COLUMN dominant_emotion');
+        for (const emotion of [...EMOTIONS].reverse()) {
+            await exec(db, `ALTER TABLE MoodLogs DROP COLUMN ${emotion}`);
+        }
+    }
+};
@@ -0,0 +1,65 @@
+// Full-text indexes for /api/search over chat messages and notes, kept in
+// sync by triggers like DocumentChunksFts. Existing rows are indexed here.
+module.exports = {
+    async up(db, { exec }) {
+        await exec(db, `
+            CREATE VIRTUAL TABLE IF NOT EXISTS ChatMessagesFts USING fts5(
+                text,
+                content='ChatMessages',
+                content_rowid='id',
+                tokenize='porter unicode61'
+            );
+
+            CREATE TRIGGER IF NOT EXISTS chat_messages_ai AFTER INSERT ON ChatMessages BEGIN
+                INSERT INTO ChatMessagesFts(rowid, text) VALUES (new.id, new.text);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS chat_messages_ad AFTER DELETE ON ChatMessages BEGIN
+                INSERT INTO ChatMessagesFts(ChatMessagesFts, rowid, text) VALUES ('delete', old.id, old.text);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS chat_messages_au AFTER UPDATE OF text ON ChatMessages BEGIN
+                INSERT INTO ChatMessagesFts(ChatMessagesFts, rowid, text) VALUES ('delete', old.id, old.text);
+                INSERT INTO ChatMessagesFts(rowid, text) VALUES (new.id, new.text);
+            END;
+
+            INSERT INTO ChatMessagesFts(ChatMessagesFts) VALUES ('rebuild');
+
+            CREATE VIRTUAL TABLE IF NOT EXISTS NotesFts USING fts5(
+                content,
+                annotation,
+                content='Notes',
+                content_rowid='id',
+                tokenize='porter unicode61'
+            );
+
+            CREATE TRIGGER IF NOT EXISTS notes_ai AFTER INSERT ON Notes BEGIN
+                INSERT INTO NotesFts(rowid, content, annotation) VALUES (new.id, new.content, new.annotation);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS notes_ad AFTER DELETE ON Notes BEGIN
+                INSERT INTO NotesFts(NotesFts, rowid, content, annotation) VALUES ('delete', old.id, old.content, old.annotation);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS notes_au AFTER UPDATE OF content, annotation ON Notes BEGIN
+                INSERT INTO NotesFts(NotesFts, rowid, content, annotation) VALUES ('delete', old.id, old.content, old.annotation);
+                INSERT INTO NotesFts(rowid, content, annotation) VALUES (new.id, new.content, new.annotation);
+            END;
+
+            INSERT INTO NotesFts(NotesFts) VALUES ('rebuild');
+        `);
+    },
+
+    async down(db, { exec }) {
+        await exec(db, `
+            DROP TRIGGER IF EXISTS notes_au;
+            DROP TRIGGER IF EXISTS notes_ad;
+            DROP TRIGGER IF EXISTS notes_ai;
+            DROP TABLE IF EXISTS NotesFts;
+            DROP TRIGGER IF EXISTS chat_messages_au;
+            DROP TRIGGER IF EXISTS chat_messages_ad;
+            DROP TRIGGER IF EXISTS chat_messages_ai;
+            DROP TABLE IF EXISTS ChatMessagesFts;
+        `);
+    }
+};
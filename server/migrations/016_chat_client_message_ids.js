@@ -0,0 +1,16 @@
+// Browser-generated ids on student messages, so a message the outbox sends
+// again after a dropped connection is recognised instead of stored twice.
+module.exports = {
+    async up(db, { exec }) {
+        await exec(db, 'ALTER TABLE ChatMessages ADD COLUMN clientMessageId TEXT');
+        await exec(db, `
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_messages_client_id
+            ON ChatMessages(userId, clientMessageId) WHERE clientMessageId IS NOT NULL
+        `);
+    },
+
+    async down(db, { exec }) {
+        await exec(db, 'DROP INDEX IF EXISTS idx_chat_messages_client_id');
+        await exec(db, 'ALTER TABLE ChatMessages DROP COLUMN clientMessageId');
+    }
+};
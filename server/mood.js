@@ -0,0 +1,151 @@
+// server/mood.js
+// Reads the mood logs back. The student's recent trend in a subject changes
+// how the tutor answers, and the weekly summary shows which subjects weigh
+// on them most.
+const moodLogs = require('./repositories/moodLogs');
+const { EMOTIONS } = require('./sentiment');
+
+const DIFFICULT_EMOTIONS = ['confusion', 'frustration', 'anxiety'];
+
+// Only this recent history counts, so a new study session starts fresh
+const TREND_WINDOW_MINUTES = 60;
+const TREND_LOOKBACK = 12;
+
+// Messages in a row that trigger each intervention
+const SIMPLIFY_AFTER = 3;
+const WORKED_EXAMPLE_AFTER = 4;
+const BREAK_EVERY = 6;
+
+const STRUGGLING_SCORE = -0.35;
+
+const INTERVENTIONS = {
+    simplify: {
+        prompt: 'The student has found the last few answers hard going. Switch to a simpler style: short sentences, ' +
+            'one idea at a time, everyday words instead of jargon, and check their understanding before moving on.'
+    },
+    worked_example: {
+        prompt: 'The student has been struggling for several messages. Lead with a fully worked example, one small ' +
+            'step at a time, before any theory, then offer a similar problem for them to try.'
+    },
+    break: {
+        prompt: 'The student has been struggling for a while. Keep this answer short and kind, acknowledge that ' +
+            'the topic is tough, and suggest a five-minute break away from the screen before carrying on.',
+        notice: "You've been working hard on this. A five-minute break often helps things click."
+    }
+};
+
+const ANXIETY_PROMPT = 'They seem anxious: be reassuring, point out what they already understand, and avoid ' +
+    'talking about failing.';
+
+function isStruggling(log) {
+    return DIFFICULT_EMOTIONS.includes(log.dominant_emotion) || log.score <= STRUGGLING_SCORE;
+}
+
+function mostFrequent(values) {
+    const counts = new Map();
+    values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+function interventionFor(streak) {
+    // A break is suggested once per BREAK_EVERY messages, not on every one after
+    if (streak >= BREAK_EVERY && streak % BREAK_EVERY === 0) return 'break';
+    if (streak >= WORKED_EXAMPLE_AFTER) return 'worked_example';
+    if (streak >= SIMPLIFY_AFTER) return 'simplify';
+    return null;
+}
+
+/**
+ * How the student is doing in this subject, counting the message being
+ * answered (`current`, an analyzeSentiment() result). Resolves with
+ * { streak, emotion, intervention }: `streak` is how many of their latest
+ * messages in a row show difficulty, `emotion` the most common difficult one.
+ */
+async function moodTrend(db, userId, subjectId, current) {
+    const recent = await moodLogs.listRecentMoodLogs(db, userId, subjectId, {
+        withinMinutes: TREND_WINDOW_MINUTES,
+        limit: TREND_LOOKBACK
+    });
+    const logs = [{ score: current.score, dominant_emotion: current.dominantEmotion }, ...recent];
+
+    const streakLogs = [];
+    for (const log of logs) {
+        if (!isStruggling(log)) break;
+        streakLogs.push(log);
+    }
+
+    return {
+        streak: streakLogs.length,
+        emotion: mostFrequent(streakLogs.map(log => log.dominant_emotion)),
+        intervention: interventionFor(streakLogs.length)
+    };
+}
+
+// Extra system prompt for the tutor, or null when no change is needed
+function moodGuidance(trend) {
+    if (!trend?.intervention) return null;
+
+    const { prompt } = INTERVENTIONS[trend.intervention];
+    return trend.emotion === 'anxiety' ? `${prompt} ${ANXIETY_PROMPT}` : prompt;
+}
+
+// What the client is told alongside the answer
+function moodNotice(trend) {
+    if (!trend?.intervention) return null;
+    return {
+        intervention: trend.intervention,
+        streak: trend.streak,
+        emotion: trend.emotion,
+        message: INTERVENTIONS[trend.intervention].notice || null
+    };
+}
+
+function round(value) {
+    return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Per-subject mood for each of the last `weeks` weeks with any chat, newest
+ * first. Subjects are ordered most stressful first.
+ */
+async function weeklyMoodSummary(db, userId, { weeks = 4, modifier }) {
+    const [stats, dominant] = await Promise.all([
+        moodLogs.weeklyMoodStats(db, userId, { weeks, modifier }),
+        moodLogs.weeklyDominantEmotions(db, userId, { weeks, modifier })
+    ]);
+
+    const byWeek = new Map();
+    stats.forEach(row => {
+        if (!byWeek.has(row.week_start)) byWeek.set(row.week_start, []);
+
+        const counts = dominant.filter(entry => entry.week_start === row.week_start && entry.subjectId === row.subjectId);
+        const top = counts.sort((a, b) => b.count - a.count)[0];
+
+        byWeek.get(row.week_start).push({
+            subjectId: row.subjectId,
+            subject: row.subject,
+            messages: row.messages,
+            averageScore: round(row.average_score),
+            averageMagnitude: round(row.average_magnitude),
+            stress: round(row.stress),
+            negativeShare: round(row.negative_messages / row.messages),
+            emotions: Object.fromEntries(EMOTIONS.map(emotion => [emotion, round(row[emotion])])),
+            dominantEmotion: top?.dominant_emotion || null
+        });
+    });
+
+    return {
+        weeks: [...byWeek.entries()].map(([weekStart, subjects]) => ({
+            weekStart,
+            mostStressful: subjects[0].stress > 0 ? subjects[0].subject : null,
+            subjects
+        }))
+    };
+}
+
+module.exports = {
+    moodTrend,
+    moodGuidance,
+    moodNotice,
+    weeklyMoodSummary
+};
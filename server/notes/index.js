@@ -0,0 +1,345 @@
+// server/notes/index.js
+// Saved chat messages, free-form notes, their tags, and the per-subject
+// notebooks that group them. Saving a message copies its text into a note
+// and sets ChatMessages.is_saved; removing the note clears it again.
+const { run, get, all, transaction } = require('../database');
+const { HttpError } = require('../errors');
+const { dateRangeFilter } = require('../dateRange');
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const TAG_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+
+const NOTE_COLUMNS = `n.id, n.subjectId, s.name as subject, n.notebookId, nb.name as notebook, n.messageId,
+    n.content, n.annotation, n.created_at, n.updated_at,
+    (SELECT GROUP_CONCAT(t.tag, ',') FROM NoteTags t WHERE t.noteId = n.id) as tags`;
+
+const NOTE_JOINS = `
+    FROM Notes n
+    JOIN Subjects s ON n.subjectId = s.id
+    LEFT JOIN Notebooks nb ON n.notebookId = nb.id`;
+
+function toNote(row) {
+    return row && { ...row, tags: row.tags ? row.tags.split(',').sort() : [] };
+}
+
+/**
+ * Accepts an array or a comma-separated string. Tags are lower-cased, spaces
+ * become dashes and a leading # is dropped. Returns undefined when absent.
+ */
+function normalizeTags(tags) {
+    if (tags === undefined) return undefined;
+    if (tags === null) return [];
+
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    const normalized = [...new Set(list
+        .map(tag => String(tag).trim().replace(/^#/, '').toLowerCase().replace(/\s+/g, '-'))
+        .filter(Boolean))];
+
+    if (normalized.length > MAX_TAGS) {
+        throw new HttpError(`A note can have at most ${MAX_TAGS} tags.`);
+    }
+    const invalid = normalized.find(tag => tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag));
+    if (invalid) {
+        throw new HttpError(`"${invalid}" is not a valid tag: use letters, numbers, - or _ (up to ${MAX_TAG_LENGTH}).`);
+    }
+    return normalized;
+}
+
+async function setTags(db, noteId, tags) {
+    await run(db, 'DELETE FROM NoteTags WHERE noteId = ?', [noteId]);
+    for (const tag of tags) {
+        await run(db, 'INSERT INTO NoteTags (noteId, tag) VALUES (?, ?)', [noteId, tag]);
+    }
+}
+
+// Notebooks
+
+async function listNotebooks(db, userId, subjectId) {
+    const params = [userId];
+    let query = `
+        SELECT nb.id, nb.name, nb.subjectId, s.name as subject, nb.created_at, COUNT(n.id) as note_count
+        FROM Notebooks nb
+        JOIN Subjects s ON nb.subjectId = s.id
+        LEFT JOIN Notes n ON n.notebookId = nb.id
+        WHERE nb.userId = ?
+    `;
+
+    if (subjectId) {
+        query += ' AND nb.subjectId = ?';
+        params.push(subjectId);
+    }
+
+    query += ' GROUP BY nb.id ORDER BY nb.name ASC';
+    return all(db, query, params);
+}
+
+async function getNotebook(db, userId, notebookId) {
+    return get(db,
+        `SELECT nb.id, nb.name, nb.subjectId, s.name as subject, nb.created_at
+         FROM Notebooks nb
+         JOIN Subjects s ON nb.subjectId = s.id
+         WHERE nb.id = ? AND nb.userId = ?`,
+        [notebookId, userId]
+    );
+}
+
+function rethrowDuplicateNotebook(error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+        throw new HttpError('You already have a notebook with that name.', 409, 'notebook_exists');
+    }
+    throw error;
+}
+
+async function createNotebook(db, { userId, subjectId, name }) {
+    try {
+        const result = await run(db,
+            'INSERT INTO Notebooks (userId, subjectId, name) VALUES (?, ?, ?)',
+            [userId, subjectId, name]
+        );
+        return getNotebook(db, userId, result.lastID);
+    } catch (error) {
+        rethrowDuplicateNotebook(error);
+    }
+}
+
+async function renameNotebook(db, userId, notebookId, name) {
+    try {
+        const result = await run(db,
+            'UPDATE Notebooks SET name = ? WHERE id = ? AND userId = ?',
+            [name, notebookId, userId]
+        );
+        return result.changes ? getNotebook(db, userId, notebookId) : null;
+    } catch (error) {
+        rethrowDuplicateNotebook(error);
+    }
+}
+
+// Its notes stay, outside any notebook
+async function deleteNotebook(db, userId, notebookId) {
+    const result = await run(db, 'DELETE FROM Notebooks WHERE id = ? AND userId = ?', [notebookId, userId]);
+    return result.changes > 0;
+}
+
+// A note can only go in one of the user's notebooks for the note's subject
+async function assertNotebook(db, userId, notebookId, subjectId) {
+    if (notebookId === undefined || notebookId === null) return;
+
+    const notebook = await getNotebook(db, userId, notebookId);
+    if (!notebook) {
+        throw new HttpError('Notebook not found.', 404, 'notebook_not_found');
+    }
+    if (notebook.subjectId !== subjectId) {
+        throw new HttpError('That notebook belongs to a different subject.', 422, 'notebook_subject_mismatch');
+    }
+}
+
+// Notes
+
+async function getNote(db, userId, noteId) {
+    return toNote(await get(db, `SELECT ${NOTE_COLUMNS} ${NOTE_JOINS} WHERE n.id = ? AND n.userId = ?`, [noteId, userId]));
+}
+
+/**
+ * Newest first. `notebookId` may be "none" for notes outside any notebook;
+ * `query` matches the note text or annotation; `from` and `to` are inclusive
+ * YYYY-MM-DD dates. Pass `limit: null` for every match.
+ */
+async function listNotes(db, userId, { subjectId, notebookId, tag, query, from, to, limit = 100 } = {}) {
+    const params = [userId];
+    let sql = `SELECT ${NOTE_COLUMNS} ${NOTE_JOINS} WHERE n.userId = ?`;
+
+    if (subjectId) {
+        sql += ' AND n.subjectId = ?';
+        params.push(subjectId);
+    }
+    if (notebookId === 'none') {
+        sql += ' AND n.notebookId IS NULL';
+    } else if (notebookId) {
+        sql += ' AND n.notebookId = ?';
+        params.push(notebookId);
+    }
+    if (tag) {
+        sql += ' AND EXISTS (SELECT 1 FROM NoteTags t WHERE t.noteId = n.id AND t.tag = ?)';
+        params.push(tag);
+    }
+    if (query) {
+        const pattern = `%${query.replace(/[\\%_]/g, '\\$&')}%`;
+        sql += " AND (n.content LIKE ? ESCAPE '\\' OR n.annotation LIKE ? ESCAPE '\\')";
+        params.push(pattern, pattern);
+    }
+
+    const range = dateRangeFilter('n.created_at', { from, to });
+    sql += range.sql;
+    params.push(...range.params);
+
+    sql += ' ORDER BY n.updated_at DESC, n.id DESC';
+    if (limit) {
+        sql += ' LIMIT ?';
+        params.push(limit);
+    }
+
+    return (await all(db, sql, params)).map(toNote);
+}
+
+// Every tag the user has used, with how many notes carry it
+async function listTags(db, userId, subjectId) {
+    const params = [userId];
+    let query = `
+        SELECT t.tag, COUNT(*) as count
+        FROM NoteTags t
+        JOIN Notes n ON t.noteId = n.id
+        WHERE n.userId = ?
+    `;
+
+    if (subjectId) {
+        query += ' AND n.subjectId = ?';
+        params.push(subjectId);
+    }
+
+    query += ' GROUP BY t.tag ORDER BY t.tag ASC';
+    return all(db, query, params);
+}
+
+async function createNote(db, userId, { subjectId, notebookId = null, content, annotation = null, tags = [] }) {
+    await assertNotebook(db, userId, notebookId, subjectId);
+
+    const noteId = await transaction(async (tx) => {
+        const result = await run(tx,
+            'INSERT INTO Notes (userId, subjectId, notebookId, content, annotation) VALUES (?, ?, ?, ?, ?)',
+            [userId, subjectId, notebookId, content, annotation]
+        );
+        await setTags(tx, result.lastID, tags);
+        return result.lastID;
+    });
+
+    return getNote(db, userId, noteId);
+}
+
+// Updates the given fields; `notebookId: null` takes the note out of its notebook
+async function updateNote(db, userId, noteId, { content, annotation, notebookId, tags }) {
+    const note = await getNote(db, userId, noteId);
+    if (!note) return null;
+
+    await assertNotebook(db, userId, notebookId, note.subjectId);
+
+    const fields = { content, annotation, notebookId };
+    const changed = Object.keys(fields).filter(field => fields[field] !== undefined);
+
+    await transaction(async (tx) => {
+        await run(tx,
+            `UPDATE Notes SET ${changed.map(field => `${field} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...changed.map(field => fields[field]), note.id]
+        );
+        if (tags !== undefined) await setTags(tx, note.id, tags);
+    });
+
+    return getNote(db, userId, note.id);
+}
+
+async function deleteNote(db, userId, noteId) {
+    const note = await getNote(db, userId, noteId);
+    if (!note) return false;
+
+    await transaction(async (tx) => {
+        if (note.messageId) {
+            await run(tx, 'UPDATE ChatMessages SET is_saved = 0 WHERE id = ?', [note.messageId]);
+        }
+        await run(tx, 'DELETE FROM Notes WHERE id = ?', [note.id]);
+    });
+    return true;
+}
+
+// Saved messages
+
+async function getOwnMessage(db, userId, messageId) {
+    const message = await get(db,
+        'SELECT id, subjectId, text FROM ChatMessages WHERE id = ? AND userId = ?',
+        [messageId, userId]
+    );
+    if (!message) {
+        throw new HttpError('Message not found.', 404, 'message_not_found');
+    }
+    return message;
+}
+
+/**
+ * Bookmarks a message as a note, or updates the note when it is already
+ * saved. Resolves with `{ note, created }`.
+ */
+async function saveMessage(db, userId, messageId, { notebookId, annotation, tags } = {}) {
+    const message = await getOwnMessage(db, userId, messageId);
+    const existing = await get(db, 'SELECT id FROM Notes WHERE messageId = ?', [message.id]);
+
+    if (existing) {
+        return { note: await updateNote(db, userId, existing.id, { notebookId, annotation, tags }), created: false };
+    }
+
+    await assertNotebook(db, userId, notebookId, message.subjectId);
+
+    const noteId = await transaction(async (tx) => {
+        const result = await run(tx,
+            `INSERT INTO Notes (userId, subjectId, notebookId, messageId, content, annotation)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [userId, message.subjectId, notebookId ?? null, message.id, message.text, annotation ?? null]
+        );
+        await setTags(tx, result.lastID, tags ?? []);
+        await run(tx, 'UPDATE ChatMessages SET is_saved = 1 WHERE id = ?', [message.id]);
+        return result.lastID;
+    });
+
+    return { note: await getNote(db, userId, noteId), created: true };
+}
+
+async function unsaveMessage(db, userId, messageId) {
+    const message = await getOwnMessage(db, userId, messageId);
+
+    await transaction(async (tx) => {
+        await run(tx, 'DELETE FROM Notes WHERE messageId = ? AND userId = ?', [message.id, userId]);
+        await run(tx, 'UPDATE ChatMessages SET is_saved = 0 WHERE id = ?', [message.id]);
+    });
+}
+
+/**
+ * Saves every tutor answer in a conversation that isn't saved yet.
+ * Resolves with the number of notes created.
+ */
+async function saveConversation(db, userId, conversation, { notebookId = null } = {}) {
+    await assertNotebook(db, userId, notebookId, conversation.subjectId);
+
+    return transaction(async (tx) => {
+        const answers = await all(tx,
+            `SELECT id, text FROM ChatMessages
+             WHERE conversationId = ? AND userId = ? AND sender = 'ai' AND is_saved = 0
+             ORDER BY id ASC`,
+            [conversation.id, userId]
+        );
+
+        for (const answer of answers) {
+            await run(tx,
+                'INSERT INTO Notes (userId, subjectId, notebookId, messageId, content) VALUES (?, ?, ?, ?, ?)',
+                [userId, conversation.subjectId, notebookId, answer.id, answer.text]
+            );
+            await run(tx, 'UPDATE ChatMessages SET is_saved = 1 WHERE id = ?', [answer.id]);
+        }
+        return answers.length;
+    });
+}
+
+module.exports = {
+    normalizeTags,
+    listNotebooks,
+    getNotebook,
+    createNotebook,
+    renameNotebook,
+    deleteNotebook,
+    getNote,
+    listNotes,
+    listTags,
+    createNote,
+    updateNote,
+    deleteNote,
+    saveMessage,
+    unsaveMessage,
+    saveConversation
+};
@@ -0,0 +1,210 @@
+// server/progress.js
+// Study analytics for the Progress Tracker, aggregated from chat, mood,
+// quiz and flashcard activity.
+const { all } = require('./database');
+
+const RANGES = [7, 30, 90];
+
+// Messages closer together than this belong to the same study session
+const SESSION_GAP_MINUTES = 10;
+
+// Minutes credited for a session with a single message
+const MIN_SESSION_MINUTES = 1;
+
+// SQLite modifier that shifts UTC timestamps into the student's local day
+function localModifier(offsetMinutes) {
+    return `${offsetMinutes >= 0 ? '+' : ''}${offsetMinutes} minutes`;
+}
+
+function dayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Every day of the range as YYYY-MM-DD in the student's local time, oldest first
+function rangeDays(days, offsetMinutes, now = new Date()) {
+    const localNow = new Date(now.getTime() + offsetMinutes * 60 * 1000);
+    const keys = [];
+
+    for (let i = days - 1; i >= 0; i--) {
+        const day = new Date(localNow);
+        day.setUTCDate(day.getUTCDate() - i);
+        keys.push(dayKey(day));
+    }
+    return keys;
+}
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Active minutes per local day from message timestamps (grouped into sessions)
+function studyMinutesByDay(timestamps, offsetMinutes) {
+    const minutes = {};
+    let previous = null;
+
+    timestamps.forEach(value => {
+        const time = new Date(`${value.replace(' ', 'T')}Z`).getTime() + offsetMinutes * 60 * 1000;
+        const day = dayKey(new Date(time));
+        const gap = previous === null ? Infinity : (time - previous) / 60000;
+
+        minutes[day] = (minutes[day] || 0) + (gap <= SESSION_GAP_MINUTES ? gap : MIN_SESSION_MINUTES);
+        previous = time;
+    });
+
+    return minutes;
+}
+
+// Current and longest run of consecutive active days
+function computeStreaks(activeDays, today) {
+    const days = new Set(activeDays);
+    const sorted = [...days].sort();
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+
+    sorted.forEach(day => {
+        const expected = previous && dayKey(new Date(Date.parse(previous) + 86400000));
+        run = day === expected ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = day;
+    });
+
+    // A streak is still alive if the student studied today or yesterday
+    let current = 0;
+    let cursor = new Date(Date.parse(today));
+    if (!days.has(today)) cursor = new Date(cursor.getTime() - 86400000);
+    while (days.has(dayKey(cursor))) {
+        current += 1;
+        cursor = new Date(cursor.getTime() - 86400000);
+    }
+
+    return { current, longest };
+}
+
+/**
+ * Aggregates a user's activity over the last `days` days.
+ * `offsetMinutes` is the student's UTC offset, so days match their calendar.
+ */
+async function getProgress(db, userId, { days = 30, offsetMinutes = 0 } = {}) {
+    const modifier = localModifier(offsetMinutes);
+    const dayList = rangeDays(days, offsetMinutes);
+    const since = dayList[0];
+
+    const [questions, messageTimes, activeDays, moods, quizzes, reviews] = await Promise.all([
+        all(db,
+            `SELECT date(cm.timestamp, ?) as day, s.name as subject, COUNT(*) as count
+             FROM ChatMessages cm
+             JOIN Subjects s ON cm.subjectId = s.id
+             WHERE cm.userId = ? AND cm.sender = 'user' AND cm.copied_from_id IS NULL AND date(cm.timestamp, ?) >= ?
+             GROUP BY day, s.name
+             ORDER BY day ASC`,
+            [modifier, userId, modifier, since]
+        ),
+        all(db,
+            `SELECT timestamp FROM ChatMessages
+             WHERE userId = ? AND copied_from_id IS NULL AND date(timestamp, ?) >= ?
+             ORDER BY timestamp ASC`,
+            [userId, modifier, since]
+        ),
+        all(db,
+            `SELECT DISTINCT date(timestamp, ?) as day FROM ChatMessages
+             WHERE userId = ? AND sender = 'user' AND copied_from_id IS NULL
+             UNION
+             SELECT DISTINCT date(reviewed_at, ?) as day FROM FlashcardReviews WHERE userId = ?
+             UNION
+             SELECT DISTINCT date(submitted_at, ?) as day FROM QuizAttempts WHERE userId = ?`,
+            [modifier, userId, modifier, userId, modifier, userId]
+        ),
+        all(db,
+            `SELECT date(timestamp, ?) as day, AVG(score) as score, COUNT(*) as count
+             FROM MoodLogs
+             WHERE userId = ? AND date(timestamp, ?) >= ?
+             GROUP BY day
+             ORDER BY day ASC`,
+            [modifier, userId, modifier, since]
+        ),
+        all(db,
+            `SELECT date(qa.submitted_at, ?) as day, s.name as subject, qa.score, qa.max_score
+             FROM QuizAttempts qa
+             JOIN Quizzes q ON qa.quizId = q.id
+             JOIN Subjects s ON q.subjectId = s.id
+             WHERE qa.userId = ? AND date(qa.submitted_at, ?) >= ?`,
+            [modifier, userId, modifier, since]
+        ),
+        all(db,
+            `SELECT date(reviewed_at, ?) as day, grade
+             FROM FlashcardReviews
+             WHERE userId = ? AND date(reviewed_at, ?) >= ?`,
+            [modifier, userId, modifier, since]
+        )
+    ]);
+
+    const minutes = studyMinutesByDay(messageTimes.map(row => row.timestamp), offsetMinutes);
+    const subjects = {};
+
+    const daily = dayList.map(day => {
+        const dayQuestions = questions.filter(row => row.day === day);
+        const mood = moods.find(row => row.day === day);
+        const dayQuizzes = quizzes.filter(row => row.day === day);
+        const dayReviews = reviews.filter(row => row.day === day);
+
+        dayQuestions.forEach(row => {
+            subjects[row.subject] = subjects[row.subject] || { subject: row.subject, questions: 0, quizAttempts: 0, quizAverage: null };
+            subjects[row.subject].questions += row.count;
+        });
+
+        return {
+            date: day,
+            questions: dayQuestions.reduce((total, row) => total + row.count, 0),
+            questionsBySubject: Object.fromEntries(dayQuestions.map(row => [row.subject, row.count])),
+            studyMinutes: round(minutes[day] || 0, 1),
+            mood: mood ? round(mood.score) : null,
+            quizAverage: dayQuizzes.length
+                ? round(dayQuizzes.reduce((total, row) => total + row.score / row.max_score, 0) / dayQuizzes.length)
+                : null,
+            flashcardReviews: dayReviews.length
+        };
+    });
+
+    quizzes.forEach(row => {
+        const entry = subjects[row.subject] = subjects[row.subject] || { subject: row.subject, questions: 0, quizAttempts: 0, quizAverage: null };
+        entry.quizAverage = ((entry.quizAverage || 0) * entry.quizAttempts + row.score / row.max_score) / (entry.quizAttempts + 1);
+        entry.quizAttempts += 1;
+    });
+
+    const moodLogged = moods.reduce((total, row) => total + row.count, 0);
+    const remembered = reviews.filter(row => row.grade !== 'again').length;
+
+    return {
+        range: { days, from: since, to: dayList[dayList.length - 1] },
+        totals: {
+            questions: daily.reduce((total, day) => total + day.questions, 0),
+            studyMinutes: round(daily.reduce((total, day) => total + day.studyMinutes, 0), 1),
+            // Same days the streak counts: questions, flashcard reviews or quiz attempts
+            activeDays: activeDays.filter(row => row.day >= since && row.day <= dayList[dayList.length - 1]).length,
+            averageMood: moodLogged
+                ? round(moods.reduce((total, row) => total + row.score * row.count, 0) / moodLogged)
+                : null,
+            quizAttempts: quizzes.length,
+            quizAverage: quizzes.length
+                ? round(quizzes.reduce((total, row) => total + row.score / row.max_score, 0) / quizzes.length)
+                : null,
+            flashcardReviews: reviews.length,
+            flashcardRetention: reviews.length ? round(remembered / reviews.length) : null
+        },
+        streak: computeStreaks(activeDays.map(row => row.day), dayList[dayList.length - 1]),
+        subjects: Object.values(subjects).map(entry => ({
+            ...entry,
+            quizAverage: entry.quizAverage === null ? null : round(entry.quizAverage)
+        })),
+        daily
+    };
+}
+
+module.exports = {
+    RANGES,
+    localModifier,
+    getProgress
+};
@@ -0,0 +1,143 @@
+// server/quizzes/generate.js
+// Builds quiz questions from study material, with the configured model when
+// it can write JSON and a deterministic fill-in-the-blank generator otherwise.
+const { getProvider, parseJsonReply } = require('../llm');
+const { contentWords, splitSentences, pickKeyword, replaceKeyword, blankOut } = require('../text');
+
+const QUESTION_TYPES = ['mcq', 'true_false', 'short_answer'];
+
+// Normalizes one model-written question; returns null if it is unusable
+function validateQuestion(raw) {
+    if (!raw || !QUESTION_TYPES.includes(raw.type) || !raw.prompt || raw.answer === undefined) {
+        return null;
+    }
+
+    const question = {
+        type: raw.type,
+        prompt: String(raw.prompt).trim(),
+        options: null,
+        answer: String(raw.answer).trim(),
+        explanation: raw.explanation ? String(raw.explanation).trim() : '',
+        keywords: Array.isArray(raw.keywords) ? raw.keywords.map(String).filter(Boolean) : []
+    };
+
+    if (question.type === 'mcq') {
+        if (!Array.isArray(raw.options) || raw.options.length < 2) return null;
+        question.options = raw.options.map(option => String(option).trim());
+        if (!question.options.includes(question.answer)) return null;
+    }
+
+    if (question.type === 'true_false') {
+        question.options = ['True', 'False'];
+        question.answer = /^t/i.test(question.answer) ? 'True' : 'False';
+    }
+
+    if (question.type === 'short_answer' && !question.keywords.length) {
+        question.keywords = [...new Set(contentWords(question.answer))].slice(0, 5);
+    }
+
+    return question;
+}
+
+async function generateWithModel(provider, material, { subject, count, types }) {
+    const { content } = await provider.complete([{
+        role: 'system',
+        content: `You write quizzes for a student of ${subject}. Reply with JSON only, in the form ` +
+            '{"questions":[{"type":"mcq|true_false|short_answer","prompt":"...","options":["..."],' +
+            '"answer":"...","explanation":"...","keywords":["..."]}]}. ' +
+            'For mcq, "answer" must be one of "options" exactly. For true_false, answer "True" or "False". ' +
+            'For short_answer, "keywords" lists the terms a good answer must mention.'
+    }, {
+        role: 'user',
+        content: `Write ${count} questions using these types: ${types.join(', ')}. ` +
+            `Base them only on this material:\n\n${material}`
+    }], { maxTokens: 1500, temperature: 0.4 });
+
+    const parsed = parseJsonReply(content);
+    const questions = (parsed?.questions || []).map(validateQuestion).filter(Boolean);
+    return questions.slice(0, count);
+}
+
+function generateOffline(material, { count, types }) {
+    const facts = splitSentences(material)
+        .map(sentence => ({ sentence, keyword: pickKeyword(sentence) }))
+        .filter(fact => fact.keyword);
+
+    const keywords = [...new Set(facts.map(fact => fact.keyword))];
+    const questions = [];
+
+    facts.slice(0, count).forEach((fact, i) => {
+        const type = types[i % types.length];
+        const others = keywords.filter(keyword => keyword !== fact.keyword);
+        // Rotated so questions don't all share the same wrong answers; too few makes it a short answer
+        const distractors = [...new Set(others.slice(i % (others.length || 1)).concat(others))].slice(0, 3);
+
+        if (type === 'mcq' && distractors.length === 3) {
+            const options = [...distractors];
+            options.splice(i % (distractors.length + 1), 0, fact.keyword);
+
+            questions.push({
+                type,
+                prompt: `Fill in the blank: ${blankOut(fact.sentence, fact.keyword)}`,
+                options,
+                answer: fact.keyword,
+                explanation: fact.sentence,
+                keywords: [fact.keyword]
+            });
+        } else if (type === 'true_false' && others.length >= 1 && i % 2 === 1) {
+            // Every other true/false question swaps in a wrong term
+            const swapped = others[i % others.length];
+            questions.push({
+                type,
+                prompt: `True or false: ${replaceKeyword(fact.sentence, fact.keyword, swapped)}`,
+                options: ['True', 'False'],
+                answer: 'False',
+                explanation: `The material says: "${fact.sentence}"`,
+                keywords: [fact.keyword]
+            });
+        } else if (type === 'true_false') {
+            questions.push({
+                type,
+                prompt: `True or false: ${fact.sentence}`,
+                options: ['True', 'False'],
+                answer: 'True',
+                explanation: `The material says: "${fact.sentence}"`,
+                keywords: [fact.keyword]
+            });
+        } else {
+            questions.push({
+                type: 'short_answer',
+                prompt: `Which term completes this statement? ${blankOut(fact.sentence, fact.keyword)}`,
+                options: null,
+                answer: fact.keyword,
+                explanation: fact.sentence,
+                keywords: [fact.keyword]
+            });
+        }
+    });
+
+    return questions;
+}
+
+/**
+ * Returns up to `count` questions about `material`:
+ * `[{ type, prompt, options, answer, explanation, keywords }]`.
+ * `provider` defaults to the configured model provider.
+ */
+async function generateQuestions(material, { subject, count = 5, types = QUESTION_TYPES, provider = getProvider() }) {
+    if (!provider.deterministic) {
+        try {
+            const questions = await generateWithModel(provider, material, { subject, count, types });
+            if (questions.length) return questions;
+        } catch (error) {
+            console.error('Quiz generation error:', error);
+        }
+    }
+
+    return generateOffline(material, { count, types });
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    generateQuestions
+};
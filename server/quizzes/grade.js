@@ -0,0 +1,83 @@
+// server/quizzes/grade.js
+// Grades quiz answers: exact match for multiple choice and true/false,
+// model-assisted or keyword rubric grading for short answers.
+const { getProvider, parseJsonReply } = require('../llm');
+const { normalize, contentWords, stem } = require('../text');
+
+// Share of rubric keywords needed for a short answer to count as correct
+const PASS_RATIO = 0.5;
+
+function gradeKeywords(question, answer) {
+    const keywords = question.keywords.length ? question.keywords : [question.answer];
+    const answerStems = new Set(contentWords(answer).map(stem));
+    const answerText = normalize(answer);
+
+    const matched = keywords.filter(keyword => {
+        const words = contentWords(keyword);
+        return words.length
+            ? words.every(word => answerStems.has(stem(word)))
+            : answerText.includes(normalize(keyword));
+    });
+    const score = matched.length / keywords.length;
+
+    return {
+        score,
+        correct: score >= PASS_RATIO,
+        feedback: matched.length === keywords.length
+            ? 'Your answer covers all the key points.'
+            : `Key points to mention: ${keywords.filter(k => !matched.includes(k)).join(', ')}.`
+    };
+}
+
+async function gradeWithModel(provider, question, answer) {
+    const { content } = await provider.complete([{
+        role: 'system',
+        content: 'You grade short quiz answers. Reply with JSON only: {"score": number from 0 to 1, "feedback": "one sentence"}.'
+    }, {
+        role: 'user',
+        content: `Question: ${question.prompt}\nModel answer: ${question.answer}\n` +
+            `Key points: ${question.keywords.join(', ') || 'n/a'}\nStudent answer: ${answer}`
+    }], { maxTokens: 200, temperature: 0 });
+
+    const parsed = parseJsonReply(content);
+    const score = Number(parsed?.score);
+    if (!Number.isFinite(score)) return null;
+
+    const clamped = Math.max(0, Math.min(1, score));
+    return { score: clamped, correct: clamped >= PASS_RATIO, feedback: String(parsed.feedback || '') };
+}
+
+async function gradeShortAnswer(question, answer, provider) {
+    if (!provider.deterministic) {
+        try {
+            const graded = await gradeWithModel(provider, question, answer);
+            if (graded) return { ...graded, gradedBy: 'model' };
+        } catch (error) {
+            console.error('Short answer grading error:', error);
+        }
+    }
+
+    return { ...gradeKeywords(question, answer), gradedBy: 'keywords' };
+}
+
+/**
+ * Grades one answer. Resolves with `{ score, correct, feedback, gradedBy }`.
+ * `provider` defaults to the configured model provider.
+ */
+async function gradeAnswer(question, answer, { provider = getProvider() } = {}) {
+    if (answer === undefined || answer === null || normalize(answer) === '') {
+        return { score: 0, correct: false, feedback: 'No answer given.', gradedBy: 'exact' };
+    }
+
+    if (question.type === 'short_answer') {
+        return gradeShortAnswer(question, String(answer), provider);
+    }
+
+    const correct = normalize(answer) === normalize(question.answer);
+    return { score: correct ? 1 : 0, correct, feedback: correct ? 'Correct!' : 'Not quite.', gradedBy: 'exact' };
+}
+
+module.exports = {
+    gradeAnswer,
+    gradeKeywords
+};
@@ -0,0 +1,228 @@
+// server/quizzes/index.js
+// Quiz storage, generation from study material, and attempt grading.
+const { run, get, all, transaction } = require('../database');
+const { HttpError } = require('../errors');
+const { generateQuestions, QUESTION_TYPES } = require('./generate');
+const { gradeAnswer } = require('./grade');
+const { getProvider } = require('../llm');
+const { meteredProvider } = require('../usage');
+
+// Upper bound on material sent to quiz generation (characters)
+const MAX_MATERIAL_CHARS = 6000;
+
+// Study material for a quiz: the tutor's recent answers or a document's text
+async function loadMaterial(db, { userId, subjectId, source, documentId }) {
+    if (source === 'document') {
+        const document = await get(db,
+            'SELECT id, name FROM Documents WHERE id = ? AND userId = ? AND subjectId = ?',
+            [documentId, userId, subjectId]
+        );
+
+        if (!document) {
+            throw new HttpError('Document not found.', 404, 'document_not_found');
+        }
+
+        const chunks = await all(db,
+            'SELECT text FROM DocumentChunks WHERE documentId = ? ORDER BY chunk_index ASC',
+            [document.id]
+        );
+
+        return { title: `${document.name} quiz`, text: chunks.map(chunk => chunk.text).join('\n\n') };
+    }
+
+    const messages = await all(db,
+        `SELECT text FROM ChatMessages
+         WHERE userId = ? AND subjectId = ? AND sender = 'ai' AND copied_from_id IS NULL
+         ORDER BY id DESC LIMIT 20`,
+        [userId, subjectId]
+    );
+
+    return { title: 'Recent chat quiz', text: messages.reverse().map(message => message.text).join('\n\n') };
+}
+
+function parseQuestion(row, { includeAnswers }) {
+    const question = {
+        id: row.id,
+        position: row.position,
+        type: row.type,
+        prompt: row.prompt,
+        options: row.options ? JSON.parse(row.options) : null
+    };
+
+    if (includeAnswers) {
+        question.answer = row.answer;
+        question.explanation = row.explanation;
+        question.keywords = row.keywords ? JSON.parse(row.keywords) : [];
+    }
+
+    return question;
+}
+
+async function getQuiz(db, userId, quizId, { includeAnswers = false } = {}) {
+    const quiz = await get(db,
+        `SELECT q.id, q.title, q.source, q.documentId, q.created_at, s.name as subject
+         FROM Quizzes q
+         JOIN Subjects s ON q.subjectId = s.id
+         WHERE q.id = ? AND q.userId = ?`,
+        [quizId, userId]
+    );
+
+    if (!quiz) return null;
+
+    const rows = await all(db,
+        'SELECT * FROM QuizQuestions WHERE quizId = ? ORDER BY position ASC',
+        [quiz.id]
+    );
+
+    return { ...quiz, questions: rows.map(row => parseQuestion(row, { includeAnswers })) };
+}
+
+async function listQuizzes(db, userId, subjectId) {
+    const params = [userId];
+    let query = `
+        SELECT q.id, q.title, q.source, q.documentId, q.created_at, s.name as subject,
+               (SELECT COUNT(*) FROM QuizQuestions qq WHERE qq.quizId = q.id) as question_count,
+               (SELECT COUNT(*) FROM QuizAttempts qa WHERE qa.quizId = q.id) as attempt_count,
+               (SELECT MAX(qa.score * 1.0 / qa.max_score) FROM QuizAttempts qa WHERE qa.quizId = q.id) as best_ratio
+        FROM Quizzes q
+        JOIN Subjects s ON q.subjectId = s.id
+        WHERE q.userId = ?
+    `;
+
+    if (subjectId) {
+        query += ' AND q.subjectId = ?';
+        params.push(subjectId);
+    }
+
+    query += ' ORDER BY q.created_at DESC, q.id DESC';
+    return all(db, query, params);
+}
+
+/**
+ * Generates and stores a quiz. `source` is "chat" or "document".
+ */
+async function createQuiz(db, { userId, subjectId, subject, source, documentId, count = 5, types = QUESTION_TYPES }) {
+    const material = await loadMaterial(db, { userId, subjectId, source, documentId });
+
+    if (material.text.trim().length < 200) {
+        throw new HttpError(
+            source === 'document'
+                ? 'This document does not have enough text to build a quiz.'
+                : 'Chat with the tutor a little more before generating a quiz from your conversation.',
+            422,
+            'not_enough_material'
+        );
+    }
+
+    const provider = meteredProvider(getProvider(), { userId, feature: 'quiz' });
+    const questions = await generateQuestions(material.text.slice(0, MAX_MATERIAL_CHARS), { subject, count, types, provider });
+
+    if (!questions.length) {
+        throw new HttpError('No quiz questions could be generated from this material.', 422, 'generation_failed');
+    }
+
+    const quizId = await transaction(async (tx) => {
+        const result = await run(tx,
+            'INSERT INTO Quizzes (userId, subjectId, title, source, documentId) VALUES (?, ?, ?, ?, ?)',
+            [userId, subjectId, material.title, source, source === 'document' ? documentId : null]
+        );
+
+        for (const [position, question] of questions.entries()) {
+            await run(tx,
+                `INSERT INTO QuizQuestions (quizId, position, type, prompt, options, answer, explanation, keywords)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    result.lastID,
+                    position + 1,
+                    question.type,
+                    question.prompt,
+                    question.options ? JSON.stringify(question.options) : null,
+                    question.answer,
+                    question.explanation,
+                    JSON.stringify(question.keywords)
+                ]
+            );
+        }
+
+        return result.lastID;
+    });
+
+    return getQuiz(db, userId, quizId);
+}
+
+/**
+ * Grades `answers` ({ [questionId]: answer }) and stores the attempt.
+ */
+async function submitAttempt(db, userId, quizId, answers = {}) {
+    const quiz = await getQuiz(db, userId, quizId, { includeAnswers: true });
+    if (!quiz) return null;
+
+    const provider = meteredProvider(getProvider(), { userId, feature: 'grading' });
+    const results = [];
+    for (const question of quiz.questions) {
+        const answer = answers[question.id] ?? null;
+        const grade = await gradeAnswer(question, answer, { provider });
+        results.push({ questionId: question.id, answer, ...grade });
+    }
+
+    const score = results.reduce((total, result) => total + result.score, 0);
+
+    const attempt = await run(db,
+        'INSERT INTO QuizAttempts (quizId, userId, answers, results, score, max_score) VALUES (?, ?, ?, ?, ?, ?)',
+        [quiz.id, userId, JSON.stringify(answers), JSON.stringify(results), score, quiz.questions.length]
+    );
+
+    return getAttempt(db, userId, quiz.id, attempt.lastID);
+}
+
+async function listAttempts(db, userId, quizId) {
+    return all(db,
+        `SELECT id, score, max_score, submitted_at
+         FROM QuizAttempts
+         WHERE quizId = ? AND userId = ?
+         ORDER BY submitted_at DESC, id DESC`,
+        [quizId, userId]
+    );
+}
+
+// An attempt with every question, the student's answer, the correct answer and explanation
+async function getAttempt(db, userId, quizId, attemptId) {
+    const attempt = await get(db,
+        'SELECT * FROM QuizAttempts WHERE id = ? AND quizId = ? AND userId = ?',
+        [attemptId, quizId, userId]
+    );
+    if (!attempt) return null;
+
+    const quiz = await getQuiz(db, userId, quizId, { includeAnswers: true });
+    const results = JSON.parse(attempt.results);
+
+    return {
+        id: attempt.id,
+        quizId: quiz.id,
+        title: quiz.title,
+        subject: quiz.subject,
+        score: attempt.score,
+        maxScore: attempt.max_score,
+        submittedAt: attempt.submitted_at,
+        questions: quiz.questions.map(question => ({
+            ...question,
+            result: results.find(result => result.questionId === question.id) || null
+        }))
+    };
+}
+
+async function deleteQuiz(db, userId, quizId) {
+    const result = await run(db, 'DELETE FROM Quizzes WHERE id = ? AND userId = ?', [quizId, userId]);
+    return result.changes > 0;
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    getQuiz,
+    listQuizzes,
+    createQuiz,
+    submitAttempt,
+    listAttempts,
+    getAttempt,
+    deleteQuiz
+};
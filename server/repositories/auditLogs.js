@@ -0,0 +1,31 @@
+// server/repositories/auditLogs.js
+const { run, all } = require('../database');
+
+async function addAuditLog(db, { userId, action, targetUserId = null, method = null, path = null, ip = null, details = null }) {
+    const result = await run(db,
+        `INSERT INTO AuditLogs (userId, action, target_user_id, method, path, ip, details)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userId, action, targetUserId, method, path, ip, details ? JSON.stringify(details) : null]
+    );
+    return result.lastID;
+}
+
+async function listAuditLogs(db, { userId, limit = 100 } = {}) {
+    const params = [];
+    let query = `SELECT id, userId, action, target_user_id, method, path, ip, details, created_at FROM AuditLogs`;
+
+    if (userId) {
+        query += ' WHERE userId = ?';
+        params.push(userId);
+    }
+
+    query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+    params.push(limit);
+
+    return all(db, query, params);
+}
+
+module.exports = {
+    addAuditLog,
+    listAuditLogs
+};
@@ -0,0 +1,45 @@
+// server/repositories/authTokens.js
+// Single-use tokens mailed to students (email verification, password reset).
+const { run, get } = require('../database');
+
+async function createAuthToken(db, { userId, purpose, tokenHash, minutes }) {
+    const result = await run(db,
+        `INSERT INTO AuthTokens (userId, purpose, token_hash, expires_at)
+         VALUES (?, ?, ?, datetime('now', ?))`,
+        [userId, purpose, tokenHash, `+${minutes} minutes`]
+    );
+    return result.lastID;
+}
+
+// Unused, unexpired token for `purpose`, or undefined
+async function findValidAuthToken(db, purpose, tokenHash) {
+    return get(db,
+        `SELECT id, userId, purpose, expires_at FROM AuthTokens
+         WHERE purpose = ? AND token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+        [purpose, tokenHash]
+    );
+}
+
+// False if the token was used in the meantime
+async function markAuthTokenUsed(db, tokenId) {
+    const result = await run(db,
+        'UPDATE AuthTokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        [tokenId]
+    );
+    return result.changes > 0;
+}
+
+// Retires a user's outstanding tokens, e.g. when a new link is sent
+async function invalidateAuthTokens(db, userId, purpose) {
+    await run(db,
+        'UPDATE AuthTokens SET used_at = CURRENT_TIMESTAMP WHERE userId = ? AND purpose = ? AND used_at IS NULL',
+        [userId, purpose]
+    );
+}
+
+module.exports = {
+    createAuthToken,
+    findValidAuthToken,
+    markAuthTokenUsed,
+    invalidateAuthTokens
+};
@@ -0,0 +1,97 @@
+// server/repositories/conversations.js
+// Named chat threads. Every ChatMessages row belongs to one.
+const { run, get, all } = require('../database');
+
+const CONVERSATION_COLUMNS = `c.id, c.subjectId, s.name AS subject, c.title, c.forked_from_message_id,
+    c.archived_at, c.created_at, c.updated_at`;
+
+// Newest activity first; archived threads only when `archived` is true
+async function listConversations(db, userId, { subjectId = null, archived = false } = {}) {
+    const params = [userId];
+    let query = `
+        SELECT ${CONVERSATION_COLUMNS},
+               (SELECT COUNT(*) FROM ChatMessages cm WHERE cm.conversationId = c.id) AS message_count
+        FROM Conversations c
+        JOIN Subjects s ON s.id = c.subjectId
+        WHERE c.userId = ? AND c.archived_at IS ${archived ? 'NOT NULL' : 'NULL'}`;
+
+    if (subjectId) {
+        query += ' AND c.subjectId = ?';
+        params.push(subjectId);
+    }
+
+    query += ' ORDER BY c.updated_at DESC, c.id DESC';
+    return all(db, query, params);
+}
+
+async function getConversation(db, userId, id) {
+    return get(db,
+        `SELECT ${CONVERSATION_COLUMNS}
+         FROM Conversations c
+         JOIN Subjects s ON s.id = c.subjectId
+         WHERE c.id = ? AND c.userId = ?`,
+        [id, userId]
+    );
+}
+
+// The thread chat falls back to when a client doesn't pick one
+async function latestConversation(db, userId, subjectId) {
+    return get(db,
+        `SELECT id FROM Conversations
+         WHERE userId = ? AND subjectId = ? AND archived_at IS NULL
+         ORDER BY updated_at DESC, id DESC LIMIT 1`,
+        [userId, subjectId]
+    );
+}
+
+// Resolves with the new conversation id
+async function createConversation(db, { userId, subjectId, title, forkedFromMessageId = null }) {
+    const result = await run(db,
+        'INSERT INTO Conversations (userId, subjectId, title, forked_from_message_id) VALUES (?, ?, ?, ?)',
+        [userId, subjectId, title, forkedFromMessageId]
+    );
+    return result.lastID;
+}
+
+async function renameConversation(db, userId, id, title) {
+    const result = await run(db,
+        'UPDATE Conversations SET title = ? WHERE id = ? AND userId = ?',
+        [title, id, userId]
+    );
+    return result.changes > 0;
+}
+
+async function setArchived(db, userId, id, archived) {
+    const result = await run(db,
+        `UPDATE Conversations SET archived_at = ${archived ? 'COALESCE(archived_at, CURRENT_TIMESTAMP)' : 'NULL'}
+         WHERE id = ? AND userId = ?`,
+        [id, userId]
+    );
+    return result.changes > 0;
+}
+
+// Marks new activity so the thread sorts first
+async function touchConversation(db, id) {
+    await run(db, 'UPDATE Conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+}
+
+// Run inside a transaction: messages have no foreign key to cascade from
+async function deleteConversation(db, userId, id) {
+    await run(db,
+        'DELETE FROM ChatMessages WHERE conversationId = (SELECT id FROM Conversations WHERE id = ? AND userId = ?)',
+        [id, userId]
+    );
+    const result = await run(db, 'DELETE FROM Conversations WHERE id = ? AND userId = ?', [id, userId]);
+    return result.changes > 0;
+}
+
+module.exports = {
+    listConversations,
+    getConversation,
+    latestConversation,
+    createConversation,
+    renameConversation,
+    setArchived,
+    touchConversation,
+    deleteConversation
+};
@@ -0,0 +1,87 @@
+// server/repositories/messages.js
+// Chat turns between a student and the tutor.
+const { get, run, all } = require('../database');
+
+// Resolves with the new message id. `clientMessageId` is the browser's id for
+// a student message (unique per user).
+async function addMessage(db, { userId, subjectId, conversationId, sender, text, partial = false, provider = null, model = null, citations = [], clientMessageId = null }) {
+    const result = await run(db,
+        `INSERT INTO ChatMessages (userId, subjectId, conversationId, sender, text, is_partial, provider, model, citations, clientMessageId)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, subjectId, conversationId, sender, text, partial ? 1 : 0, provider, model,
+            citations.length ? JSON.stringify(citations) : null, clientMessageId]
+    );
+    return result.lastID;
+}
+
+// The student message already saved under `clientMessageId` and the answer
+// stored with it, or undefined when it hasn't been seen
+async function findExchangeByClientId(db, userId, clientMessageId) {
+    return get(db,
+        `SELECT q.id AS questionId, q.conversationId, a.id AS messageId, a.text AS aiResponse, a.citations
+         FROM ChatMessages q
+         LEFT JOIN ChatMessages a ON a.id = (
+             SELECT MIN(id) FROM ChatMessages
+             WHERE conversationId = q.conversationId AND sender = 'ai' AND id > q.id
+         )
+         WHERE q.userId = ? AND q.clientMessageId = ?`,
+        [userId, clientMessageId]
+    );
+}
+
+// One thread when `conversationId` is given, otherwise every thread in the
+// subject (without the copies forks make)
+async function listHistory(db, userId, subjectId, conversationId = null) {
+    return all(db,
+        `SELECT cm.id, cm.conversationId, cm.sender, cm.text, cm.timestamp, cm.citations, cm.is_saved
+         FROM ChatMessages cm
+         WHERE cm.userId = ? AND cm.subjectId = ?
+           AND ${conversationId ? 'cm.conversationId = ?' : 'cm.copied_from_id IS NULL'}
+         ORDER BY cm.timestamp ASC, cm.id ASC`,
+        conversationId ? [userId, subjectId, conversationId] : [userId, subjectId]
+    );
+}
+
+async function listConversationMessages(db, conversationId) {
+    return all(db,
+        `SELECT id, sender, text, timestamp, is_partial, provider, model, citations, copied_from_id, is_saved
+         FROM ChatMessages
+         WHERE conversationId = ?
+         ORDER BY id ASC`,
+        [conversationId]
+    );
+}
+
+// Student and tutor turns in a thread newer than `afterId`, oldest first
+async function listTurnsAfter(db, conversationId, afterId) {
+    return all(db,
+        `SELECT id, sender, text FROM ChatMessages
+         WHERE conversationId = ? AND id > ? AND sender != 'system'
+         ORDER BY id ASC`,
+        [conversationId, afterId]
+    );
+}
+
+// Copies a thread's messages up to and including `throughId` into another
+// thread, keeping their timestamps. Resolves with the number copied.
+async function copyMessagesThrough(db, fromConversationId, toConversationId, throughId) {
+    const result = await run(db,
+        `INSERT INTO ChatMessages
+            (userId, subjectId, conversationId, sender, text, timestamp, is_partial, provider, model, citations, copied_from_id)
+         SELECT userId, subjectId, ?, sender, text, timestamp, is_partial, provider, model, citations, COALESCE(copied_from_id, id)
+         FROM ChatMessages
+         WHERE conversationId = ? AND id <= ?
+         ORDER BY id ASC`,
+        [toConversationId, fromConversationId, throughId]
+    );
+    return result.changes;
+}
+
+module.exports = {
+    addMessage,
+    findExchangeByClientId,
+    listHistory,
+    listConversationMessages,
+    listTurnsAfter,
+    copyMessagesThrough
+};
@@ -0,0 +1,99 @@
+// server/repositories/moodLogs.js
+const { run, all } = require('../database');
+const { EMOTIONS } = require('../sentiment');
+
+const EMOTION_COLUMNS = EMOTIONS.map(emotion => `ml.${emotion}`).join(', ');
+
+// Folds the per-emotion columns into an `emotions` object
+function toMoodLog(row) {
+    const log = { ...row, emotions: {} };
+    EMOTIONS.forEach(emotion => {
+        log.emotions[emotion] = row[emotion];
+        delete log[emotion];
+    });
+    return log;
+}
+
+async function addMoodLog(db, { userId, subjectId, score, magnitude, emotions = {}, dominantEmotion = null, message }) {
+    const result = await run(db,
+        `INSERT INTO MoodLogs (userId, subjectId, score, magnitude, ${EMOTIONS.join(', ')}, dominant_emotion, message)
+         VALUES (?, ?, ?, ?, ${EMOTIONS.map(() => '?').join(', ')}, ?, ?)`,
+        [userId, subjectId, score, magnitude, ...EMOTIONS.map(emotion => emotions[emotion] || 0), dominantEmotion, message]
+    );
+    return result.lastID;
+}
+
+async function listMoodLogs(db, userId) {
+    const rows = await all(db,
+        `SELECT ml.id, s.name as subject, ml.score, ml.magnitude, ${EMOTION_COLUMNS},
+                ml.dominant_emotion, ml.message, ml.timestamp
+         FROM MoodLogs ml
+         JOIN Subjects s ON ml.subjectId = s.id
+         WHERE ml.userId = ?
+         ORDER BY ml.timestamp DESC`,
+        [userId]
+    );
+    return rows.map(toMoodLog);
+}
+
+// The student's latest logs in a subject from the last `withinMinutes`, newest first
+async function listRecentMoodLogs(db, userId, subjectId, { withinMinutes, limit }) {
+    return all(db,
+        `SELECT id, score, dominant_emotion, timestamp
+         FROM MoodLogs
+         WHERE userId = ? AND subjectId = ? AND timestamp >= datetime('now', ?)
+         ORDER BY id DESC
+         LIMIT ?`,
+        [userId, subjectId, `-${withinMinutes} minutes`, limit]
+    );
+}
+
+// Week (Monday, local time) and subject of each log; `modifier` shifts UTC to local
+const WEEK_START = "date(ml.timestamp, ?, 'weekday 0', '-6 days')";
+const SINCE = "date(ml.timestamp, ?) >= date('now', ?, 'weekday 0', '-6 days', ?)";
+
+/**
+ * Averages per week and subject over the last `weeks` weeks, counting the
+ * current one. `stress` is the mean of each message's strongest difficult
+ * emotion (confusion, frustration or anxiety).
+ */
+async function weeklyMoodStats(db, userId, { weeks, modifier }) {
+    const sinceParams = [modifier, modifier, `-${(weeks - 1) * 7} days`];
+
+    return all(db,
+        `SELECT ${WEEK_START} AS week_start, ml.subjectId, s.name AS subject,
+                COUNT(*) AS messages,
+                AVG(ml.score) AS average_score,
+                AVG(ml.magnitude) AS average_magnitude,
+                ${EMOTIONS.map(emotion => `AVG(ml.${emotion}) AS ${emotion}`).join(', ')},
+                AVG(MAX(ml.confusion, ml.frustration, ml.anxiety)) AS stress,
+                SUM(ml.score < -0.05) AS negative_messages
+         FROM MoodLogs ml
+         JOIN Subjects s ON s.id = ml.subjectId
+         WHERE ml.userId = ? AND ${SINCE}
+         GROUP BY week_start, ml.subjectId
+         ORDER BY week_start DESC, stress DESC`,
+        [modifier, userId, ...sinceParams]
+    );
+}
+
+// How often each emotion was the dominant one, per week and subject
+async function weeklyDominantEmotions(db, userId, { weeks, modifier }) {
+    const sinceParams = [modifier, modifier, `-${(weeks - 1) * 7} days`];
+
+    return all(db,
+        `SELECT ${WEEK_START} AS week_start, ml.subjectId, ml.dominant_emotion, COUNT(*) AS count
+         FROM MoodLogs ml
+         WHERE ml.userId = ? AND ml.dominant_emotion IS NOT NULL AND ${SINCE}
+         GROUP BY week_start, ml.subjectId, ml.dominant_emotion`,
+        [modifier, userId, ...sinceParams]
+    );
+}
+
+module.exports = {
+    addMoodLog,
+    listMoodLogs,
+    listRecentMoodLogs,
+    weeklyMoodStats,
+    weeklyDominantEmotions
+};
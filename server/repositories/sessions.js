@@ -0,0 +1,91 @@
+// server/repositories/sessions.js
+const { run, get, all } = require('../database');
+
+const SESSION_COLUMNS = 'id, userId, user_agent, device, ip, created_at, last_used_at, expires_at, revoked_at, revoked_reason';
+
+// Resolves with the new session id
+async function createSession(db, { userId, userAgent, device, ip, days }) {
+    const result = await run(db,
+        `INSERT INTO Sessions (userId, user_agent, device, ip, expires_at)
+         VALUES (?, ?, ?, ?, datetime('now', ?))`,
+        [userId, userAgent, device, ip, `+${days} days`]
+    );
+    return result.lastID;
+}
+
+async function getSession(db, sessionId) {
+    return get(db, `SELECT ${SESSION_COLUMNS} FROM Sessions WHERE id = ?`, [sessionId]);
+}
+
+// Sessions that are neither revoked nor expired, most recently used first
+async function listActiveSessions(db, userId) {
+    return all(db,
+        `SELECT ${SESSION_COLUMNS} FROM Sessions
+         WHERE userId = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         ORDER BY last_used_at DESC`,
+        [userId]
+    );
+}
+
+// Records use of the session and slides its expiry `days` into the future
+async function touchSession(db, sessionId, { ip, days }) {
+    await run(db,
+        `UPDATE Sessions SET last_used_at = CURRENT_TIMESTAMP, ip = ?, expires_at = datetime('now', ?)
+         WHERE id = ?`,
+        [ip, `+${days} days`, sessionId]
+    );
+}
+
+async function revokeSession(db, sessionId, reason) {
+    const result = await run(db,
+        `UPDATE Sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+         WHERE id = ? AND revoked_at IS NULL`,
+        [reason, sessionId]
+    );
+    return result.changes > 0;
+}
+
+// Resolves with the number of sessions revoked
+async function revokeUserSessions(db, userId, reason) {
+    const result = await run(db,
+        `UPDATE Sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+         WHERE userId = ? AND revoked_at IS NULL`,
+        [reason, userId]
+    );
+    return result.changes;
+}
+
+async function addRefreshToken(db, sessionId, tokenHash) {
+    await run(db,
+        'INSERT INTO RefreshTokens (sessionId, token_hash) VALUES (?, ?)',
+        [sessionId, tokenHash]
+    );
+}
+
+async function findRefreshToken(db, tokenHash) {
+    return get(db,
+        'SELECT id, sessionId, created_at, rotated_at FROM RefreshTokens WHERE token_hash = ?',
+        [tokenHash]
+    );
+}
+
+// Marks a token as exchanged; false if it already was (a concurrent reuse)
+async function markRefreshTokenRotated(db, tokenId) {
+    const result = await run(db,
+        'UPDATE RefreshTokens SET rotated_at = CURRENT_TIMESTAMP WHERE id = ? AND rotated_at IS NULL',
+        [tokenId]
+    );
+    return result.changes > 0;
+}
+
+module.exports = {
+    createSession,
+    getSession,
+    listActiveSessions,
+    touchSession,
+    revokeSession,
+    revokeUserSessions,
+    addRefreshToken,
+    findRefreshToken,
+    markRefreshTokenRotated
+};
@@ -0,0 +1,100 @@
+// server/repositories/subjects.js
+const { run, get, all } = require('../database');
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+const SUBJECT_COLUMNS = 'id, name, description, color, icon, system_prompt, difficulty, ownerId, created_at, updated_at';
+
+// Global subjects first (in catalog order), then the user's own
+async function listSubjects(db, userId = null) {
+    return all(db,
+        `SELECT ${SUBJECT_COLUMNS} FROM Subjects
+         WHERE ownerId IS NULL OR ownerId = ?
+         ORDER BY ownerId IS NOT NULL, id`,
+        [userId]
+    );
+}
+
+async function getSubject(db, id) {
+    return get(db, `SELECT ${SUBJECT_COLUMNS} FROM Subjects WHERE id = ?`, [id]);
+}
+
+// Subjects are addressed by name in the API: a global subject or one of the
+// user's own, preferring their own when both share a name
+async function findSubject(db, subject, userId = null) {
+    if (!subject) return null;
+    const row = await get(db,
+        `SELECT ${SUBJECT_COLUMNS} FROM Subjects
+         WHERE name = ? AND (ownerId IS NULL OR ownerId = ?)
+         ORDER BY ownerId IS NULL
+         LIMIT 1`,
+        [subject, userId]
+    );
+    return row || null;
+}
+
+// Returns the row id or null
+async function findSubjectId(db, subject, userId = null) {
+    const row = await findSubject(db, subject, userId);
+    return row ? row.id : null;
+}
+
+async function countOwnedSubjects(db, userId) {
+    const row = await get(db, 'SELECT COUNT(*) AS count FROM Subjects WHERE ownerId = ?', [userId]);
+    return row.count;
+}
+
+async function createSubject(db, { name, description = null, color, icon, systemPrompt = null, difficulty = 'intermediate', ownerId = null }) {
+    const result = await run(db,
+        `INSERT INTO Subjects (name, description, color, icon, system_prompt, difficulty, ownerId)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [name, description, color, icon, systemPrompt, difficulty, ownerId]
+    );
+    return result.lastID;
+}
+
+const UPDATABLE_COLUMNS = {
+    name: 'name',
+    description: 'description',
+    color: 'color',
+    icon: 'icon',
+    systemPrompt: 'system_prompt',
+    difficulty: 'difficulty'
+};
+
+// Updates the given fields; undefined ones are left alone
+async function updateSubject(db, id, fields) {
+    const sets = [];
+    const params = [];
+
+    Object.entries(UPDATABLE_COLUMNS).forEach(([field, column]) => {
+        if (fields[field] === undefined) return;
+        sets.push(`${column} = ?`);
+        params.push(fields[field]);
+    });
+    if (!sets.length) return false;
+
+    const result = await run(db,
+        `UPDATE Subjects SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...params, id]
+    );
+    return result.changes > 0;
+}
+
+// Chats, documents, quizzes and decks in the subject are deleted with it
+async function deleteSubject(db, id) {
+    const result = await run(db, 'DELETE FROM Subjects WHERE id = ?', [id]);
+    return result.changes > 0;
+}
+
+module.exports = {
+    DIFFICULTIES,
+    listSubjects,
+    getSubject,
+    findSubject,
+    findSubjectId,
+    countOwnedSubjects,
+    createSubject,
+    updateSubject,
+    deleteSubject
+};
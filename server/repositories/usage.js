@@ -0,0 +1,38 @@
+// server/repositories/usage.js
+// Model token usage per user.
+const { run, get, all } = require('../database');
+
+async function addUsage(db, { userId, feature, provider, model, promptTokens, completionTokens, estimated = false }) {
+    await run(db,
+        `INSERT INTO LlmUsage (userId, feature, provider, model, prompt_tokens, completion_tokens, estimated)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userId, feature, provider, model, promptTokens, completionTokens, estimated ? 1 : 0]
+    );
+}
+
+// Total tokens used since `since` (an SQLite date/time string)
+async function sumUsageSince(db, userId, since) {
+    const row = await get(db,
+        `SELECT COALESCE(SUM(prompt_tokens + completion_tokens), 0) as tokens
+         FROM LlmUsage WHERE userId = ? AND created_at >= ?`,
+        [userId, since]
+    );
+    return row.tokens;
+}
+
+async function usageByFeatureSince(db, userId, since) {
+    return all(db,
+        `SELECT feature, COUNT(*) as requests,
+                SUM(prompt_tokens) as prompt_tokens, SUM(completion_tokens) as completion_tokens
+         FROM LlmUsage WHERE userId = ? AND created_at >= ?
+         GROUP BY feature
+         ORDER BY feature`,
+        [userId, since]
+    );
+}
+
+module.exports = {
+    addUsage,
+    sumUsageSince,
+    usageByFeatureSince
+};
@@ -0,0 +1,76 @@
+// server/repositories/users.js
+const { run, get } = require('../database');
+
+const ROLES = ['student', 'instructor', 'admin'];
+
+// Includes the password hash; only for credential checks
+async function findUserByEmail(db, email) {
+    return get(db,
+        'SELECT id, name, email, role, email_verified_at, password FROM Users WHERE email = ?',
+        [email]
+    );
+}
+
+async function findUserById(db, userId) {
+    return get(db,
+        'SELECT id, name, email, role, email_verified_at, avatar_color, created_at, last_login FROM Users WHERE id = ?',
+        [userId]
+    );
+}
+
+// Resolves with the new user's id
+async function createUser(db, { name, email, passwordHash }) {
+    const result = await run(db,
+        'INSERT INTO Users (name, email, password) VALUES (?, ?, ?)',
+        [name, email, passwordHash]
+    );
+    return result.lastID;
+}
+
+async function recordLogin(db, userId) {
+    await run(db,
+        'UPDATE Users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
+        [userId]
+    );
+}
+
+async function markEmailVerified(db, userId) {
+    await run(db,
+        'UPDATE Users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+        [userId]
+    );
+}
+
+async function updatePassword(db, userId, passwordHash) {
+    await run(db, 'UPDATE Users SET password = ? WHERE id = ?', [passwordHash, userId]);
+}
+
+// Only for re-confirming the password before sensitive actions
+async function findPasswordHash(db, userId) {
+    const row = await get(db, 'SELECT password FROM Users WHERE id = ?', [userId]);
+    return row?.password;
+}
+
+// Everything else the user owns goes with them through ON DELETE CASCADE
+async function deleteUser(db, userId) {
+    const result = await run(db, 'DELETE FROM Users WHERE id = ?', [userId]);
+    return result.changes > 0;
+}
+
+async function setUserRole(db, userId, role) {
+    const result = await run(db, 'UPDATE Users SET role = ? WHERE id = ?', [role, userId]);
+    return result.changes > 0;
+}
+
+module.exports = {
+    ROLES,
+    findUserByEmail,
+    findUserById,
+    createUser,
+    recordLogin,
+    markEmailVerified,
+    updatePassword,
+    findPasswordHash,
+    deleteUser,
+    setUserRole
+};
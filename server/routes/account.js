@@ -0,0 +1,105 @@
+// server/routes/account.js
+// Email verification, password reset, and the user's own data (export and
+// account deletion): /api/...
+const express = require('express');
+const { getDatabaseConnection } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { sendError } = require('../errors');
+const { findUserById } = require('../repositories/users');
+const accountEmails = require('../accountEmails');
+const { exportAccount, deleteAccount } = require('../accountData');
+
+const router = express.Router();
+
+// Deletion checks the password, so it gets the same guessing limit as login
+const deleteAccountLimiter = rateLimit({
+    name: 'account-delete',
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.LOGIN_RATE_LIMIT || '10', 10),
+    message: 'Too many attempts. Please wait before trying again.'
+});
+
+// Every request sends an email, so an address can't be flooded with reset links
+const passwordForgotLimiter = rateLimit({
+    name: 'password-forgot',
+    windowMs: 60 * 60 * 1000,
+    max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT || '5', 10),
+    message: 'Too many password reset requests. Please try again later.'
+});
+
+router.post('/email/verify', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        await accountEmails.verifyEmail(db, req.body.token);
+        res.json({ message: 'Email verified. Thanks!' });
+    } catch (error) {
+        sendError(res, error, 'Failed to verify email.', 'Email verify error');
+    }
+});
+
+router.post('/email/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const user = await findUserById(db, req.user.userId);
+
+        if (user.email_verified_at) {
+            return res.status(409).json({ error: 'Email is already verified.', code: 'already_verified' });
+        }
+
+        await accountEmails.sendVerificationEmail(db, user);
+        res.json({ message: `Verification email sent to ${user.email}.` });
+    } catch (error) {
+        sendError(res, error, 'Failed to send verification email.', 'Resend verification error');
+    }
+});
+
+router.post('/password/forgot', passwordForgotLimiter, async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        await accountEmails.requestPasswordReset(db, req.body.email);
+        res.json({ message: 'If that email has an account, a reset link is on its way.' });
+    } catch (error) {
+        sendError(res, error, 'Failed to start password reset.', 'Forgot password error');
+    }
+});
+
+router.post('/password/reset', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        await accountEmails.resetPassword(db, req.body.token, req.body.password);
+        res.json({ message: 'Password updated. Please log in with your new password.' });
+    } catch (error) {
+        sendError(res, error, 'Failed to reset password.', 'Reset password error');
+    }
+});
+
+// Every row we store about the signed-in user, as a JSON download
+router.get('/account/export', authenticateToken, async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const archive = await exportAccount(db, req.user.userId);
+
+        res.attachment(`study-buddy-account-${archive.exportedAt.slice(0, 10)}.json`);
+        res.send(JSON.stringify(archive, null, 2));
+    } catch (error) {
+        sendError(res, error, 'Failed to export account data.', 'Account export error');
+    }
+});
+
+// { password } - deletes the account and everything in it
+router.delete('/account', authenticateToken, deleteAccountLimiter, async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        await deleteAccount(db, req.user.userId, req.body.password, {
+            method: req.method,
+            path: req.originalUrl,
+            ip: req.ip
+        });
+        res.json({ message: 'Your account and all of its data have been deleted.' });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete account.', 'Account delete error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+// server/routes/admin.js
+// Admin-only endpoints: /api/admin/...
+const express = require('express');
+const { getDatabaseConnection, transaction } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const { ROLES, findUserById, setUserRole } = require('../repositories/users');
+const { addAuditLog, listAuditLogs } = require('../repositories/auditLogs');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('admin'));
+
+// ?userId= to filter by the acting user, ?limit= (max 500)
+router.get('/audit-logs', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    try {
+        const db = await getDatabaseConnection();
+        const logs = await listAuditLogs(db, { userId: req.query.userId, limit });
+        res.json({ logs: logs.map(log => ({ ...log, details: log.details ? JSON.parse(log.details) : null })) });
+    } catch (error) {
+        console.error('Audit log error:', error);
+        res.status(500).json({ error: 'Failed to fetch audit logs.' });
+    }
+});
+
+// The change and its audit entry (who changed whose role, from what to what) are written together
+router.patch('/users/:userId/role', async (req, res) => {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}.` });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const user = await findUserById(db, req.params.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+
+        await transaction(async (tx) => {
+            await setUserRole(tx, user.id, role);
+            await addAuditLog(tx, {
+                userId: req.user.userId,
+                action: 'role_change',
+                targetUserId: user.id,
+                method: req.method,
+                path: req.originalUrl,
+                ip: req.ip,
+                details: { from: user.role, to: role }
+            });
+        });
+        res.json({ user: await findUserById(db, user.id) });
+    } catch (error) {
+        console.error('Set role error:', error);
+        res.status(500).json({ error: 'Failed to update role.' });
+    }
+});
+
+module.exports = router;
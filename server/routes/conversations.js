@@ -0,0 +1,155 @@
+// server/routes/conversations.js
+// Conversation threads: /api/conversations
+const express = require('express');
+const { getDatabaseConnection } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { HttpError, sendError } = require('../errors');
+const { findSubjectId } = require('../repositories/subjects');
+const { listConversationMessages } = require('../repositories/messages');
+const conversations = require('../repositories/conversations');
+const { DEFAULT_TITLE, MAX_TITLE_LENGTH, forkConversation, deleteConversation } = require('../conversations');
+const { saveConversation } = require('../notes');
+
+const router = express.Router();
+router.use(authenticateToken);
+
+// Trimmed title, or undefined when none was sent
+function parseTitle(value) {
+    if (value === undefined) return undefined;
+
+    const title = typeof value === 'string' ? value.trim() : '';
+    if (!title) throw new HttpError('A title is required.');
+    if (title.length > MAX_TITLE_LENGTH) throw new HttpError(`Titles can be at most ${MAX_TITLE_LENGTH} characters.`);
+    return title;
+}
+
+async function loadConversation(db, req) {
+    const conversation = await conversations.getConversation(db, req.user.userId, req.params.id);
+    if (!conversation) throw new HttpError('Conversation not found.', 404, 'conversation_not_found');
+    return conversation;
+}
+
+// ?subject= to filter, ?archived=true for the archive
+router.get('/', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        let subjectId = null;
+
+        if (req.query.subject) {
+            subjectId = await findSubjectId(db, req.query.subject, req.user.userId);
+            if (!subjectId) throw new HttpError('Invalid subject.');
+        }
+
+        const list = await conversations.listConversations(db, req.user.userId, {
+            subjectId,
+            archived: req.query.archived === 'true'
+        });
+        res.json({ conversations: list });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch conversations.', 'Conversations error');
+    }
+});
+
+// { subject, title? }
+router.post('/', async (req, res) => {
+    try {
+        const title = parseTitle(req.body.title) || DEFAULT_TITLE;
+        const db = await getDatabaseConnection();
+        const subjectId = await findSubjectId(db, req.body.subject, req.user.userId);
+
+        if (!subjectId) throw new HttpError('Invalid subject.');
+
+        const id = await conversations.createConversation(db, { userId: req.user.userId, subjectId, title });
+        res.status(201).json({ conversation: await conversations.getConversation(db, req.user.userId, id) });
+    } catch (error) {
+        sendError(res, error, 'Failed to start conversation.', 'Conversation create error');
+    }
+});
+
+// The thread with its messages, oldest first
+router.get('/:id', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const conversation = await loadConversation(db, req);
+        const messages = await listConversationMessages(db, conversation.id);
+
+        res.json({
+            conversation,
+            messages: messages.map(message => ({
+                ...message,
+                citations: message.citations ? JSON.parse(message.citations) : []
+            }))
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch conversation.', 'Conversation error');
+    }
+});
+
+// { title?, archived? }
+router.patch('/:id', async (req, res) => {
+    const { archived } = req.body;
+
+    try {
+        const title = parseTitle(req.body.title);
+        if (archived !== undefined && typeof archived !== 'boolean') {
+            throw new HttpError('archived must be true or false.');
+        }
+
+        const db = await getDatabaseConnection();
+        const conversation = await loadConversation(db, req);
+
+        if (title !== undefined) await conversations.renameConversation(db, req.user.userId, conversation.id, title);
+        if (archived !== undefined) await conversations.setArchived(db, req.user.userId, conversation.id, archived);
+
+        res.json({ conversation: await conversations.getConversation(db, req.user.userId, conversation.id) });
+    } catch (error) {
+        sendError(res, error, 'Failed to update conversation.', 'Conversation update error');
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        if (!await deleteConversation(db, req.user.userId, req.params.id)) {
+            throw new HttpError('Conversation not found.', 404, 'conversation_not_found');
+        }
+        res.json({ message: 'Conversation deleted.' });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete conversation.', 'Conversation delete error');
+    }
+});
+
+// Start a new thread from an earlier message: { messageId, title? }
+router.post('/:id/fork', async (req, res) => {
+    try {
+        const title = parseTitle(req.body.title);
+        const db = await getDatabaseConnection();
+        const conversation = await loadConversation(db, req);
+        const fork = await forkConversation(db, req.user.userId, conversation, req.body.messageId, title);
+
+        res.status(201).json({ conversation: fork });
+    } catch (error) {
+        sendError(res, error, 'Failed to fork conversation.', 'Conversation fork error');
+    }
+});
+
+// Save every tutor answer in the thread to the notes: { notebookId? }
+router.post('/:id/save', async (req, res) => {
+    const { notebookId = null } = req.body;
+
+    try {
+        if (notebookId !== null && !(Number.isInteger(notebookId) && notebookId > 0)) {
+            throw new HttpError('Invalid notebook.');
+        }
+
+        const db = await getDatabaseConnection();
+        const conversation = await loadConversation(db, req);
+        const saved = await saveConversation(db, req.user.userId, conversation, { notebookId });
+
+        res.json({ saved });
+    } catch (error) {
+        sendError(res, error, 'Failed to save conversation.', 'Conversation save error');
+    }
+});
+
+module.exports = router;
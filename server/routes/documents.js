@@ -0,0 +1,180 @@
+// server/routes/documents.js
+// Course document upload and management: /api/documents
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { getDatabaseConnection } = require('../database');
+const { findSubjectId } = require('../repositories/subjects');
+const { authenticateToken } = require('../middleware/auth');
+const { sendError } = require('../errors');
+const {
+    DocumentError,
+    getDocument,
+    getPageChunks,
+    listDocuments,
+    ingestDocument,
+    renameDocument,
+    deleteDocument
+} = require('../documents');
+
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB, 10) || 20;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype !== 'application/pdf' && path.extname(file.originalname).toLowerCase() !== '.pdf') {
+            return cb(new DocumentError('Only PDF files can be uploaded.', 415, 'not_pdf'));
+        }
+        cb(null, true);
+    }
+});
+
+const router = express.Router();
+router.use(authenticateToken);
+
+// Runs multer and turns its errors into JSON responses
+function receiveFile(req, res, next) {
+    upload.single('file')(req, res, (err) => {
+        if (!err) return next();
+
+        if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                error: `The PDF is larger than the ${MAX_UPLOAD_MB} MB upload limit.`,
+                code: 'file_too_large'
+            });
+        }
+        if (err instanceof DocumentError) {
+            return res.status(err.status).json({ error: err.message, code: err.code });
+        }
+
+        console.error('Upload error:', err);
+        res.status(400).json({ error: 'The upload could not be processed.' });
+    });
+}
+
+// Upload a PDF
+router.post('/', receiveFile, async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Attach a PDF in the "file" field.' });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const subjectId = await findSubjectId(db, req.body.subject, req.user.userId);
+
+        if (!subjectId) {
+            return res.status(400).json({ error: 'Invalid subject.' });
+        }
+
+        const name = (req.body.name || '').trim() || path.basename(req.file.originalname, path.extname(req.file.originalname));
+        const document = await ingestDocument(db, {
+            userId: req.user.userId,
+            subjectId,
+            name,
+            filename: req.file.originalname,
+            buffer: req.file.buffer
+        });
+
+        res.status(201).json({ message: 'Document uploaded successfully!', document });
+    } catch (error) {
+        sendError(res, error, 'Failed to process the document.', 'Document upload error');
+    }
+});
+
+// List documents, optionally for one subject
+router.get('/', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        let subjectId = null;
+
+        if (req.query.subject) {
+            subjectId = await findSubjectId(db, req.query.subject, req.user.userId);
+            if (!subjectId) {
+                return res.status(400).json({ error: 'Invalid subject.' });
+            }
+        }
+
+        const documents = await listDocuments(db, req.user.userId, subjectId);
+        res.json({ documents });
+    } catch (error) {
+        console.error('Documents error:', error);
+        res.status(500).json({ error: 'Failed to fetch documents.' });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const document = await getDocument(db, req.user.userId, req.params.id);
+
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+
+        res.json({ document });
+    } catch (error) {
+        console.error('Document error:', error);
+        res.status(500).json({ error: 'Failed to fetch document.' });
+    }
+});
+
+// Text of one page, for showing the passage behind a citation
+router.get('/:id/pages/:page', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const document = await getDocument(db, req.user.userId, req.params.id);
+
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+
+        const chunks = await getPageChunks(db, req.user.userId, document.id, req.params.page);
+        res.json({ document, pageNumber: Number(req.params.page), chunks });
+    } catch (error) {
+        console.error('Document page error:', error);
+        res.status(500).json({ error: 'Failed to fetch document page.' });
+    }
+});
+
+// Rename a document
+router.patch('/:id', async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    if (!name) {
+        return res.status(400).json({ error: 'A document name is required.' });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const document = await renameDocument(db, req.user.userId, req.params.id, name);
+
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+
+        res.json({ document });
+    } catch (error) {
+        console.error('Document rename error:', error);
+        res.status(500).json({ error: 'Failed to rename document.' });
+    }
+});
+
+// Delete a document and its chunks
+router.delete('/:id', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const deleted = await deleteDocument(db, req.user.userId, req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+
+        res.json({ message: 'Document deleted.' });
+    } catch (error) {
+        console.error('Document delete error:', error);
+        res.status(500).json({ error: 'Failed to delete document.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+// server/routes/exports.js
+// Downloads of chats and notes: /api/export
+// ?format=markdown (default), json or csv (Anki front/back cards), with
+// optional ?subject=, ?from= and ?to= (inclusive YYYY-MM-DD) filters.
+const express = require('express');
+const { getDatabaseConnection } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { HttpError, sendError } = require('../errors');
+const { findSubjectId } = require('../repositories/subjects');
+const { getConversation } = require('../repositories/conversations');
+const { getNotebook, normalizeTags } = require('../notes');
+const { collectConversations, collectNotes } = require('../exports');
+const { FORMATS, renderConversations, renderNotes } = require('../exports/formats');
+const { parseDateRange } = require('../dateRange');
+
+const router = express.Router();
+router.use(authenticateToken);
+
+// Format, subject and date range shared by both exports
+async function parseFilters(db, req) {
+    const format = req.query.format || 'markdown';
+    if (!FORMATS.includes(format)) throw new HttpError(`Format must be one of: ${FORMATS.join(', ')}.`);
+
+    const { from, to } = parseDateRange(req.query);
+
+    let subjectId = null;
+    if (req.query.subject) {
+        subjectId = await findSubjectId(db, req.query.subject, req.user.userId);
+        if (!subjectId) throw new HttpError('Invalid subject.');
+    }
+
+    return { format, subjectId, from, to };
+}
+
+function sendFile(res, name, { body, contentType, extension }) {
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`study-buddy-${name}-${date}.${extension}`);
+    res.type(contentType).send(body);
+}
+
+// Every thread, or one with ?conversationId=
+router.get('/conversations', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const { format, ...filters } = await parseFilters(db, req);
+
+        if (req.query.conversationId && !await getConversation(db, req.user.userId, req.query.conversationId)) {
+            throw new HttpError('Conversation not found.', 404, 'conversation_not_found');
+        }
+
+        const conversations = await collectConversations(db, req.user.userId, {
+            ...filters,
+            conversationId: req.query.conversationId || null
+        });
+        sendFile(res, 'chats', renderConversations(conversations, format, new Date().toISOString()));
+    } catch (error) {
+        sendError(res, error, 'Failed to export chats.', 'Chat export error');
+    }
+});
+
+// Notes, optionally one notebook (?notebookId=, or "none" for unfiled notes) or tag (?tag=)
+router.get('/notes', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const { format, ...filters } = await parseFilters(db, req);
+
+        const { notebookId } = req.query;
+        if (notebookId && notebookId !== 'none' && !await getNotebook(db, req.user.userId, notebookId)) {
+            throw new HttpError('Notebook not found.', 404, 'notebook_not_found');
+        }
+
+        const notes = await collectNotes(db, req.user.userId, {
+            ...filters,
+            notebookId: notebookId || null,
+            tag: req.query.tag ? normalizeTags([req.query.tag])[0] : null
+        });
+        sendFile(res, 'notes', renderNotes(notes, format, new Date().toISOString()));
+    } catch (error) {
+        sendError(res, error, 'Failed to export notes.', 'Notes export error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+// server/routes/flashcards.js
+// Flashcard decks, cards and spaced-repetition reviews: /api/flashcards
+const express = require('express');
+const { getDatabaseConnection } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireAiQuota } = require('../middleware/quota');
+const { sendError } = require('../errors');
+const { findSubjectId } = require('../repositories/subjects');
+const { GRADES } = require('../flashcards/scheduler');
+const flashcards = require('../flashcards');
+
+const MAX_GENERATED_CARDS = 10;
+
+const router = express.Router();
+router.use(authenticateToken);
+
+function cleanText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// Resolves ?subject= to an id; answers 400 itself and returns undefined when invalid
+async function subjectFilter(db, req, res) {
+    if (!req.query.subject) return null;
+
+    const subjectId = await findSubjectId(db, req.query.subject, req.user.userId);
+    if (!subjectId) {
+        res.status(400).json({ error: 'Invalid subject.' });
+        return undefined;
+    }
+    return subjectId;
+}
+
+// Decks
+
+router.get('/decks', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const subjectId = await subjectFilter(db, req, res);
+        if (subjectId === undefined) return;
+
+        const decks = await flashcards.listDecks(db, req.user.userId, subjectId);
+        res.json({ decks });
+    } catch (error) {
+        console.error('Decks error:', error);
+        res.status(500).json({ error: 'Failed to fetch decks.' });
+    }
+});
+
+router.post('/decks', async (req, res) => {
+    const name = cleanText(req.body.name);
+
+    if (!name) {
+        return res.status(400).json({ error: 'A deck name is required.' });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const subjectId = await findSubjectId(db, req.body.subject, req.user.userId);
+
+        if (!subjectId) {
+            return res.status(400).json({ error: 'Invalid subject.' });
+        }
+
+        const deck = await flashcards.createDeck(db, { userId: req.user.userId, subjectId, name });
+        res.status(201).json({ deck });
+    } catch (error) {
+        sendError(res, error, 'Failed to create deck.', 'Deck create error');
+    }
+});
+
+router.patch('/decks/:id', async (req, res) => {
+    const name = cleanText(req.body.name);
+
+    if (!name) {
+        return res.status(400).json({ error: 'A deck name is required.' });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const deck = await flashcards.renameDeck(db, req.user.userId, req.params.id, name);
+
+        if (!deck) {
+            return res.status(404).json({ error: 'Deck not found.' });
+        }
+
+        res.json({ deck });
+    } catch (error) {
+        sendError(res, error, 'Failed to rename deck.', 'Deck rename error');
+    }
+});
+
+router.delete('/decks/:id', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const deleted = await flashcards.deleteDeck(db, req.user.userId, req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Deck not found.' });
+        }
+
+        res.json({ message: 'Deck deleted.' });
+    } catch (error) {
+        console.error('Deck delete error:', error);
+        res.status(500).json({ error: 'Failed to delete deck.' });
+    }
+});
+
+// Review session
+
+// Cards due for review now, optionally filtered by ?subject= or ?deckId=
+router.get('/due', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const subjectId = await subjectFilter(db, req, res);
+        if (subjectId === undefined) return;
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const cards = await flashcards.listDueCards(db, req.user.userId, {
+            subjectId,
+            deckId: req.query.deckId,
+            limit
+        });
+
+        res.json({ cards, count: cards.length });
+    } catch (error) {
+        console.error('Due cards error:', error);
+        res.status(500).json({ error: 'Failed to fetch due cards.' });
+    }
+});
+
+// Grade a card: { grade: "again" | "hard" | "good" | "easy" }
+router.post('/:id/review', async (req, res) => {
+    const { grade } = req.body;
+
+    if (!Object.prototype.hasOwnProperty.call(GRADES, grade)) {
+        return res.status(400).json({ error: `Grade must be one of: ${Object.keys(GRADES).join(', ')}.` });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const card = await flashcards.reviewCard(db, req.user.userId, req.params.id, grade);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Flashcard not found.' });
+        }
+
+        res.json({ card });
+    } catch (error) {
+        console.error('Flashcard review error:', error);
+        res.status(500).json({ error: 'Failed to record review.' });
+    }
+});
+
+// Cards
+
+router.get('/', async (req, res) => {
+    if (!req.query.deckId) {
+        return res.status(400).json({ error: 'deckId is required.' });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const cards = await flashcards.listCards(db, req.user.userId, req.query.deckId);
+        res.json({ cards });
+    } catch (error) {
+        console.error('Flashcards error:', error);
+        res.status(500).json({ error: 'Failed to fetch flashcards.' });
+    }
+});
+
+// Create a card by hand
+router.post('/', async (req, res) => {
+    const front = cleanText(req.body.front);
+    const back = cleanText(req.body.back);
+
+    if (!front || !back) {
+        return res.status(400).json({ error: 'Both sides of the card are required.' });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const deck = await flashcards.getDeck(db, req.user.userId, req.body.deckId);
+
+        if (!deck) {
+            return res.status(404).json({ error: 'Deck not found.' });
+        }
+
+        const [card] = await flashcards.addCards(db, req.user.userId, deck.id, [{ front, back }]);
+        res.status(201).json({ card });
+    } catch (error) {
+        console.error('Flashcard create error:', error);
+        res.status(500).json({ error: 'Failed to create flashcard.' });
+    }
+});
+
+// Generate cards from an AI message ({ messageId }) or a document chunk ({ chunkId })
+router.post('/generate', requireAiQuota, async (req, res) => {
+    const { deckId, messageId, chunkId } = req.body;
+    const count = Math.min(Math.max(parseInt(req.body.count, 10) || 5, 1), MAX_GENERATED_CARDS);
+
+    if (!messageId === !chunkId) {
+        return res.status(400).json({ error: 'Provide either messageId or chunkId.' });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const deck = await flashcards.getDeck(db, req.user.userId, deckId);
+
+        if (!deck) {
+            return res.status(404).json({ error: 'Deck not found.' });
+        }
+
+        const cards = await flashcards.generateIntoDeck(db, req.user.userId, deck, { messageId, chunkId, count });
+        res.status(201).json({ cards });
+    } catch (error) {
+        sendError(res, error, 'Failed to generate flashcards.', 'Flashcard generation error');
+    }
+});
+
+router.patch('/:id', async (req, res) => {
+    const front = req.body.front === undefined ? undefined : cleanText(req.body.front);
+    const back = req.body.back === undefined ? undefined : cleanText(req.body.back);
+
+    if (front === '' || back === '') {
+        return res.status(400).json({ error: 'Card sides cannot be empty.' });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const card = await flashcards.updateCard(db, req.user.userId, req.params.id, { front, back });
+
+        if (!card) {
+            return res.status(404).json({ error: 'Flashcard not found.' });
+        }
+
+        res.json({ card });
+    } catch (error) {
+        console.error('Flashcard update error:', error);
+        res.status(500).json({ error: 'Failed to update flashcard.' });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const deleted = await flashcards.deleteCard(db, req.user.userId, req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Flashcard not found.' });
+        }
+
+        res.json({ message: 'Flashcard deleted.' });
+    } catch (error) {
+        console.error('Flashcard delete error:', error);
+        res.status(500).json({ error: 'Failed to delete flashcard.' });
+    }
+});
+
+module.exports = router;
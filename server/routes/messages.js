@@ -0,0 +1,53 @@
+// server/routes/messages.js
+// Actions on single chat messages: /api/messages
+const express = require('express');
+const { getDatabaseConnection } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { HttpError, sendError } = require('../errors');
+const notes = require('../notes');
+
+const MAX_ANNOTATION_LENGTH = 2000;
+
+const router = express.Router();
+router.use(authenticateToken);
+
+// Bookmark a message into the notes, or update its note: { annotation?, notebookId?, tags? }
+router.put('/:id/bookmark', async (req, res) => {
+    const { annotation, notebookId } = req.body;
+
+    try {
+        if (annotation !== undefined && annotation !== null && typeof annotation !== 'string') {
+            throw new HttpError('Annotation must be text.');
+        }
+        if (annotation && annotation.trim().length > MAX_ANNOTATION_LENGTH) {
+            throw new HttpError(`Annotation must be at most ${MAX_ANNOTATION_LENGTH} characters.`);
+        }
+        if (notebookId !== undefined && notebookId !== null && !(Number.isInteger(notebookId) && notebookId > 0)) {
+            throw new HttpError('Invalid notebook.');
+        }
+
+        const db = await getDatabaseConnection();
+        const { note, created } = await notes.saveMessage(db, req.user.userId, req.params.id, {
+            annotation: annotation === undefined ? undefined : annotation?.trim() || null,
+            notebookId,
+            tags: notes.normalizeTags(req.body.tags)
+        });
+
+        res.status(created ? 201 : 200).json({ note });
+    } catch (error) {
+        sendError(res, error, 'Failed to save message.', 'Bookmark error');
+    }
+});
+
+// Unsave a message; its note is deleted
+router.delete('/:id/bookmark', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        await notes.unsaveMessage(db, req.user.userId, req.params.id);
+        res.json({ message: 'Message removed from your notes.' });
+    } catch (error) {
+        sendError(res, error, 'Failed to unsave message.', 'Bookmark delete error');
+    }
+});
+
+module.exports = router;
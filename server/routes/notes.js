@@ -0,0 +1,211 @@
+// server/routes/notes.js
+// Personal notes and notebooks: /api/notes
+// Saved chat messages show up here as notes; see routes/messages.js.
+const express = require('express');
+const { getDatabaseConnection } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { HttpError, sendError } = require('../errors');
+const { findSubjectId } = require('../repositories/subjects');
+const notes = require('../notes');
+
+const MAX_CONTENT_LENGTH = 20000;
+const MAX_ANNOTATION_LENGTH = 2000;
+const MAX_NOTEBOOK_NAME_LENGTH = 60;
+
+const router = express.Router();
+router.use(authenticateToken);
+
+function optionalText(value, label, maxLength) {
+    if (value === undefined) return undefined;
+    if (value === null) return null;
+    if (typeof value !== 'string') throw new HttpError(`${label} must be text.`);
+
+    const text = value.trim();
+    if (text.length > maxLength) throw new HttpError(`${label} must be at most ${maxLength} characters.`);
+    return text || null;
+}
+
+// A notebook id, null to take a note out of its notebook, or undefined when absent
+function parseNotebookId(value) {
+    if (value === undefined || value === null) return value;
+
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) throw new HttpError('Invalid notebook.');
+    return id;
+}
+
+function parseNotebookName(value) {
+    const name = optionalText(value, 'Notebook name', MAX_NOTEBOOK_NAME_LENGTH);
+    if (!name) throw new HttpError('A notebook name is required.');
+    return name;
+}
+
+// The optional ?subject= filter as an id
+async function subjectFilter(db, req) {
+    if (!req.query.subject) return null;
+
+    const subjectId = await findSubjectId(db, req.query.subject, req.user.userId);
+    if (!subjectId) throw new HttpError('Invalid subject.');
+    return subjectId;
+}
+
+// Notebooks
+
+router.get('/notebooks', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const subjectId = await subjectFilter(db, req);
+
+        res.json({ notebooks: await notes.listNotebooks(db, req.user.userId, subjectId) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch notebooks.', 'Notebooks error');
+    }
+});
+
+// { subject, name }
+router.post('/notebooks', async (req, res) => {
+    try {
+        const name = parseNotebookName(req.body.name);
+        const db = await getDatabaseConnection();
+        const subjectId = await findSubjectId(db, req.body.subject, req.user.userId);
+
+        if (!subjectId) throw new HttpError('Invalid subject.');
+
+        const notebook = await notes.createNotebook(db, { userId: req.user.userId, subjectId, name });
+        res.status(201).json({ notebook });
+    } catch (error) {
+        sendError(res, error, 'Failed to create notebook.', 'Notebook create error');
+    }
+});
+
+// { name }
+router.patch('/notebooks/:id', async (req, res) => {
+    try {
+        const name = parseNotebookName(req.body.name);
+        const db = await getDatabaseConnection();
+        const notebook = await notes.renameNotebook(db, req.user.userId, req.params.id, name);
+
+        if (!notebook) throw new HttpError('Notebook not found.', 404, 'notebook_not_found');
+        res.json({ notebook });
+    } catch (error) {
+        sendError(res, error, 'Failed to rename notebook.', 'Notebook update error');
+    }
+});
+
+// The notebook's notes are kept, outside any notebook
+router.delete('/notebooks/:id', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        if (!await notes.deleteNotebook(db, req.user.userId, req.params.id)) {
+            throw new HttpError('Notebook not found.', 404, 'notebook_not_found');
+        }
+        res.json({ message: 'Notebook deleted.' });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete notebook.', 'Notebook delete error');
+    }
+});
+
+// Tags with their note counts, ?subject= to filter
+router.get('/tags', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const subjectId = await subjectFilter(db, req);
+
+        res.json({ tags: await notes.listTags(db, req.user.userId, subjectId) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch tags.', 'Note tags error');
+    }
+});
+
+// Notes
+
+// ?subject=, ?notebookId= (or "none"), ?tag= and ?q= to filter
+router.get('/', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const subjectId = await subjectFilter(db, req);
+        const notebookId = req.query.notebookId === 'none' ? 'none' : parseNotebookId(req.query.notebookId || undefined);
+
+        const list = await notes.listNotes(db, req.user.userId, {
+            subjectId,
+            notebookId,
+            tag: req.query.tag ? notes.normalizeTags([req.query.tag])[0] : null,
+            query: typeof req.query.q === 'string' ? req.query.q.trim() : null
+        });
+        res.json({ notes: list });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch notes.', 'Notes error');
+    }
+});
+
+// A free-form note: { subject, content, annotation?, notebookId?, tags? }
+router.post('/', async (req, res) => {
+    try {
+        const content = optionalText(req.body.content, 'Note', MAX_CONTENT_LENGTH);
+        if (!content) throw new HttpError('A note needs some content.');
+
+        const db = await getDatabaseConnection();
+        const subjectId = await findSubjectId(db, req.body.subject, req.user.userId);
+
+        if (!subjectId) throw new HttpError('Invalid subject.');
+
+        const note = await notes.createNote(db, req.user.userId, {
+            subjectId,
+            content,
+            annotation: optionalText(req.body.annotation, 'Annotation', MAX_ANNOTATION_LENGTH) ?? null,
+            notebookId: parseNotebookId(req.body.notebookId) ?? null,
+            tags: notes.normalizeTags(req.body.tags) ?? []
+        });
+        res.status(201).json({ note });
+    } catch (error) {
+        sendError(res, error, 'Failed to create note.', 'Note create error');
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const note = await notes.getNote(db, req.user.userId, req.params.id);
+
+        if (!note) throw new HttpError('Note not found.', 404, 'note_not_found');
+        res.json({ note });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch note.', 'Note error');
+    }
+});
+
+// { content?, annotation?, notebookId?, tags? }
+router.patch('/:id', async (req, res) => {
+    try {
+        const content = optionalText(req.body.content, 'Note', MAX_CONTENT_LENGTH);
+        if (content === null) throw new HttpError('A note needs some content.');
+
+        const db = await getDatabaseConnection();
+        const note = await notes.updateNote(db, req.user.userId, req.params.id, {
+            content,
+            annotation: optionalText(req.body.annotation, 'Annotation', MAX_ANNOTATION_LENGTH),
+            notebookId: parseNotebookId(req.body.notebookId),
+            tags: notes.normalizeTags(req.body.tags)
+        });
+
+        if (!note) throw new HttpError('Note not found.', 404, 'note_not_found');
+        res.json({ note });
+    } catch (error) {
+        sendError(res, error, 'Failed to update note.', 'Note update error');
+    }
+});
+
+// Deleting a saved message's note also unsaves the message
+router.delete('/:id', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        if (!await notes.deleteNote(db, req.user.userId, req.params.id)) {
+            throw new HttpError('Note not found.', 404, 'note_not_found');
+        }
+        res.json({ message: 'Note deleted.' });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete note.', 'Note delete error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// server/routes/progress.js
+// Progress Tracker analytics: /api/progress/:userId and the weekly mood
+// summary at /api/progress/:userId/mood. Instructors can read students' too.
+const express = require('express');
+const { getDatabaseConnection } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { authorizeProgressReader } = require('../middleware/authorize');
+const { RANGES, localModifier, getProgress } = require('../progress');
+const { weeklyMoodSummary } = require('../mood');
+
+const MAX_MOOD_WEEKS = 12;
+
+const router = express.Router();
+
+function parseOffset(req) {
+    return parseInt(req.query.tzOffset, 10) || 0;
+}
+
+// ?days=7|30|90 (default 30) and optional ?tzOffset= minutes east of UTC
+router.get('/:userId', authenticateToken, authorizeProgressReader(), async (req, res) => {
+    const days = req.query.days ? parseInt(req.query.days, 10) : 30;
+    const offsetMinutes = parseOffset(req);
+
+    if (!RANGES.includes(days)) {
+        return res.status(400).json({ error: `days must be one of: ${RANGES.join(', ')}.` });
+    }
+    if (Math.abs(offsetMinutes) > 14 * 60) {
+        return res.status(400).json({ error: 'tzOffset must be between -840 and 840 minutes.' });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const progress = await getProgress(db, Number(req.params.userId), { days, offsetMinutes });
+        res.json(progress);
+    } catch (error) {
+        console.error('Progress error:', error);
+        res.status(500).json({ error: 'Failed to fetch progress.' });
+    }
+});
+
+// Mood per subject for each recent week, most stressful subject first.
+// ?weeks=1-12 (default 4) and optional ?tzOffset= minutes east of UTC
+router.get('/:userId/mood', authenticateToken, authorizeProgressReader(), async (req, res) => {
+    const weeks = req.query.weeks ? parseInt(req.query.weeks, 10) : 4;
+    const offsetMinutes = parseOffset(req);
+
+    if (!(weeks >= 1 && weeks <= MAX_MOOD_WEEKS)) {
+        return res.status(400).json({ error: `weeks must be between 1 and ${MAX_MOOD_WEEKS}.` });
+    }
+    if (Math.abs(offsetMinutes) > 14 * 60) {
+        return res.status(400).json({ error: 'tzOffset must be between -840 and 840 minutes.' });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const summary = await weeklyMoodSummary(db, Number(req.params.userId), {
+            weeks,
+            modifier: localModifier(offsetMinutes)
+        });
+        res.json(summary);
+    } catch (error) {
+        console.error('Mood summary error:', error);
+        res.status(500).json({ error: 'Failed to fetch mood summary.' });
+    }
+});
+
+module.exports = router;
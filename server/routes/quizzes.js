@@ -0,0 +1,172 @@
+// server/routes/quizzes.js
+// Quiz generation, attempts and review: /api/quizzes
+const express = require('express');
+const { getDatabaseConnection } = require('../database');
+const { findSubjectId } = require('../repositories/subjects');
+const { authenticateToken } = require('../middleware/auth');
+const { requireAiQuota } = require('../middleware/quota');
+const { sendError } = require('../errors');
+const {
+    QUESTION_TYPES,
+    getQuiz,
+    listQuizzes,
+    createQuiz,
+    submitAttempt,
+    listAttempts,
+    getAttempt,
+    deleteQuiz
+} = require('../quizzes');
+
+const MAX_QUESTIONS = 20;
+
+const router = express.Router();
+router.use(authenticateToken);
+
+// Generate a quiz from recent chat history or an uploaded document
+router.post('/generate', requireAiQuota, async (req, res) => {
+    const { subject, source = 'chat', documentId } = req.body;
+    const count = Math.min(Math.max(parseInt(req.body.count, 10) || 5, 1), MAX_QUESTIONS);
+    const types = Array.isArray(req.body.types)
+        ? req.body.types.filter(type => QUESTION_TYPES.includes(type))
+        : QUESTION_TYPES;
+
+    if (!['chat', 'document'].includes(source)) {
+        return res.status(400).json({ error: 'Source must be "chat" or "document".' });
+    }
+    if (source === 'document' && !documentId) {
+        return res.status(400).json({ error: 'Choose a document to build the quiz from.' });
+    }
+    if (!types.length) {
+        return res.status(400).json({ error: `Question types must be any of: ${QUESTION_TYPES.join(', ')}.` });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const subjectId = await findSubjectId(db, subject, req.user.userId);
+
+        if (!subjectId) {
+            return res.status(400).json({ error: 'Invalid subject.' });
+        }
+
+        const quiz = await createQuiz(db, {
+            userId: req.user.userId,
+            subjectId,
+            subject,
+            source,
+            documentId,
+            count,
+            types
+        });
+
+        res.status(201).json({ quiz });
+    } catch (error) {
+        sendError(res, error, 'Failed to generate quiz.', 'Quiz generation error');
+    }
+});
+
+// List quizzes, optionally for one subject
+router.get('/', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        let subjectId = null;
+
+        if (req.query.subject) {
+            subjectId = await findSubjectId(db, req.query.subject, req.user.userId);
+            if (!subjectId) {
+                return res.status(400).json({ error: 'Invalid subject.' });
+            }
+        }
+
+        const quizzes = await listQuizzes(db, req.user.userId, subjectId);
+        res.json({ quizzes });
+    } catch (error) {
+        console.error('Quizzes error:', error);
+        res.status(500).json({ error: 'Failed to fetch quizzes.' });
+    }
+});
+
+// A quiz to take (answers are not included)
+router.get('/:id', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const quiz = await getQuiz(db, req.user.userId, req.params.id);
+
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found.' });
+        }
+
+        res.json({ quiz });
+    } catch (error) {
+        console.error('Quiz error:', error);
+        res.status(500).json({ error: 'Failed to fetch quiz.' });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const deleted = await deleteQuiz(db, req.user.userId, req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Quiz not found.' });
+        }
+
+        res.json({ message: 'Quiz deleted.' });
+    } catch (error) {
+        console.error('Quiz delete error:', error);
+        res.status(500).json({ error: 'Failed to delete quiz.' });
+    }
+});
+
+// Submit answers: { answers: { [questionId]: answer } }. Short answers are graded by the model, so this is metered too
+router.post('/:id/attempts', requireAiQuota, async (req, res) => {
+    const { answers } = req.body;
+
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+        return res.status(400).json({ error: 'Answers must be an object keyed by question id.' });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const attempt = await submitAttempt(db, req.user.userId, req.params.id, answers);
+
+        if (!attempt) {
+            return res.status(404).json({ error: 'Quiz not found.' });
+        }
+
+        res.status(201).json({ attempt });
+    } catch (error) {
+        console.error('Quiz submit error:', error);
+        res.status(500).json({ error: 'Failed to grade quiz.' });
+    }
+});
+
+router.get('/:id/attempts', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const attempts = await listAttempts(db, req.user.userId, req.params.id);
+        res.json({ attempts });
+    } catch (error) {
+        console.error('Quiz attempts error:', error);
+        res.status(500).json({ error: 'Failed to fetch attempts.' });
+    }
+});
+
+// Review a past attempt with explanations
+router.get('/:id/attempts/:attemptId', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const attempt = await getAttempt(db, req.user.userId, req.params.id, req.params.attemptId);
+
+        if (!attempt) {
+            return res.status(404).json({ error: 'Attempt not found.' });
+        }
+
+        res.json({ attempt });
+    } catch (error) {
+        console.error('Quiz attempt error:', error);
+        res.status(500).json({ error: 'Failed to fetch attempt.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+// server/routes/search.js
+// Full-text search: /api/search
+const express = require('express');
+const { getDatabaseConnection } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { HttpError, sendError } = require('../errors');
+const { findSubjectId } = require('../repositories/subjects');
+const { parseDateRange } = require('../dateRange');
+const { TYPES, SENDERS, SORTS, search } = require('../search');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+const router = express.Router();
+router.use(authenticateToken);
+
+function parseLimit(value) {
+    if (value === undefined) return DEFAULT_LIMIT;
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new HttpError(`limit must be between 1 and ${MAX_LIMIT}.`);
+    }
+    return limit;
+}
+
+function parseOffset(value) {
+    if (value === undefined) return 0;
+
+    const offset = Number(value);
+    if (!Number.isInteger(offset) || offset < 0) throw new HttpError('offset must be 0 or more.');
+    return offset;
+}
+
+// ?type=message,note,document (default all)
+function parseTypes(value) {
+    if (!value) return TYPES;
+
+    const types = [...new Set(String(value).split(','))];
+    const unknown = types.find(type => !TYPES.includes(type));
+    if (unknown) throw new HttpError(`type must be any of: ${TYPES.join(', ')}.`);
+    return types;
+}
+
+/**
+ * ?q= (required), ?subject=, ?type=, ?sender=user|ai (messages only),
+ * ?from= / ?to= (YYYY-MM-DD), ?sort=relevance|recent, ?limit= and ?offset=
+ */
+router.get('/', async (req, res) => {
+    const { q, sender, sort = 'relevance' } = req.query;
+
+    try {
+        if (typeof q !== 'string' || !q.trim()) throw new HttpError('A search query is required.');
+        if (q.length > MAX_QUERY_LENGTH) throw new HttpError(`Searches can be at most ${MAX_QUERY_LENGTH} characters.`);
+        if (sender !== undefined && !SENDERS.includes(sender)) throw new HttpError(`sender must be one of: ${SENDERS.join(', ')}.`);
+        if (!SORTS.includes(sort)) throw new HttpError(`sort must be one of: ${SORTS.join(', ')}.`);
+
+        const { from, to } = parseDateRange(req.query);
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+        const types = parseTypes(req.query.type);
+
+        const db = await getDatabaseConnection();
+        let subjectId = null;
+
+        if (req.query.subject) {
+            subjectId = await findSubjectId(db, req.query.subject, req.user.userId);
+            if (!subjectId) throw new HttpError('Invalid subject.');
+        }
+
+        const { results, total } = await search(db, req.user.userId, {
+            query: q, types, subjectId, sender, from, to, sort, limit, offset
+        });
+        res.json({ results, total, limit, offset });
+    } catch (error) {
+        sendError(res, error, 'Search failed.', 'Search error');
+    }
+});
+
+module.exports = router;
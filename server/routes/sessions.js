@@ -0,0 +1,77 @@
+// server/routes/sessions.js
+// Token refresh, logout and the active session list: /api/...
+const express = require('express');
+const { getDatabaseConnection } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { sendError } = require('../errors');
+const { refreshSession } = require('../sessions');
+const sessions = require('../repositories/sessions');
+
+const router = express.Router();
+
+// Trade a refresh token for a new access token (and a new refresh token)
+router.post('/token/refresh', async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        res.json(await refreshSession(db, req.body.refreshToken, req));
+    } catch (error) {
+        sendError(res, error, 'Failed to refresh session.', 'Token refresh error');
+    }
+});
+
+// Ends the session the access token belongs to
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        await sessions.revokeSession(db, req.user.sessionId, 'logout');
+        res.json({ message: 'Logged out.' });
+    } catch (error) {
+        sendError(res, error, 'Failed to log out.', 'Logout error');
+    }
+});
+
+// Log out all devices, including this one
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const revoked = await sessions.revokeUserSessions(db, req.user.userId, 'logout_all');
+        res.json({ message: 'Logged out of all devices.', revoked });
+    } catch (error) {
+        sendError(res, error, 'Failed to log out.', 'Logout all error');
+    }
+});
+
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const active = await sessions.listActiveSessions(db, req.user.userId);
+
+        res.json({
+            sessions: active.map(({ userId, revoked_at, revoked_reason, ...session }) => ({
+                ...session,
+                current: session.id === req.user.sessionId
+            }))
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch sessions.', 'Sessions error');
+    }
+});
+
+// Sign out one device from the session list
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const session = await sessions.getSession(db, req.params.id);
+
+        if (!session || session.userId !== req.user.userId) {
+            return res.status(404).json({ error: 'Session not found.' });
+        }
+
+        await sessions.revokeSession(db, session.id, 'revoked_by_user');
+        res.json({ message: 'Session ended.' });
+    } catch (error) {
+        sendError(res, error, 'Failed to end session.', 'Session revoke error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+// server/routes/subjects.js
+// Subject catalog: /api/subjects
+// Global subjects are managed by admins; any signed-in user can add private
+// subjects that only they see. Each subject carries its tutor persona.
+const express = require('express');
+const { getDatabaseConnection } = require('../database');
+const { authenticateToken, authenticateOptional } = require('../middleware/auth');
+const { HttpError, sendError } = require('../errors');
+const { addAuditLog } = require('../repositories/auditLogs');
+const subjects = require('../repositories/subjects');
+
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_SYSTEM_PROMPT_LENGTH = 4000;
+const MAX_PRIVATE_SUBJECTS = 50;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const ICON_PATTERN = /^[a-z0-9-]{1,40}$/;
+
+const router = express.Router();
+
+function isVisible(user, subject) {
+    return subject.ownerId === null || subject.ownerId === user?.userId;
+}
+
+function canEdit(user, subject) {
+    return subject.ownerId === null ? user.role === 'admin' : subject.ownerId === user.userId;
+}
+
+function toResponse(subject, user) {
+    return {
+        ...subject,
+        scope: subject.ownerId === null ? 'global' : 'private',
+        editable: !!user && canEdit(user, subject)
+    };
+}
+
+function optionalText(value, label, maxLength) {
+    if (value === undefined) return undefined;
+    if (value === null) return '';
+    if (typeof value !== 'string') throw new HttpError(`${label} must be text.`);
+
+    const text = value.trim();
+    if (text.length > maxLength) throw new HttpError(`${label} must be at most ${maxLength} characters.`);
+    return text;
+}
+
+// Validates the editable fields in `body`; missing fields come back undefined
+function parseFields(body) {
+    const fields = {
+        name: optionalText(body.name, 'Name', MAX_NAME_LENGTH),
+        description: optionalText(body.description, 'Description', MAX_DESCRIPTION_LENGTH),
+        systemPrompt: optionalText(body.systemPrompt, 'System prompt', MAX_SYSTEM_PROMPT_LENGTH),
+        color: body.color,
+        icon: body.icon,
+        difficulty: body.difficulty
+    };
+
+    if (fields.name === '') throw new HttpError('A subject name is required.');
+    if (fields.color !== undefined && !COLOR_PATTERN.test(fields.color)) {
+        throw new HttpError('Color must be a hex value like #4361ee.');
+    }
+    if (fields.icon !== undefined && !ICON_PATTERN.test(fields.icon)) {
+        throw new HttpError('Icon must be a Font Awesome icon name like "atom".');
+    }
+    if (fields.difficulty !== undefined && !subjects.DIFFICULTIES.includes(fields.difficulty)) {
+        throw new HttpError(`Difficulty must be one of: ${subjects.DIFFICULTIES.join(', ')}.`);
+    }
+    return fields;
+}
+
+// Private names may not shadow a global subject; the unique indexes cover the rest
+async function assertNameAvailable(db, name, ownerId, exceptId = null) {
+    const existing = await subjects.findSubject(db, name, ownerId);
+    if (existing && existing.id !== exceptId) {
+        throw new HttpError(`A subject named "${name}" already exists.`, 409, 'subject_exists');
+    }
+}
+
+// Loads a subject the user may see; 404 otherwise, 403 when `edit` and read-only
+async function loadSubject(db, req, { edit = false } = {}) {
+    const subject = await subjects.getSubject(db, req.params.id);
+
+    if (!subject || !isVisible(req.user, subject)) {
+        throw new HttpError('Subject not found.', 404, 'subject_not_found');
+    }
+    if (edit && !canEdit(req.user, subject)) {
+        throw new HttpError('Only admins can change global subjects.', 403, 'forbidden');
+    }
+    return subject;
+}
+
+// Changes to global subjects affect every student, so they are audited
+async function auditGlobalChange(db, req, action, subject) {
+    if (subject.ownerId !== null) return;
+
+    try {
+        await addAuditLog(db, {
+            userId: req.user.userId,
+            action,
+            method: req.method,
+            path: req.originalUrl,
+            ip: req.ip,
+            details: { subjectId: subject.id, name: subject.name }
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+}
+
+// Global subjects, plus the caller's own when signed in
+router.get('/', authenticateOptional, async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const rows = await subjects.listSubjects(db, req.user?.userId ?? null);
+        res.json({ subjects: rows.map(subject => toResponse(subject, req.user)) });
+    } catch (error) {
+        console.error('Subjects error:', error);
+        res.status(500).json({ error: 'Failed to fetch subjects.' });
+    }
+});
+
+router.get('/:id', authenticateOptional, async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const subject = await loadSubject(db, req);
+        res.json({ subject: toResponse(subject, req.user) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch subject.', 'Subject error');
+    }
+});
+
+// { name, description?, color?, icon?, difficulty?, systemPrompt?, scope? }
+// scope "global" is for admins; everything else creates a private subject
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const fields = parseFields(req.body);
+        if (fields.name === undefined) throw new HttpError('A subject name is required.');
+
+        const global = req.body.scope === 'global';
+        if (global && req.user.role !== 'admin') {
+            throw new HttpError('Only admins can create global subjects.', 403, 'forbidden');
+        }
+        const ownerId = global ? null : req.user.userId;
+
+        const db = await getDatabaseConnection();
+        if (!global && await subjects.countOwnedSubjects(db, ownerId) >= MAX_PRIVATE_SUBJECTS) {
+            throw new HttpError(`You can have at most ${MAX_PRIVATE_SUBJECTS} private subjects.`, 422, 'subject_limit');
+        }
+        await assertNameAvailable(db, fields.name, ownerId);
+
+        const id = await subjects.createSubject(db, {
+            ...fields,
+            color: fields.color || '#4361ee',
+            icon: fields.icon || 'book',
+            ownerId
+        });
+        const subject = await subjects.getSubject(db, id);
+        await auditGlobalChange(db, req, 'subject_create', subject);
+
+        res.status(201).json({ subject: toResponse(subject, req.user) });
+    } catch (error) {
+        sendError(res, error, 'Failed to create subject.', 'Subject create error');
+    }
+});
+
+router.patch('/:id', authenticateToken, async (req, res) => {
+    try {
+        const fields = parseFields(req.body);
+        const db = await getDatabaseConnection();
+        const subject = await loadSubject(db, req, { edit: true });
+
+        if (fields.name !== undefined && fields.name !== subject.name) {
+            await assertNameAvailable(db, fields.name, subject.ownerId, subject.id);
+        }
+
+        await subjects.updateSubject(db, subject.id, fields);
+        const updated = await subjects.getSubject(db, subject.id);
+        await auditGlobalChange(db, req, 'subject_update', updated);
+
+        res.json({ subject: toResponse(updated, req.user) });
+    } catch (error) {
+        sendError(res, error, 'Failed to update subject.', 'Subject update error');
+    }
+});
+
+// Deletes the subject with every chat, document, quiz and deck in it
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const subject = await loadSubject(db, req, { edit: true });
+
+        await subjects.deleteSubject(db, subject.id);
+        await auditGlobalChange(db, req, 'subject_delete', subject);
+
+        res.json({ message: 'Subject deleted.' });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete subject.', 'Subject delete error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// server/routes/usage.js
+// The signed-in user's AI allowance: /api/usage
+const express = require('express');
+const { getDatabaseConnection } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { sendError } = require('../errors');
+const { getAllowance } = require('../usage');
+const { usageByFeatureSince } = require('../repositories/usage');
+
+const router = express.Router();
+
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const allowance = await getAllowance(db, req.user);
+        const monthStart = new Date(Date.parse(allowance.monthly.resetsAt));
+        monthStart.setUTCMonth(monthStart.getUTCMonth() - 1);
+
+        res.json({
+            ...allowance,
+            thisMonthByFeature: await usageByFeatureSince(db, req.user.userId, monthStart.toISOString().replace('T', ' ').slice(0, 19))
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch AI usage.', 'Usage error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+// server/search.js
+// Full-text search over a user's chat messages, notes and document chunks
+// (FTS5, see migrations 004 and 015), ranked together by BM25.
+const crypto = require('crypto');
+const { get, all } = require('./database');
+const { dateRangeFilter } = require('./dateRange');
+
+const TYPES = ['message', 'note', 'document'];
+const SENDERS = ['user', 'ai'];
+const SORTS = ['relevance', 'recent'];
+
+// Stored text may contain anything, so each search marks its matches with a fresh random token
+const STRAY_MARKERS = /[\u0002\u0003]/g;
+const SNIPPET_TOKENS = 24;
+
+/**
+ * Turns what the student typed into an FTS5 query: every word must match,
+ * "quoted phrases" match in order and a trailing * matches prefixes.
+ * Returns '' when nothing searchable is left.
+ */
+function toSearchQuery(input) {
+    const parts = [];
+
+    for (const [, phrase, word] of String(input).matchAll(/"([^"]*)"|(\S+)/g)) {
+        const terms = (phrase ?? word).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        if (!terms.length) continue;
+
+        if (phrase !== undefined) {
+            parts.push(`"${terms.join(' ')}"`);
+        } else {
+            const prefix = word.endsWith('*');
+            terms.forEach((term, i) => parts.push(`"${term}"${prefix && i === terms.length - 1 ? '*' : ''}`));
+        }
+    }
+    return parts.join(' ');
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function createMarkers() {
+    const token = crypto.randomBytes(8).toString('hex');
+    return { start: `\u0002${token}s\u0003`, end: `\u0002${token}e\u0003` };
+}
+
+// Only the markers snippet() inserted become <mark>; control characters that came from the text are dropped
+function highlight(snippet, markers) {
+    return escapeHtml(snippet || '')
+        .replaceAll(markers.start, '<mark>')
+        .replaceAll(markers.end, '</mark>')
+        .replace(STRAY_MARKERS, '');
+}
+
+// Each source (this one, notes and documents) selects the same columns so they
+// can be UNIONed and ranked together
+function messageSource(filters) {
+    const range = dateRangeFilter('cm.timestamp', filters);
+    let sql = `
+        SELECT 'message' AS type, cm.id, cm.subjectId, s.name AS subject, cm.conversationId, cm.id AS messageId,
+               c.title, cm.sender, NULL AS documentId, NULL AS pageNumber, cm.timestamp AS created_at,
+               snippet(ChatMessagesFts, 0, ?, ?, '…', ${SNIPPET_TOKENS}) AS snippet, bm25(ChatMessagesFts) AS rank
+        FROM ChatMessagesFts
+        JOIN ChatMessages cm ON cm.id = ChatMessagesFts.rowid
+        JOIN Subjects s ON s.id = cm.subjectId
+        LEFT JOIN Conversations c ON c.id = cm.conversationId
+        WHERE ChatMessagesFts MATCH ? AND cm.userId = ?
+          AND (cm.copied_from_id IS NULL
+               OR NOT EXISTS (SELECT 1 FROM ChatMessages original WHERE original.id = cm.copied_from_id))${range.sql}`;
+    const params = [filters.markers.start, filters.markers.end, filters.match, filters.userId, ...range.params];
+
+    if (filters.subjectId) {
+        sql += ' AND cm.subjectId = ?';
+        params.push(filters.subjectId);
+    }
+    if (filters.sender) {
+        sql += ' AND cm.sender = ?';
+        params.push(filters.sender);
+    } else {
+        sql += " AND cm.sender != 'system'";
+    }
+    return { sql, params };
+}
+
+function noteSource(filters) {
+    const range = dateRangeFilter('n.created_at', filters);
+    let sql = `
+        SELECT 'note' AS type, n.id, n.subjectId, s.name AS subject, cm.conversationId, n.messageId,
+               nb.name AS title, NULL AS sender, NULL AS documentId, NULL AS pageNumber, n.created_at,
+               snippet(NotesFts, -1, ?, ?, '…', ${SNIPPET_TOKENS}) AS snippet, bm25(NotesFts) AS rank
+        FROM NotesFts
+        JOIN Notes n ON n.id = NotesFts.rowid
+        JOIN Subjects s ON s.id = n.subjectId
+        LEFT JOIN Notebooks nb ON nb.id = n.notebookId
+        LEFT JOIN ChatMessages cm ON cm.id = n.messageId
+        WHERE NotesFts MATCH ? AND n.userId = ?${range.sql}`;
+    const params = [filters.markers.start, filters.markers.end, filters.match, filters.userId, ...range.params];
+
+    if (filters.subjectId) {
+        sql += ' AND n.subjectId = ?';
+        params.push(filters.subjectId);
+    }
+    return { sql, params };
+}
+
+function documentSource(filters) {
+    const range = dateRangeFilter('d.created_at', filters);
+    let sql = `
+        SELECT 'document' AS type, dc.id, d.subjectId, s.name AS subject, NULL AS conversationId, NULL AS messageId,
+               d.name AS title, NULL AS sender, d.id AS documentId, dc.page_number AS pageNumber, d.created_at,
+               snippet(DocumentChunksFts, 0, ?, ?, '…', ${SNIPPET_TOKENS}) AS snippet, bm25(DocumentChunksFts) AS rank
+        FROM DocumentChunksFts
+        JOIN DocumentChunks dc ON dc.id = DocumentChunksFts.rowid
+        JOIN Documents d ON d.id = dc.documentId
+        JOIN Subjects s ON s.id = d.subjectId
+        WHERE DocumentChunksFts MATCH ? AND d.userId = ?${range.sql}`;
+    const params = [filters.markers.start, filters.markers.end, filters.match, filters.userId, ...range.params];
+
+    if (filters.subjectId) {
+        sql += ' AND d.subjectId = ?';
+        params.push(filters.subjectId);
+    }
+    return { sql, params };
+}
+
+const SOURCES = { message: messageSource, note: noteSource, document: documentSource };
+
+/**
+ * Resolves with { results, total }. `types` picks the sources (a `sender`
+ * filter applies to messages only, so it limits the search to them);
+ * `from`/`to` are inclusive dates. Each result's `snippet` is HTML-escaped
+ * text with the matches wrapped in <mark>.
+ */
+async function search(db, userId, { query, types = TYPES, subjectId, sender, from, to, sort = 'relevance', limit = 20, offset = 0 }) {
+    const match = toSearchQuery(query);
+    if (!match) return { results: [], total: 0 };
+
+    const markers = createMarkers();
+    const filters = { userId, match, markers, subjectId, sender, from, to };
+    const sources = (sender ? ['message'] : types).map(type => SOURCES[type](filters));
+    const union = sources.map(source => source.sql).join('\nUNION ALL\n');
+    const params = sources.flatMap(source => source.params);
+
+    const [rows, count] = await Promise.all([
+        all(db,
+            `SELECT * FROM (${union})
+             ORDER BY ${sort === 'recent' ? 'created_at DESC' : 'rank ASC'}, id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        ),
+        get(db, `SELECT COUNT(*) AS total FROM (${union})`, params)
+    ]);
+
+    return {
+        results: rows.map(({ rank, snippet, ...row }) => ({ ...row, snippet: highlight(snippet, markers) })),
+        total: count.total
+    };
+}
+
+module.exports = {
+    TYPES,
+    SENDERS,
+    SORTS,
+    toSearchQuery,
+    search
+};
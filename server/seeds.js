@@ -0,0 +1,89 @@
+// server/seeds.js
+// Reference data every install needs. Safe to run repeatedly.
+const DEFAULT_SUBJECTS = [
+    {
+        name: 'Quantum Physics',
+        color: '#7209b7',
+        icon: 'atom',
+        difficulty: 'advanced',
+        description: 'Wave functions, uncertainty, entanglement and the maths behind them.',
+        systemPrompt: 'You are an expert quantum physics tutor. Build intuition before formalism, use Dirac notation ' +
+            'once the student is comfortable with it, and flag common misconceptions such as "observation needs a conscious observer".'
+    },
+    {
+        name: 'Molecular Biology',
+        color: '#2a9d8f',
+        icon: 'dna',
+        difficulty: 'intermediate',
+        description: 'DNA, gene expression, proteins and the machinery of the cell.',
+        systemPrompt: 'You are an expert molecular biology tutor. Walk through processes step by step, name the ' +
+            'molecules involved at each stage, and connect mechanisms to experimental evidence.'
+    },
+    {
+        name: 'Advanced Calculus',
+        color: '#e76f51',
+        icon: 'calculator',
+        difficulty: 'advanced',
+        description: 'Limits, multivariable calculus, series and proofs.',
+        systemPrompt: 'You are an expert calculus tutor. Show every step of a derivation, state the theorems you use, ' +
+            'and when the student is stuck give a hint before the full solution.'
+    },
+    {
+        name: 'Machine Learning',
+        color: '#4361ee',
+        icon: 'robot',
+        difficulty: 'intermediate',
+        description: 'Models, training, evaluation and the statistics underneath.',
+        systemPrompt: 'You are an expert machine learning tutor. Pair each idea with the maths and a small code ' +
+            'or numeric example, and point out practical pitfalls like data leakage and overfitting.'
+    },
+    {
+        name: 'World Literature',
+        color: '#e9c46a',
+        icon: 'book',
+        difficulty: 'beginner',
+        description: 'Major works, movements and close reading across cultures.',
+        systemPrompt: 'You are an expert literature tutor. Ground interpretations in quotations from the text, ' +
+            'give historical and cultural context, and encourage the student to form and defend their own readings.'
+    },
+    {
+        name: 'Modern History',
+        color: '#f72585',
+        icon: 'landmark',
+        difficulty: 'intermediate',
+        description: 'From the 18th century revolutions to the present day.',
+        systemPrompt: 'You are an expert modern history tutor. Explain causes and consequences, keep dates and names ' +
+            'accurate, and distinguish established facts from historians\' interpretations.'
+    }
+];
+
+// Adds missing subjects, and fills in personas for subjects created before
+// they existed without overwriting an admin's edits
+async function seedSubjects(db, { run }) {
+    let changed = 0;
+
+    for (const subject of DEFAULT_SUBJECTS) {
+        const result = await run(db,
+            `INSERT INTO Subjects (name, color, icon, description, system_prompt, difficulty)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT(name) WHERE ownerId IS NULL DO UPDATE SET
+                description = excluded.description,
+                system_prompt = excluded.system_prompt,
+                difficulty = excluded.difficulty
+             WHERE Subjects.system_prompt IS NULL`,
+            [subject.name, subject.color, subject.icon, subject.description, subject.systemPrompt, subject.difficulty]
+        );
+        changed += result.changes;
+    }
+    return changed;
+}
+
+async function seed(db, helpers, { log = console.log } = {}) {
+    const subjects = await seedSubjects(db, helpers);
+    log(`🌱 Seeded ${subjects} new or updated subject(s)`);
+}
+
+module.exports = {
+    DEFAULT_SUBJECTS,
+    seed
+};
@@ -0,0 +1,182 @@
+// server/sentiment/index.js
+// Lexicon-based sentiment in the style of VADER: word valences adjusted for
+// negation, intensifiers, capitals, "but" clauses and !/? emphasis, plus a
+// breakdown of the emotions students show while studying.
+const { VALENCE, INTENSIFIERS, NEGATORS, SPELLED_NEGATIONS, EMOJI, EMOTION_CUES } = require('./lexicon');
+
+const EMOTIONS = Object.keys(EMOTION_CUES);
+
+const NEGATION_SCALAR = -0.74;
+const CAPS_BOOST = 0.733;
+const NEGATION_WINDOW = 3;
+// Larger values flatten the -1..1 curve; VADER uses 15
+const NORMALIZE_ALPHA = 15;
+// An emotion must reach this intensity to be the dominant one
+const DOMINANT_THRESHOLD = 0.3;
+
+// Emoticons, emoji and words (apostrophes kept so they can be dropped below)
+const TOKEN_PATTERN = /[:;=][-']?[)(dpDP/\\|]|<3|\p{Extended_Pictographic}|[\p{L}\p{N}']+/gu;
+
+/**
+ * Each token is { word } (lower-cased, apostrophes removed, `caps` when it
+ * was shouted) or { symbol } for emoji and emoticons. Spelled-out negations
+ * become one contracted word: "do not" -> "dont", "cannot" -> "cant".
+ */
+function tokenize(text) {
+    const tokens = [];
+
+    (text.match(TOKEN_PATTERN) || []).forEach(raw => {
+        if (!/[\p{L}\p{N}]/u.test(raw) || /^[:;=<]/.test(raw)) {
+            tokens.push({ symbol: raw.toLowerCase() });
+            return;
+        }
+
+        const word = raw.toLowerCase().replace(/'/g, '');
+        const caps = raw.length > 1 && /\p{Lu}/u.test(raw) && raw === raw.toUpperCase();
+        const previous = tokens[tokens.length - 1];
+
+        if (word === 'not' && SPELLED_NEGATIONS[previous?.word]) {
+            previous.word = SPELLED_NEGATIONS[previous.word];
+            previous.caps = previous.caps && caps;
+        } else if (word === 'cannot') {
+            tokens.push({ word: SPELLED_NEGATIONS.cannot, caps });
+        } else {
+            tokens.push({ word, caps });
+        }
+    });
+
+    return tokens;
+}
+
+function isNegated(tokens, index) {
+    for (let i = Math.max(0, index - NEGATION_WINDOW); i < index; i++) {
+        if (NEGATORS.has(tokens[i].word)) return true;
+    }
+    return false;
+}
+
+// Sum of the intensifiers in the two words before `index`; the farther one counts less
+function intensity(tokens, index) {
+    let total = 0;
+    [1, 2].forEach(distance => {
+        const boost = INTENSIFIERS[tokens[index - distance]?.word];
+        if (boost) total += distance === 1 ? boost : boost * 0.95;
+    });
+    return total;
+}
+
+// Exclamation marks (up to four) and repeated question marks strengthen the tone
+function punctuationEmphasis(text) {
+    const exclamations = Math.min(4, (text.match(/!/g) || []).length);
+    const questions = (text.match(/\?/g) || []).length;
+    return exclamations * 0.292 + (questions > 1 ? Math.min(0.96, questions * 0.18) : 0);
+}
+
+function normalize(value) {
+    return value / Math.sqrt(value * value + NORMALIZE_ALPHA);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function valences(tokens) {
+    // Shouting one word stands out only when the whole message isn't shouted
+    const words = tokens.filter(token => token.word && /\p{L}/u.test(token.word));
+    const shouting = words.length > 1 && words.every(token => token.caps);
+
+    const scores = tokens.map((token, index) => {
+        if (token.symbol) return EMOJI[token.symbol] || 0;
+
+        let valence = VALENCE[token.word];
+        if (!valence) return 0;
+
+        const direction = Math.sign(valence);
+        if (token.caps && !shouting) valence += direction * CAPS_BOOST;
+        valence += direction * intensity(tokens, index);
+        if (isNegated(tokens, index)) valence *= NEGATION_SCALAR;
+        return valence;
+    });
+
+    // "It was hard but I get it now": the clause after "but" carries more weight
+    const but = tokens.findIndex(token => token.word === 'but');
+    if (but === -1) return scores;
+    return scores.map((score, index) => (index < but ? score * 0.5 : index > but ? score * 1.5 : score));
+}
+
+function matchesPhrase(tokens, start, phrase) {
+    return phrase.every((word, offset) => tokens[start + offset]?.word === word);
+}
+
+function emotionIntensity(tokens, cues, emphasis) {
+    const used = new Set();
+    let raw = 0;
+
+    Object.entries(cues.phrases).forEach(([phrase, weight]) => {
+        const words = phrase.split(' ');
+        tokens.forEach((token, start) => {
+            if (used.has(start) || !matchesPhrase(tokens, start, words)) return;
+            words.forEach((word, offset) => used.add(start + offset));
+            raw += weight * (1 + intensity(tokens, start) * 2);
+        });
+    });
+
+    tokens.forEach((token, index) => {
+        if (token.symbol) {
+            raw += cues.emoji[token.symbol] || 0;
+            return;
+        }
+        const weight = cues.words[token.word];
+        if (!weight || used.has(index) || isNegated(tokens, index)) return;
+        raw += weight * (1 + intensity(tokens, index) * 2);
+    });
+
+    return raw ? 1 - Math.exp(-raw * (1 + emphasis)) : 0;
+}
+
+function emotionBreakdown(tokens, text) {
+    const emphasis = Math.min(4, (text.match(/!/g) || []).length) * 0.1;
+    const emotions = Object.fromEntries(EMOTIONS.map(emotion => [
+        emotion,
+        emotionIntensity(tokens, EMOTION_CUES[emotion], emotion === 'curiosity' ? 0 : emphasis)
+    ]));
+
+    // Piled-up question marks read as confusion, a single question as curiosity
+    const questions = (text.match(/\?/g) || []).length;
+    if (questions > 1) emotions.confusion = 1 - (1 - emotions.confusion) * Math.exp(-0.2 * Math.min(questions, 5));
+    else if (questions === 1) emotions.curiosity = 1 - (1 - emotions.curiosity) * Math.exp(-0.2);
+
+    return Object.fromEntries(EMOTIONS.map(emotion => [emotion, round(emotions[emotion])]));
+}
+
+/**
+ * Returns { score, magnitude, emotions, dominantEmotion }: `score` is -1..1 (negative
+ * to positive), `magnitude` 0..1 is how much feeling the text carries either
+ * way, `emotions` maps each study emotion to 0..1, and `dominantEmotion` is
+ * the strongest one, or null when none stands out.
+ */
+function analyzeSentiment(text = '') {
+    const tokens = tokenize(String(text));
+    const scores = valences(tokens);
+
+    const emphasis = punctuationEmphasis(String(text));
+    let sum = scores.reduce((total, score) => total + score, 0);
+    let strength = scores.reduce((total, score) => total + Math.abs(score), 0);
+    if (sum) sum += Math.sign(sum) * emphasis;
+    if (strength) strength += emphasis;
+
+    const emotions = emotionBreakdown(tokens, String(text));
+    const [strongest, level] = Object.entries(emotions).sort((a, b) => b[1] - a[1])[0];
+
+    return {
+        score: round(normalize(sum)),
+        magnitude: round(normalize(strength)),
+        emotions,
+        dominantEmotion: level >= DOMINANT_THRESHOLD ? strongest : null
+    };
+}
+
+module.exports = {
+    EMOTIONS,
+    analyzeSentiment
+};
@@ -0,0 +1,137 @@
+// server/sentiment/lexicon.js
+// Word lists for the sentiment analyzer. Valences use VADER's -4..4 scale;
+// words are matched lower-cased with apostrophes removed ("don't" -> "dont").
+
+const VALENCE = {
+    // Positive
+    good: 1.9, great: 3.1, excellent: 2.7, amazing: 2.8, awesome: 3.1, fantastic: 2.6, wonderful: 2.7,
+    brilliant: 2.8, perfect: 2.7, nice: 1.8, cool: 1.3, fine: 0.8, ok: 0.9, okay: 0.9, helpful: 1.8,
+    happy: 2.7, glad: 2.0, love: 3.2, loved: 2.9, like: 1.5, enjoy: 2.2, enjoyed: 2.3, fun: 2.3,
+    interesting: 1.7, fascinating: 2.1, curious: 1.3, clear: 1.6, easy: 1.9, simple: 0.9, understand: 1.0,
+    understood: 1.2, sure: 1.3, confident: 2.2, ready: 1.5, proud: 2.1, excited: 2.2, relieved: 1.5,
+    thanks: 1.9, thank: 1.5, thx: 1.5, appreciate: 2.0, yes: 1.2, yay: 2.4, wow: 2.3, correct: 1.5,
+    right: 0.8, solved: 1.8, works: 1.1, success: 2.7, improve: 1.9, improved: 2.1, better: 1.9, best: 3.2,
+    win: 2.8, progress: 1.6, motivated: 1.9, calm: 1.3, clever: 1.9, smart: 1.7, genius: 2.4,
+
+    // Negative
+    bad: -2.5, terrible: -2.1, awful: -2.0, horrible: -2.5, worst: -3.1, worse: -2.1, poor: -2.1,
+    hate: -2.7, hated: -3.2, dislike: -1.6, sad: -2.1, unhappy: -1.8, angry: -2.3, annoyed: -1.6,
+    annoying: -1.7, frustrated: -2.4, frustrating: -2.2, confused: -1.3, confusing: -1.3, lost: -1.3,
+    stuck: -1.0, hard: -0.4, difficult: -1.5, impossible: -1.7, boring: -1.3, bored: -1.1, tired: -1.3,
+    exhausted: -1.9, worried: -1.8, worry: -1.9, nervous: -1.1, anxious: -1.0, scared: -1.9, afraid: -2.0,
+    stressed: -1.4, stress: -1.8, panic: -2.3, overwhelmed: -1.5, fail: -2.5, failed: -2.3, failing: -2.2,
+    wrong: -2.1, mistake: -1.4, mistakes: -1.6, problem: -1.7, problems: -1.7, useless: -1.8, pointless: -1.6,
+    stupid: -2.4, dumb: -2.3, hopeless: -2.0, quit: -1.1, ugh: -1.8, argh: -1.9, meh: -0.3,
+    sucks: -1.5, sucked: -2.0, waste: -1.8, unclear: -1.0, upset: -1.6, cry: -2.1, crying: -2.1
+};
+
+// Adjust the next word's valence by this much in its own direction
+const INTENSIFIERS = {
+    very: 0.293, really: 0.293, so: 0.293, extremely: 0.293, super: 0.293, totally: 0.293,
+    incredibly: 0.293, absolutely: 0.293, completely: 0.293, especially: 0.293, truly: 0.293,
+    too: 0.2, such: 0.2, most: 0.2, more: 0.2, utterly: 0.293, hugely: 0.293, seriously: 0.293,
+    slightly: -0.293, somewhat: -0.293, kinda: -0.293, kindof: -0.293, sorta: -0.293, bit: -0.2,
+    little: -0.2, barely: -0.293, hardly: -0.293, partly: -0.293, fairly: -0.2, marginally: -0.293
+};
+
+const NEGATORS = new Set([
+    'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'nowhere', 'cannot', 'cant',
+    'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent', 'wont', 'wouldnt', 'shouldnt',
+    'couldnt', 'hasnt', 'havent', 'hadnt', 'aint', 'without', 'hardly', 'rarely', 'seldom'
+]);
+
+// "<word> not" and "cannot" are read as the contraction, so the cues below
+// only need "dont", "cant" and so on
+const SPELLED_NEGATIONS = {
+    do: 'dont', does: 'doesnt', did: 'didnt', can: 'cant', cannot: 'cant', is: 'isnt', are: 'arent',
+    was: 'wasnt', were: 'werent', will: 'wont', would: 'wouldnt', should: 'shouldnt', could: 'couldnt',
+    has: 'hasnt', have: 'havent', had: 'hadnt'
+};
+
+// Emoji and emoticons, scored like words but never negated
+const EMOJI = {
+    '😀': 2.4, '😃': 2.4, '😄': 2.6, '😁': 2.4, '😊': 2.4, '🙂': 1.4, '😉': 1.5, '😍': 3.0, '🥰': 3.0,
+    '😎': 2.0, '🤩': 3.0, '🥳': 3.0, '👍': 1.9, '👏': 2.0, '💪': 1.9, '🎉': 2.6, '❤': 2.9, '✅': 1.3,
+    '🙏': 1.5, '😂': 1.9, '🤣': 1.9, '🤔': -0.2, '😐': -0.3, '😕': -1.3, '🙁': -1.5, '☹': -1.8,
+    '😟': -1.7, '😞': -2.1, '😢': -2.2, '😭': -2.5, '😩': -2.3, '😫': -2.3, '😤': -2.0, '😠': -2.4,
+    '😡': -2.8, '🤬': -3.0, '😰': -2.1, '😱': -2.2, '😨': -2.1, '😖': -2.0, '😣': -1.9, '🤯': -1.0,
+    '😴': -0.8, '🥱': -1.0, '👎': -1.9, '💀': -1.0,
+    ':)': 2.0, ':-)': 2.0, ':d': 2.4, ':-d': 2.4, ';)': 1.5, ';-)': 1.5, ':p': 1.0, '<3': 2.9,
+    ':(': -2.2, ':-(': -2.2, ":'(": -2.4, ':/': -1.2, ':-/': -1.2, ':|': -0.6
+};
+
+/**
+ * Study emotions. `phrases` are matched first and their words are not
+ * counted again; `words` are ignored when negated ("not confused").
+ * Weights are per match, before intensifiers.
+ */
+const EMOTION_CUES = {
+    confusion: {
+        phrases: {
+            'dont understand': 1, 'dont get': 0.8, 'doesnt make sense': 1, 'makes no sense': 1, 'not sure': 0.6,
+            'no idea': 0.9, 'not following': 0.8, 'dont follow': 0.8, 'lost me': 0.8, 'what do you mean': 0.8,
+            'not getting': 0.7, 'dont know': 0.5, 'i am lost': 1, 'im lost': 1, 'cant understand': 1,
+            'cant follow': 0.8, 'cant get': 0.7, 'didnt understand': 0.9, 'didnt get': 0.7
+        },
+        words: {
+            confused: 1, confusing: 1, confusion: 1, unclear: 0.8, puzzled: 0.9, baffled: 1, lost: 0.6,
+            huh: 0.6, stuck: 0.4
+        },
+        emoji: { '🤔': 0.4, '😕': 0.8, '🤯': 0.5, ':/': 0.6, ':-/': 0.6 }
+    },
+    frustration: {
+        phrases: {
+            'give up': 1, 'fed up': 1, 'sick of': 0.9, 'still dont': 0.7, 'too hard': 0.7, 'so hard': 0.5,
+            'waste of time': 1, 'over and over': 0.6, 'for the last time': 0.8, 'makes me want to': 0.6
+        },
+        words: {
+            frustrated: 1, frustrating: 1, frustration: 1, annoyed: 0.8, annoying: 0.8, hate: 0.7, ugh: 0.9,
+            argh: 1, stupid: 0.7, useless: 0.8, pointless: 0.8, impossible: 0.7, stuck: 0.5, angry: 0.9,
+            sucks: 0.7, tired: 0.3, quit: 0.6
+        },
+        emoji: { '😤': 1, '😠': 0.9, '😡': 1, '🤬': 1, '😩': 0.7, '😫': 0.7, '😖': 0.6 }
+    },
+    anxiety: {
+        phrases: {
+            'freaking out': 1, 'running out of time': 0.9, 'going to fail': 1, 'gonna fail': 1,
+            'stressed out': 1, 'what if i': 0.6, 'too much': 0.4
+        },
+        words: {
+            worried: 1, worry: 0.8, nervous: 1, anxious: 1, anxiety: 1, scared: 0.9, afraid: 0.8,
+            stressed: 1, stress: 0.8, panic: 1, panicking: 1, overwhelmed: 1, exam: 0.2, test: 0.1,
+            deadline: 0.4, fail: 0.5, failing: 0.7
+        },
+        emoji: { '😰': 1, '😱': 0.9, '😨': 0.9, '😟': 0.7, '😣': 0.5 }
+    },
+    confidence: {
+        phrases: {
+            'got it': 1, 'makes sense': 1, 'i get it': 1, 'i see': 0.6, 'i understand': 0.9, 'that helps': 0.7,
+            'figured it out': 1, 'i can do': 0.8, 'now i know': 0.8, 'that was easy': 1, 'i think i know': 0.5
+        },
+        words: {
+            confident: 1, sure: 0.6, easy: 0.6, clear: 0.6, obvious: 0.5, solved: 0.9, understood: 0.9,
+            nailed: 1, ready: 0.6, correct: 0.4, understand: 0.4, simple: 0.4, aha: 0.9
+        },
+        emoji: { '😎': 0.9, '💪': 0.9, '👍': 0.6, '✅': 0.6, '🎉': 0.6 }
+    },
+    curiosity: {
+        phrases: {
+            'why does': 0.7, 'why is': 0.6, 'how come': 0.7, 'what if': 0.5, 'tell me more': 1, 'i wonder': 1,
+            'what happens': 0.6, 'can you explain': 0.5, 'how does': 0.5, 'what about': 0.4, 'more about': 0.6
+        },
+        words: {
+            curious: 1, wonder: 0.8, wondering: 0.8, interesting: 0.8, fascinating: 1, interested: 0.8,
+            explore: 0.6, why: 0.3
+        },
+        emoji: { '🤩': 0.6 }
+    }
+};
+
+module.exports = {
+    VALENCE,
+    INTENSIFIERS,
+    NEGATORS,
+    SPELLED_NEGATIONS,
+    EMOJI,
+    EMOTION_CUES
+};
@@ -4,9 +4,42 @@ const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const path = require('path');
-const jwt = require('jsonwebtoken');
 const fs = require('fs');
-const { getDatabaseConnection } = require('./database');
+const { setupDatabase, getDatabaseConnection, get, transaction } = require('./database');
+const users = require('./repositories/users');
+const messages = require('./repositories/messages');
+const moodLogs = require('./repositories/moodLogs');
+const { findSubject, findSubjectId } = require('./repositories/subjects');
+const { getDocument } = require('./documents');
+const { resolveChatConversation } = require('./conversations');
+const { touchConversation } = require('./repositories/conversations');
+const { sendError } = require('./errors');
+const { buildConversationContext } = require('./memory');
+const { getProvider } = require('./llm');
+const { meteredProvider } = require('./usage');
+const { authenticateToken } = require('./middleware/auth');
+const { requireAiQuota } = require('./middleware/quota');
+const { rateLimit } = require('./middleware/rateLimit');
+const { authorizeUserParam, denyCrossAccount } = require('./middleware/authorize');
+const documentRoutes = require('./routes/documents');
+const quizRoutes = require('./routes/quizzes');
+const flashcardRoutes = require('./routes/flashcards');
+const progressRoutes = require('./routes/progress');
+const adminRoutes = require('./routes/admin');
+const sessionRoutes = require('./routes/sessions');
+const { startSession } = require('./sessions');
+const accountRoutes = require('./routes/account');
+const usageRoutes = require('./routes/usage');
+const subjectRoutes = require('./routes/subjects');
+const conversationRoutes = require('./routes/conversations');
+const messageRoutes = require('./routes/messages');
+const noteRoutes = require('./routes/notes');
+const exportRoutes = require('./routes/exports');
+const searchRoutes = require('./routes/search');
+const { MIN_PASSWORD_LENGTH, sendVerificationEmail } = require('./accountEmails');
+const { retrieveChunks, buildGroundingPrompt, toCitations } = require('./documents/retrieve');
+const { analyzeSentiment } = require('./sentiment');
+const { moodTrend, moodGuidance, moodNotice } = require('./mood');
 
 // Initialize Express App
 const app = express();
@@ -22,45 +55,19 @@ app.use(cors({
 // Serve static files
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
-// JWT Authentication Middleware
-function authenticateToken(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-    
-    if (!token) return res.sendStatus(401);
-    
-    jwt.verify(token, process.env.AUTH_SECRET, (err, user) => {
-        if (err) return res.sendStatus(403);
-        req.user = user;
-        next();
-    });
-}
-
-// Helper Functions
-async function analyzeSentiment(text) {
-    // Simple sentiment analysis placeholder
-    const positiveWords = ['good', 'great', 'excellent', 'amazing', 'happy'];
-    const negativeWords = ['bad', 'terrible', 'awful', 'hate', 'sad'];
-    
-    const words = text.toLowerCase().split(/\s+/);
-    let score = 0;
-    let magnitude = 0;
-    
-    words.forEach(word => {
-        if (positiveWords.includes(word)) {
-            score += 0.1;
-            magnitude += 0.1;
-        } else if (negativeWords.includes(word)) {
-            score -= 0.1;
-            magnitude += 0.1;
-        }
-    });
-    
-    return { 
-        score: Math.max(-1, Math.min(1, score)), 
-        magnitude: Math.min(1, magnitude) 
-    };
-}
+// Per-IP limits on credential endpoints (attempts per window; 0 disables)
+const loginLimiter = rateLimit({
+    name: 'login',
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.LOGIN_RATE_LIMIT || '10', 10),
+    message: 'Too many login attempts. Please wait before trying again.'
+});
+const signupLimiter = rateLimit({
+    name: 'signup',
+    windowMs: 60 * 60 * 1000,
+    max: parseInt(process.env.SIGNUP_RATE_LIMIT || '5', 10),
+    message: 'Too many sign-ups from this address. Please try again later.'
+});
 
 // API Routes
 app.get('/', (req, res) => {
@@ -68,38 +75,47 @@ app.get('/', (req, res) => {
 });
 
 // User Registration
-app.post('/api/signup', async (req, res) => {
+app.post('/api/signup', signupLimiter, async (req, res) => {
     const { name, email, password } = req.body;
+
+    if (!name || !email || !password) {
+        return res.status(400).json({ error: 'Name, email and password are required.' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`, code: 'weak_password' });
+    }
     
     try {
         const db = await getDatabaseConnection();
         
         // Check if email exists
-        const existingUser = await db.get(
-            'SELECT id FROM Users WHERE email = ?', 
-            [email]
-        );
+        const existingUser = await users.findUserByEmail(db, email);
         
         if (existingUser) {
             return res.status(409).json({ error: 'Email already registered.' });
         }
 
         const hashedPassword = await bcrypt.hash(password, 10);
-        const result = await db.run(
-            'INSERT INTO Users (name, email, password) VALUES (?, ?, ?)',
-            [name, email, hashedPassword]
-        );
-
-        const token = jwt.sign(
-            { userId: result.lastID }, 
-            process.env.AUTH_SECRET, 
-            { expiresIn: '24h' }
-        );
+        const userId = await users.createUser(db, { name, email, passwordHash: hashedPassword });
+
+        const session = await startSession(userId, req);
+
+        // A mail outage shouldn't block signing up; the student can ask for a new link
+        let verificationSent = true;
+        try {
+            await sendVerificationEmail(db, { id: userId, name, email });
+        } catch (mailError) {
+            verificationSent = false;
+            console.error('Verification email error:', mailError);
+        }
         
         res.status(201).json({ 
             message: 'User registered successfully!', 
-            userId: result.lastID,
-            token 
+            userId,
+            role: 'student',
+            emailVerified: false,
+            verificationSent,
+            ...session
         });
     } catch (error) {
         console.error('Signup error:', error);
@@ -108,15 +124,16 @@ app.post('/api/signup', async (req, res) => {
 });
 
 // User Login
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', loginLimiter, async (req, res) => {
     const { email, password } = req.body;
+
+    if (!email || !password) {
+        return res.status(400).json({ error: 'Email and password are required.' });
+    }
     
     try {
         const db = await getDatabaseConnection();
-        const user = await db.get(
-            'SELECT id, password FROM Users WHERE email = ?', 
-            [email]
-        );
+        const user = await users.findUserByEmail(db, email);
         
         if (!user) {
             return res.status(401).json({ error: 'Invalid email or password.' });
@@ -128,21 +145,16 @@ app.post('/api/login', async (req, res) => {
         }
 
         // Update last login time
-        await db.run(
-            'UPDATE Users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
-            [user.id]
-        );
-
-        const token = jwt.sign(
-            { userId: user.id }, 
-            process.env.AUTH_SECRET, 
-            { expiresIn: '24h' }
-        );
+        await users.recordLogin(db, user.id);
+
+        const session = await startSession(user.id, req);
         
         res.json({ 
             message: 'Logged in successfully!', 
             userId: user.id,
-            token 
+            role: user.role,
+            emailVerified: !!user.email_verified_at,
+            ...session
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -150,119 +162,343 @@ app.post('/api/login', async (req, res) => {
     }
 });
 
+const DIFFICULTY_GUIDANCE = {
+    beginner: 'Assume no prior knowledge: define terms as you use them and favour everyday analogies.',
+    intermediate: 'Assume the basics are known and focus on understanding and worked examples.',
+    advanced: 'Be rigorous and precise, and go into depth where the student asks for it.'
+};
+
+// The subject's own persona when it has one, pitched at its difficulty level
+function tutorSystemPrompt(subject) {
+    const persona = subject.system_prompt ||
+        `You are an expert tutor in ${subject.name}. Explain concepts clearly and provide examples.`;
+    return `${persona}\n\n${DIFFICULTY_GUIDANCE[subject.difficulty] || ''}`.trim();
+}
+
+// Asks the model to fold older turns into the rolling conversation summary
+async function summarizeTurns(provider, previousSummary, transcript, maxTokens) {
+    if (provider.deterministic) return null;
+
+    const { content } = await provider.complete([{
+        role: "system",
+        content: "Summarize this tutoring conversation for the tutor's own memory. Keep the topics covered, " +
+            "explanations given and anything the student found confusing. Be concise."
+    }, {
+        role: "user",
+        content: `${previousSummary ? `Existing summary:\n${previousSummary}\n\n` : ''}New turns:\n${transcript}`
+    }], { maxTokens });
+
+    return content.trim() || null;
+}
+
+// Tutor prompt shared by the buffered and streaming chat paths. `subject` is
+// the Subjects row and `mood` the student's moodTrend(), which can change the
+// teaching style. Resolves with the model messages and the citations for any
+// excerpts used.
+async function buildTutorMessages(db, { userId, subjectId, conversationId, subject, message, documentId, mood }) {
+    const chunks = await retrieveChunks(db, { userId, subjectId, documentId, question: message });
+    const guidance = moodGuidance(mood);
+
+    const messages = await buildConversationContext(db, {
+        conversationId,
+        systemPrompt: guidance ? `${tutorSystemPrompt(subject)}\n\n${guidance}` : tutorSystemPrompt(subject),
+        groundingPrompt: chunks.length ? buildGroundingPrompt(chunks) : null,
+        message,
+        summarize: (...args) => summarizeTurns(meteredProvider(getProvider(), { userId, feature: 'summary' }), ...args)
+    });
+
+    return { messages, citations: toCitations(chunks) };
+}
+
+const PROVIDER_ERROR_REPLY = "I'm having trouble connecting to my knowledge base. Please try again later.";
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Stores the question, the answer and the student's mood (`sentiment`) as one
+// unit. Resolves with the answer's message id.
+async function saveChatExchange({ userId, subjectId, conversationId, message, clientMessageId, sentiment, aiResponse, provider, model, citations = [], partial = false }) {
+    return transaction(async (tx) => {
+        await messages.addMessage(tx, { userId, subjectId, conversationId, sender: 'user', text: message, clientMessageId });
+
+        const aiMessageId = await messages.addMessage(tx, {
+            userId, subjectId, conversationId, sender: 'ai', text: aiResponse, partial, provider, model, citations
+        });
+        await touchConversation(tx, conversationId);
+
+        await moodLogs.addMoodLog(tx, { userId, subjectId, ...sentiment, message });
+
+        return aiMessageId;
+    });
+}
+
+function openEventStream(res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+}
+
+function wantsEventStream(req) {
+    return req.body.stream === true || req.accepts(['json', 'text/event-stream']) === 'text/event-stream';
+}
+
+// Streaming variant of /api/chat: relays tokens as Server-Sent Events
+async function streamChat(req, res, { db, userId, subjectId, conversationId, subject, message, clientMessageId, documentId, sentiment, mood }) {
+    openEventStream(res);
+
+    const provider = meteredProvider(getProvider(), { userId, feature: 'chat' });
+    const controller = new AbortController();
+    let aiResponse = '';
+    let model = provider.model;
+    let providerName = provider.name;
+    let citations = [];
+    let clientGone = false;
+
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            clientGone = true;
+            controller.abort();
+        }
+    });
+
+    const relay = (token) => {
+        aiResponse += token;
+        if (!clientGone) sendEvent(res, 'token', { content: token });
+    };
+
+    try {
+        const prepared = await buildTutorMessages(db, { userId, subjectId, conversationId, subject, message, documentId, mood });
+        citations = prepared.citations;
+        if (citations.length && !clientGone) sendEvent(res, 'citations', { citations });
+
+        const completion = await provider.stream(prepared.messages, { onToken: relay, signal: controller.signal });
+        model = completion.model;
+    } catch (apiError) {
+        if (!clientGone) {
+            console.error(`${provider.name} stream error:`, apiError);
+            if (!aiResponse) {
+                providerName = 'fallback';
+                model = null;
+                citations = [];
+                relay(PROVIDER_ERROR_REPLY);
+            }
+        }
+    }
+
+    if (!aiResponse) {
+        aiResponse = "I couldn't generate a response.";
+        if (!clientGone) sendEvent(res, 'token', { content: aiResponse });
+    }
+
+    try {
+        const messageId = await saveChatExchange({
+            userId, subjectId, conversationId, message, clientMessageId, sentiment, aiResponse, provider: providerName, model, citations, partial: clientGone
+        });
+
+        if (clientGone) {
+            console.log(`⚠️ Client disconnected, saved partial message ${messageId}`);
+            return;
+        }
+
+        sendEvent(res, 'done', {
+            messageId,
+            conversationId,
+            sentiment,
+            mood: moodNotice(mood),
+            citations,
+            provider: providerName,
+            model,
+            usingFallback: providerName !== provider.name || !!provider.deterministic,
+            partial: false
+        });
+    } catch (error) {
+        console.error('Chat save error:', error);
+        if (!clientGone) sendEvent(res, 'error', { error: 'An error occurred during chat processing.' });
+    }
+
+    res.end();
+}
+
+// Token refresh, logout and sessions
+app.use('/api', sessionRoutes);
+
+// Email verification and password reset
+app.use('/api', accountRoutes);
+
+// Remaining AI allowance
+app.use('/api/usage', usageRoutes);
+
+// Get User Profile
+app.get('/api/user/:userId', authenticateToken, authorizeUserParam(), async (req, res) => {
+    try {
+        const db = await getDatabaseConnection();
+        const user = await users.findUserById(db, req.params.userId);
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+        
+        res.json(user);
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({ error: 'Failed to fetch user data.' });
+    }
+});
+
+// A message sent again with the same `clientMessageId` (the outbox resending
+// after a dropped connection) is answered with what was saved the first time,
+// without asking the tutor or counting against the quota again
+async function answerRepeatedMessage(req, res, next) {
+    const { clientMessageId } = req.body;
+    if (clientMessageId === undefined) return next();
+
+    if (typeof clientMessageId !== 'string' || !clientMessageId || clientMessageId.length > 64) {
+        return res.status(400).json({ error: 'clientMessageId must be a string of at most 64 characters.' });
+    }
+
+    try {
+        const db = await getDatabaseConnection();
+        const saved = await messages.findExchangeByClientId(db, req.user.userId, clientMessageId);
+        if (!saved) return next();
+
+        const reply = {
+            aiResponse: saved.aiResponse,
+            messageId: saved.messageId,
+            conversationId: saved.conversationId,
+            citations: saved.citations ? JSON.parse(saved.citations) : [],
+            duplicate: true
+        };
+
+        if (!wantsEventStream(req)) return res.json(reply);
+
+        openEventStream(res);
+        sendEvent(res, 'token', { content: reply.aiResponse || '' });
+        sendEvent(res, 'done', reply);
+        res.end();
+    } catch (error) {
+        sendError(res, error, 'An error occurred during chat processing.', 'Chat error');
+    }
+}
+
 // AI Chat Endpoint
-app.post('/api/chat', authenticateToken, async (req, res) => {
-    const { userId, message, subject } = req.body;
+// Send `stream: true` (or `Accept: text/event-stream`) to receive the answer as SSE,
+// and a `clientMessageId` to make sending the same message again harmless
+app.post('/api/chat', authenticateToken, answerRepeatedMessage, requireAiQuota, async (req, res) => {
+    const { message, subject, documentId, clientMessageId, conversationId: requestedConversationId } = req.body;
+    const { userId } = req.user;
+    const wantsStream = wantsEventStream(req);
+
+    // Older clients still send userId; messages are always written as the token's user
+    if (req.body.userId !== undefined && String(req.body.userId) !== String(userId)) {
+        return denyCrossAccount(req, res, req.body.userId);
+    }
+
+    if (!message || !subject) {
+        return res.status(400).json({ error: 'Message and subject are required.' });
+    }
     
     try {
         const db = await getDatabaseConnection();
         
-        // Get subject ID
-        const subjectRow = await db.get(
-            'SELECT id FROM Subjects WHERE name = ?',
-            [subject]
-        );
+        const subjectRow = await findSubject(db, subject, userId);
         
         if (!subjectRow) {
             return res.status(400).json({ error: 'Invalid subject.' });
         }
-        
         const subjectId = subjectRow.id;
 
-        let aiResponse;
-        let usingFallback = true;
-
-        // Call OpenRouter API if configured
-        if (process.env.OPENROUTER_API_KEY) {
-            try {
-                const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-                        'HTTP-Referer': `http://localhost:${PORT}/`
-                    },
-                    body: JSON.stringify({
-                        model: process.env.OPENROUTER_MODEL_ID || 'openai/gpt-3.5-turbo',
-                        messages: [{
-                            role: "system",
-                            content: `You are an expert tutor in ${subject}. Explain concepts clearly and provide examples.`
-                        }, {
-                            role: "user",
-                            content: message
-                        }],
-                        temperature: 0.7,
-                        max_tokens: 1000
-                    })
-                });
-
-                const data = await response.json();
-                aiResponse = data.choices?.[0]?.message?.content || "I couldn't generate a response.";
-                usingFallback = false;
-            } catch (apiError) {
-                console.error('OpenRouter API error:', apiError);
-                aiResponse = "I'm having trouble connecting to my knowledge base. Please try again later.";
+        // Questions can be restricted to one of the student's documents
+        if (documentId) {
+            const document = await getDocument(db, userId, documentId);
+
+            if (!document || document.subject !== subject) {
+                return res.status(404).json({ error: 'Document not found.' });
             }
-        } else {
-            // Fallback response
-            aiResponse = `I'm here to help with ${subject}! ${message.includes('?') ? 
-                "That's an interesting question. Let me think about it..." : 
-                "Could you tell me more about what you're looking for?"}`;
         }
 
-        // Store messages
-        await db.run(
-            'INSERT INTO ChatMessages (userId, subjectId, sender, text) VALUES (?, ?, ?, ?)',
-            [userId, subjectId, 'user', message]
-        );
-        
-        await db.run(
-            'INSERT INTO ChatMessages (userId, subjectId, sender, text) VALUES (?, ?, ?, ?)',
-            [userId, subjectId, 'ai', aiResponse]
-        );
-
-        // Analyze and store sentiment
-        const sentiment = await analyzeSentiment(message);
-        await db.run(
-            'INSERT INTO MoodLogs (userId, subjectId, score, magnitude, message) VALUES (?, ?, ?, ?, ?)',
-            [userId, subjectId, sentiment.score, sentiment.magnitude, message]
-        );
+        const conversationId = await resolveChatConversation(db, {
+            userId, subjectId, conversationId: requestedConversationId, message
+        });
+
+        // The student's mood now and over their last few messages steers the tutor
+        const sentiment = analyzeSentiment(message);
+        const mood = await moodTrend(db, userId, subjectId, sentiment);
+
+        if (wantsStream) {
+            return await streamChat(req, res, {
+                db, userId, subjectId, conversationId, subject: subjectRow, message, clientMessageId, documentId, sentiment, mood
+            });
+        }
+
+        const provider = meteredProvider(getProvider(), { userId, feature: 'chat' });
+        let aiResponse;
+        let model = provider.model;
+        let providerName = provider.name;
+        let citations = [];
+
+        try {
+            const prepared = await buildTutorMessages(db, { userId, subjectId, conversationId, subject: subjectRow, message, documentId, mood });
+            citations = prepared.citations;
+
+            const completion = await provider.complete(prepared.messages);
+            aiResponse = completion.content || "I couldn't generate a response.";
+            model = completion.model;
+        } catch (apiError) {
+            console.error(`${provider.name} API error:`, apiError);
+            aiResponse = PROVIDER_ERROR_REPLY;
+            providerName = 'fallback';
+            model = null;
+            citations = [];
+        }
+
+        const messageId = await saveChatExchange({
+            userId, subjectId, conversationId, message, clientMessageId, sentiment, aiResponse, provider: providerName, model, citations
+        });
 
         res.json({ 
             aiResponse, 
+            messageId,
+            conversationId,
             sentiment,
-            usingFallback 
+            mood: moodNotice(mood),
+            citations,
+            provider: providerName,
+            model,
+            usingFallback: providerName !== provider.name || !!provider.deterministic
         });
     } catch (error) {
-        console.error('Chat error:', error);
-        res.status(500).json({ error: 'An error occurred during chat processing.' });
+        if (res.headersSent) {
+            console.error('Chat error:', error);
+            return res.end();
+        }
+        // The same message arrived twice at once and the other request saved it first
+        if (error.code === 'SQLITE_CONSTRAINT' && clientMessageId) {
+            return answerRepeatedMessage(req, res, () => sendError(res, error, 'An error occurred during chat processing.', 'Chat error'));
+        }
+        sendError(res, error, 'An error occurred during chat processing.', 'Chat error');
     }
 });
 
-// Get Chat History
-app.get('/api/history/:userId', authenticateToken, async (req, res) => {
+// Get Chat History (?conversationId= limits it to one thread)
+app.get('/api/history/:userId', authenticateToken, authorizeUserParam(), async (req, res) => {
     const { userId } = req.params;
-    const { subject } = req.query;
+    const { subject, conversationId } = req.query;
     
     try {
         const db = await getDatabaseConnection();
         
-        const subjectRow = await db.get(
-            'SELECT id FROM Subjects WHERE name = ?',
-            [subject]
-        );
+        const subjectId = await findSubjectId(db, subject, userId);
         
-        if (!subjectRow) {
+        if (!subjectId) {
             return res.status(400).json({ error: 'Invalid subject.' });
         }
         
-        const history = await db.all(
-            `SELECT cm.id, cm.sender, cm.text, cm.timestamp 
-             FROM ChatMessages cm
-             WHERE cm.userId = ? AND cm.subjectId = ?
-             ORDER BY cm.timestamp ASC`,
-            [userId, subjectRow.id]
-        );
+        const history = await messages.listHistory(db, userId, subjectId, conversationId);
         
         res.json({ history });
     } catch (error) {
@@ -272,39 +508,62 @@ app.get('/api/history/:userId', authenticateToken, async (req, res) => {
 });
 
 // Get Mood Logs
-app.get('/api/moodlogs/:userId', authenticateToken, async (req, res) => {
+app.get('/api/moodlogs/:userId', authenticateToken, authorizeUserParam(), async (req, res) => {
     const { userId } = req.params;
     
     try {
         const db = await getDatabaseConnection();
         
-        const moodLogs = await db.all(
-            `SELECT ml.id, s.name as subject, ml.score, ml.magnitude, 
-                    ml.message, ml.timestamp
-             FROM MoodLogs ml
-             JOIN Subjects s ON ml.subjectId = s.id
-             WHERE ml.userId = ?
-             ORDER BY ml.timestamp DESC`,
-            [userId]
-        );
-        
-        res.json({ moodLogs });
+        res.json({ moodLogs: await moodLogs.listMoodLogs(db, userId) });
     } catch (error) {
         console.error('Mood logs error:', error);
         res.status(500).json({ error: 'Failed to fetch mood logs.' });
     }
 });
 
+// Subject catalog
+app.use('/api/subjects', subjectRoutes);
+
+// Conversation threads
+app.use('/api/conversations', conversationRoutes);
+
+// Saved messages and notes
+app.use('/api/messages', messageRoutes);
+app.use('/api/notes', noteRoutes);
+
+// Chat and note downloads
+app.use('/api/export', exportRoutes);
+
+// Full-text search over chats, notes and documents
+app.use('/api/search', searchRoutes);
+
+// Course Documents
+app.use('/api/documents', documentRoutes);
+
+// Quizzes
+app.use('/api/quizzes', quizRoutes);
+
+// Flashcards
+app.use('/api/flashcards', flashcardRoutes);
+
+// Progress Tracker
+app.use('/api/progress', progressRoutes);
+
+// Administration
+app.use('/api/admin', adminRoutes);
+
 // Health Check Endpoint
 app.get('/api/health', async (req, res) => {
     try {
         const db = await getDatabaseConnection();
-        await db.get('SELECT 1');
+        await get(db, 'SELECT 1');
         
         res.json({ 
             status: 'OK',
             database: 'SQLite',
-            openRouterConfigured: !!process.env.OPENROUTER_API_KEY
+            openRouterConfigured: !!process.env.OPENROUTER_API_KEY,
+            llmProvider: getProvider().name,
+            llmModel: getProvider().model
         });
     } catch (error) {
         res.status(500).json({ 
@@ -314,11 +573,13 @@ app.get('/api/health', async (req, res) => {
     }
 });
 
-// Start Server
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT}`);
-    console.log(`📊 Database: SQLite`);
-    console.log(`🤖 OpenRouter: ${process.env.OPENROUTER_API_KEY ? 'Configured' : 'Not configured'}`);
+// Start Server once the schema is up to date
+setupDatabase().then(() => {
+    app.listen(PORT, () => {
+        console.log(`🚀 Server running on http://localhost:${PORT}`);
+        console.log(`📊 Database: SQLite`);
+        console.log(`🤖 LLM provider: ${getProvider().name} (${getProvider().model})`);
+    });
 });
 
 // Graceful shutdown
@@ -0,0 +1,118 @@
+// server/sessions.js
+// Short-lived access tokens (JWT) backed by per-device sessions with
+// rotating refresh tokens. Refresh tokens are stored only as SHA-256 hashes.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { transaction } = require('./database');
+const { HttpError } = require('./errors');
+const sessions = require('./repositories/sessions');
+const { addAuditLog } = require('./repositories/auditLogs');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+// Short label for the session list, e.g. "Chrome on Windows"
+function describeDevice(userAgent = '') {
+    const browser = [
+        [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'],
+        [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari'], [/curl\//, 'curl']
+    ].find(([pattern]) => pattern.test(userAgent));
+    const os = [
+        [/Windows/, 'Windows'], [/Android/, 'Android'], [/iPhone|iPad/, 'iOS'],
+        [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']
+    ].find(([pattern]) => pattern.test(userAgent));
+
+    if (!browser && !os) return 'Unknown device';
+    return [browser?.[1], os?.[1]].filter(Boolean).join(' on ');
+}
+
+function issueTokens(userId, sessionId, refreshToken) {
+    const token = jwt.sign({ userId, sid: sessionId }, process.env.AUTH_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+    const { iat, exp } = jwt.decode(token);
+
+    return { token, refreshToken, expiresIn: exp - iat, sessionId };
+}
+
+/**
+ * Starts a session for a fresh login or signup and returns its tokens.
+ */
+async function startSession(userId, req) {
+    const refreshToken = newRefreshToken();
+    const userAgent = req.get('user-agent') || null;
+
+    const sessionId = await transaction(async (tx) => {
+        const id = await sessions.createSession(tx, {
+            userId,
+            userAgent,
+            device: describeDevice(userAgent || ''),
+            ip: req.ip,
+            days: REFRESH_TOKEN_DAYS
+        });
+        await sessions.addRefreshToken(tx, id, hashToken(refreshToken));
+        return id;
+    });
+
+    return issueTokens(userId, sessionId, refreshToken);
+}
+
+function isActive(session) {
+    return session && !session.revoked_at && Date.parse(`${session.expires_at.replace(' ', 'T')}Z`) > Date.now();
+}
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token.
+ * Presenting a token that was already exchanged revokes its whole session,
+ * since either the student or an attacker holds a stolen copy.
+ */
+async function refreshSession(db, refreshToken, req) {
+    const stored = refreshToken && await sessions.findRefreshToken(db, hashToken(refreshToken));
+    if (!stored) {
+        throw new HttpError('Invalid refresh token.', 401, 'invalid_refresh_token');
+    }
+
+    const session = await sessions.getSession(db, stored.sessionId);
+    if (!isActive(session)) {
+        throw new HttpError('Session has ended. Please log in again.', 401, 'session_revoked');
+    }
+
+    const next = newRefreshToken();
+    const rotated = !stored.rotated_at && await transaction(async (tx) => {
+        if (!await sessions.markRefreshTokenRotated(tx, stored.id)) return false;
+
+        await sessions.addRefreshToken(tx, session.id, hashToken(next));
+        await sessions.touchSession(tx, session.id, { ip: req.ip, days: REFRESH_TOKEN_DAYS });
+        return true;
+    });
+
+    if (!rotated) {
+        await sessions.revokeSession(db, session.id, 'refresh_token_reuse');
+        await addAuditLog(db, {
+            userId: session.userId,
+            action: 'refresh_token_reuse',
+            method: req.method,
+            path: req.originalUrl,
+            ip: req.ip,
+            details: { sessionId: session.id }
+        });
+        console.warn(`🚫 Refresh token reuse on session ${session.id}, session revoked`);
+        throw new HttpError('Session has ended. Please log in again.', 401, 'refresh_token_reused');
+    }
+
+    return issueTokens(session.userId, session.id, next);
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_DAYS,
+    startSession,
+    refreshSession,
+    isActive
+};
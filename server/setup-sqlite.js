@@ -0,0 +1,74 @@
+// server/setup-sqlite.js
+// Database CLI:
+//   node setup-sqlite.js [migrate] [--to N]   apply pending migrations and seeds
+//   node setup-sqlite.js rollback [steps]      revert the last migration(s)
+//   node setup-sqlite.js status                list applied and pending migrations
+//   node setup-sqlite.js seed                  (re)insert default reference data
+//   node setup-sqlite.js role <email> <role>   make a user a student, instructor or admin
+const { setupDatabase, getDatabaseConnection, helpers } = require('./database');
+const { migrate, rollback, status } = require('./migrate');
+const { seed } = require('./seeds');
+const { ROLES, findUserByEmail, setUserRole } = require('./repositories/users');
+
+async function printStatus(db) {
+    const report = await status(db, helpers);
+
+    console.log('\n📋 Migration status:');
+    report.forEach(m => {
+        const state = m.missing ? '❓ missing file' : m.applied ? `✅ applied ${m.appliedAt}` : '⏳ pending';
+        console.log(`  ${String(m.version).padStart(3, '0')}_${m.name}  ${state}`);
+    });
+}
+
+async function main([command = 'migrate', ...args]) {
+    switch (command) {
+        case 'migrate': {
+            const toIndex = args.indexOf('--to');
+            if (toIndex === -1) {
+                await setupDatabase();
+            } else {
+                const db = await getDatabaseConnection();
+                await migrate(db, helpers, { to: Number(args[toIndex + 1]) });
+            }
+            break;
+        }
+        case 'rollback': {
+            const steps = args[0] ? parseInt(args[0], 10) : 1;
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error('rollback expects a positive number of steps');
+            }
+            const reverted = await rollback(await getDatabaseConnection(), helpers, { steps });
+            if (!reverted.length) console.log('ℹ️ Nothing to roll back');
+            break;
+        }
+        case 'status':
+            await printStatus(await getDatabaseConnection());
+            break;
+        case 'seed':
+            await seed(await getDatabaseConnection(), helpers);
+            break;
+        case 'role': {
+            const [email, role] = args;
+            if (!ROLES.includes(role)) {
+                throw new Error(`role expects an email and one of: ${ROLES.join(', ')}`);
+            }
+            const db = await getDatabaseConnection();
+            const user = await findUserByEmail(db, email);
+            if (!user) throw new Error(`No user with email ${email}`);
+            await setUserRole(db, user.id, role);
+            console.log(`👤 ${email} is now ${role}`);
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${command}" (expected migrate, rollback, status, seed or role)`);
+    }
+}
+
+main(process.argv.slice(2))
+    .then(async () => {
+        (await getDatabaseConnection()).close();
+    })
+    .catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,38 @@
+// server/test/helpers.js
+// Points the server modules at a throwaway SQLite file. Require this before
+// anything that loads ../database, which reads DB_PATH once when it loads
+// (and leaves variables that are already set alone when it reads .env).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'study-buddy-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.AUTH_SECRET = 'test-secret';
+
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { setupDatabase } = require('../database');
+const users = require('../repositories/users');
+
+// Migrated and seeded, like a fresh install. Setup's progress logs are
+// silenced: on Node 20 they can corrupt the test runner's report stream.
+async function createTestDatabase() {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await setupDatabase();
+    } finally {
+        console.log = log;
+    }
+}
+
+// Resolves with the new user's id
+async function addUser(db, name = 'Student') {
+    return users.createUser(db, { name, email: `${name.toLowerCase()}-${Date.now()}@example.com`, passwordHash: 'x' });
+}
+
+module.exports = {
+    createTestDatabase,
+    addUser
+};
@@ -0,0 +1,55 @@
+// server/test/scheduler.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_EASE, schedule } = require('../flashcards/scheduler');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const NEW_CARD = { ease_factor: DEFAULT_EASE, interval_days: 0, repetitions: 0 };
+
+function review(card, grade) {
+    const next = schedule(card, grade, NOW);
+    return { ease_factor: next.easeFactor, interval_days: next.intervalDays, repetitions: next.repetitions, next };
+}
+
+test('good reviews step through 1 day, 6 days, then interval × ease', () => {
+    const first = review(NEW_CARD, 'good');
+    assert.equal(first.next.intervalDays, 1);
+    assert.equal(first.next.dueAt.toISOString(), '2026-03-02T12:00:00.000Z');
+
+    const second = review(first, 'good');
+    assert.equal(second.next.intervalDays, 6);
+
+    const third = review(second, 'good');
+    assert.equal(third.next.intervalDays, Math.round(6 * third.ease_factor));
+    assert.equal(third.next.repetitions, 3);
+});
+
+test('"good" keeps the ease, "easy" raises it and "hard" lowers it', () => {
+    assert.equal(schedule(NEW_CARD, 'good', NOW).easeFactor, DEFAULT_EASE);
+    assert.ok(schedule(NEW_CARD, 'easy', NOW).easeFactor > DEFAULT_EASE);
+    assert.ok(schedule(NEW_CARD, 'hard', NOW).easeFactor < DEFAULT_EASE);
+});
+
+test('"again" resets the card and brings it back in ten minutes', () => {
+    const card = { ease_factor: 2.5, interval_days: 20, repetitions: 4 };
+    const next = schedule(card, 'again', NOW);
+
+    assert.equal(next.repetitions, 0);
+    assert.equal(next.intervalDays, 0);
+    assert.equal(next.dueAt.getTime() - NOW.getTime(), 10 * 60 * 1000);
+});
+
+test('"hard" on a mature card grows the interval gently', () => {
+    const next = schedule({ ease_factor: 2.5, interval_days: 10, repetitions: 3 }, 'hard', NOW);
+    assert.equal(next.intervalDays, 12);
+});
+
+test('the ease never drops below 1.3', () => {
+    let card = { ease_factor: 1.4, interval_days: 0, repetitions: 0 };
+    for (let i = 0; i < 5; i++) card = review(card, 'again');
+    assert.equal(card.ease_factor, 1.3);
+});
+
+test('unknown grades are rejected', () => {
+    assert.throws(() => schedule(NEW_CARD, 'perfect', NOW), /Unknown grade "perfect"/);
+});
@@ -0,0 +1,69 @@
+// server/test/search.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, addUser } = require('./helpers');
+const messages = require('../repositories/messages');
+const { findSubjectId } = require('../repositories/subjects');
+const { toSearchQuery, search } = require('../search');
+
+let db;
+let userId;
+let subjectId;
+
+async function addText(text, owner = userId) {
+    return messages.addMessage(db, { userId: owner, subjectId, conversationId: null, sender: 'user', text });
+}
+
+async function snippetFor(query) {
+    const { results } = await search(db, userId, { query, types: ['message'] });
+    assert.equal(results.length, 1, `one result for ${query}`);
+    return results[0].snippet;
+}
+
+test.before(async () => {
+    db = await createTestDatabase();
+    userId = await addUser(db, 'Searcher');
+    subjectId = await findSubjectId(db, 'Quantum Physics');
+});
+
+test('toSearchQuery quotes words and phrases and keeps a trailing *', () => {
+    assert.equal(toSearchQuery('Wave function'), '"wave" "function"');
+    assert.equal(toSearchQuery('"wave function" collapse*'), '"wave function" "collapse"*');
+    assert.equal(toSearchQuery('NEAR(a b) OR -c'), '"near" "a" "b" "or" "c"');
+    assert.equal(toSearchQuery('  "" ** '), '');
+});
+
+test('matches are wrapped in <mark> and the rest is HTML-escaped', async () => {
+    await addText('Entanglement <script>alert(1)</script> & "spooky" action');
+
+    const snippet = await snippetFor('entanglement');
+    assert.match(snippet, /^<mark>Entanglement<\/mark> /);
+    assert.ok(snippet.includes('&#60;script&#62;alert(1)&#60;/script&#62; &#38; &#34;spooky&#34;'));
+    assert.ok(!snippet.includes('<script>'));
+});
+
+test('control characters in stored text cannot add or unbalance <mark> tags', async () => {
+    await addText('stray \u0003 markers \u0002 around superposition \u0003\u0003 here \u0002');
+
+    const snippet = await snippetFor('superposition');
+    assert.equal(snippet.match(/<mark>/g).length, 1);
+    assert.equal(snippet.match(/<\/mark>/g).length, 1);
+    assert.ok(!/[\u0002\u0003]/.test(snippet));
+    assert.ok(snippet.includes('<mark>superposition</mark>'));
+});
+
+test('literal <mark> tags in stored text are escaped', async () => {
+    await addText('the <mark>tunnelling</mark> effect');
+
+    const snippet = await snippetFor('tunnelling');
+    assert.ok(snippet.includes('&#60;mark&#62;<mark>tunnelling</mark>&#60;/mark&#62;'));
+});
+
+test("other users' messages are not searched", async () => {
+    const otherId = await addUser(db, 'Other');
+    await addText('decoherence belongs to someone else', otherId);
+
+    const { results, total } = await search(db, userId, { query: 'decoherence' });
+    assert.equal(total, 0);
+    assert.deepEqual(results, []);
+});
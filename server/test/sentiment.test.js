@@ -0,0 +1,58 @@
+// server/test/sentiment.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EMOTIONS, analyzeSentiment } = require('../sentiment');
+
+test('positive and negative words set the sign of the score', () => {
+    assert.ok(analyzeSentiment('This explanation is great, I love it').score > 0.3);
+    assert.ok(analyzeSentiment('This is awful and I hate it').score < -0.3);
+    assert.equal(analyzeSentiment('The cell has a nucleus').score, 0);
+});
+
+test('negation flips a word', () => {
+    assert.ok(analyzeSentiment('this is good').score > 0);
+    assert.ok(analyzeSentiment('this is not good').score < 0);
+    assert.ok(analyzeSentiment('this is not bad').score > 0);
+});
+
+test('intensifiers, capitals and exclamation marks strengthen the tone', () => {
+    const plain = analyzeSentiment('this is good').score;
+    assert.ok(analyzeSentiment('this is very good').score > plain);
+    assert.ok(analyzeSentiment('this is GOOD').score > plain);
+    assert.ok(analyzeSentiment('this is good!!!').score > plain);
+});
+
+test('emoji and emoticons count', () => {
+    assert.ok(analyzeSentiment('thanks 😊').score > 0);
+    assert.ok(analyzeSentiment('ok :(').score < 0);
+});
+
+test('spelled-out and contracted confusion read the same', () => {
+    const contracted = analyzeSentiment("I don't understand this").emotions.confusion;
+    assert.ok(contracted > 0.5);
+
+    for (const text of ['I do not understand this', 'I cannot understand this', "I can't understand this"]) {
+        const result = analyzeSentiment(text);
+        assert.equal(result.emotions.confusion, contracted, text);
+        assert.equal(result.dominantEmotion, 'confusion', text);
+    }
+    assert.ok(analyzeSentiment("sorry, I don't follow").emotions.confusion > 0.5);
+    assert.ok(analyzeSentiment('it does not make sense').emotions.confusion > 0.5);
+});
+
+test('negated emotion words are ignored', () => {
+    assert.equal(analyzeSentiment("I'm not confused anymore").emotions.confusion, 0);
+});
+
+test('every emotion is reported between 0 and 1, with no dominant one for neutral text', () => {
+    const result = analyzeSentiment('The mitochondria is the powerhouse of the cell.');
+    assert.deepEqual(Object.keys(result.emotions), EMOTIONS);
+    Object.values(result.emotions).forEach(level => assert.ok(level >= 0 && level <= 1));
+    assert.equal(result.dominantEmotion, null);
+});
+
+test('frustration is detected', () => {
+    const result = analyzeSentiment('Ugh, I give up, this is so frustrating!!');
+    assert.equal(result.dominantEmotion, 'frustration');
+    assert.ok(result.score < 0);
+});
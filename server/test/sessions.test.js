@@ -0,0 +1,78 @@
+// server/test/sessions.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { createTestDatabase, addUser } = require('./helpers');
+const { getSession } = require('../repositories/sessions');
+const { listAuditLogs } = require('../repositories/auditLogs');
+const { startSession, refreshSession, isActive } = require('../sessions');
+
+let db;
+let userId;
+
+// Just enough of an Express request for the session code
+const request = {
+    method: 'POST',
+    originalUrl: '/api/token/refresh',
+    ip: '127.0.0.1',
+    get: () => 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0'
+};
+
+test.before(async () => {
+    db = await createTestDatabase();
+    userId = await addUser(db, 'Rotator');
+});
+
+test('a new session records the device and issues a token for it', async () => {
+    const tokens = await startSession(userId, request);
+    const payload = jwt.verify(tokens.token, process.env.AUTH_SECRET);
+
+    assert.equal(payload.userId, userId);
+    assert.equal(payload.sid, tokens.sessionId);
+    assert.ok(tokens.refreshToken);
+
+    const session = await getSession(db, tokens.sessionId);
+    assert.equal(session.device, 'Firefox on Linux');
+    assert.ok(isActive(session));
+});
+
+test('refreshing rotates the refresh token within the same session', async () => {
+    const first = await startSession(userId, request);
+    const second = await refreshSession(db, first.refreshToken, request);
+    const third = await refreshSession(db, second.refreshToken, request);
+
+    assert.equal(second.sessionId, first.sessionId);
+    assert.equal(third.sessionId, first.sessionId);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.notEqual(third.refreshToken, second.refreshToken);
+    assert.equal(jwt.verify(third.token, process.env.AUTH_SECRET).sid, first.sessionId);
+});
+
+test('reusing a rotated refresh token revokes the session and is audited', async () => {
+    const first = await startSession(userId, request);
+    const second = await refreshSession(db, first.refreshToken, request);
+
+    await assert.rejects(refreshSession(db, first.refreshToken, request), { status: 401, code: 'refresh_token_reused' });
+
+    const session = await getSession(db, first.sessionId);
+    assert.equal(session.revoked_reason, 'refresh_token_reuse');
+    assert.ok(!isActive(session));
+
+    // The newest token dies with the session
+    await assert.rejects(refreshSession(db, second.refreshToken, request), { status: 401, code: 'session_revoked' });
+
+    const logs = await listAuditLogs(db, { userId });
+    const entry = logs.find(log => log.action === 'refresh_token_reuse');
+    assert.deepEqual(JSON.parse(entry.details), { sessionId: first.sessionId });
+});
+
+test('unknown refresh tokens are rejected', async () => {
+    await assert.rejects(refreshSession(db, 'not-a-real-token', request), { status: 401, code: 'invalid_refresh_token' });
+    await assert.rejects(refreshSession(db, undefined, request), { status: 401, code: 'invalid_refresh_token' });
+});
+
+test('expired sessions are not active', () => {
+    assert.ok(!isActive({ revoked_at: null, expires_at: '2000-01-01 00:00:00' }));
+    assert.ok(isActive({ revoked_at: null, expires_at: '2999-01-01 00:00:00' }));
+    assert.ok(!isActive(undefined));
+});
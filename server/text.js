@@ -0,0 +1,58 @@
+// server/text.js
+// Small text helpers for offline quiz/flashcard generation and keyword grading.
+
+const STOPWORDS = new Set([
+    'about', 'above', 'after', 'again', 'also', 'because', 'been', 'before', 'being', 'between',
+    'both', 'could', 'does', 'doing', 'during', 'each', 'from', 'further', 'have', 'having',
+    'here', 'into', 'itself', 'just', 'more', 'most', 'only', 'other', 'over', 'same', 'should',
+    'some', 'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+    'those', 'through', 'under', 'until', 'very', 'what', 'when', 'where', 'which', 'while',
+    'will', 'with', 'would', 'your'
+]);
+
+function normalize(text) {
+    return String(text ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function contentWords(text) {
+    return (normalize(text).match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => word.length > 3 && !STOPWORDS.has(word));
+}
+
+// Very light stemming so "electrons" matches "electron" when grading
+function stem(word) {
+    return word.replace(/(ing|ed|es|s)$/, '');
+}
+
+function splitSentences(text) {
+    return (text.replace(/\s+/g, ' ').match(/[^.!?]+[.!?]+/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.split(' ').length >= 6 && sentence.length <= 300);
+}
+
+// Picks the most specific word of a sentence to blank out
+function pickKeyword(sentence) {
+    return contentWords(sentence)
+        .filter(word => !word.endsWith('ly'))
+        .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+// Replaces the first whole-word, case-insensitive `keyword` (matched literally, so "C++" or "f(x)" are fine)
+function replaceKeyword(sentence, keyword, replacement) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return sentence.replace(new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu'), () => replacement);
+}
+
+function blankOut(sentence, keyword) {
+    return replaceKeyword(sentence, keyword, '_____');
+}
+
+module.exports = {
+    normalize,
+    contentWords,
+    stem,
+    splitSentences,
+    pickKeyword,
+    replaceKeyword,
+    blankOut
+};
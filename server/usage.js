@@ -0,0 +1,139 @@
+// server/usage.js
+// Records model token usage per user and enforces daily and monthly quotas.
+//
+//   AI_DAILY_TOKEN_QUOTA    tokens per user per UTC day (default 50000, 0 = unlimited)
+//   AI_MONTHLY_TOKEN_QUOTA  tokens per user per UTC month (default 1000000, 0 = unlimited)
+const { getDatabaseConnection } = require('./database');
+const { HttpError } = require('./errors');
+const { estimateTokens } = require('./memory');
+const usage = require('./repositories/usage');
+
+function quotaLimit(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+const QUOTAS = {
+    daily: quotaLimit(process.env.AI_DAILY_TOKEN_QUOTA, 50000),
+    monthly: quotaLimit(process.env.AI_MONTHLY_TOKEN_QUOTA, 1000000)
+};
+
+function toSqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Start and end (exclusive) of the current quota window, in UTC
+function quotaWindow(period, now = new Date()) {
+    const start = period === 'daily'
+        ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const end = period === 'daily'
+        ? new Date(start.getTime() + 86400000)
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+    return { start, end };
+}
+
+/**
+ * The user's allowance for each period:
+ * `{ daily: { limit, used, remaining, resetsAt }, monthly: {...} }`.
+ * `limit` and `remaining` are null when the period is unlimited.
+ */
+async function getAllowance(db, user) {
+    const unlimited = user.role === 'admin';
+    const allowance = {};
+
+    for (const period of Object.keys(QUOTAS)) {
+        const { start, end } = quotaWindow(period);
+        const used = await usage.sumUsageSince(db, user.userId, toSqlTimestamp(start));
+        const limit = unlimited || !QUOTAS[period] ? null : QUOTAS[period];
+
+        allowance[period] = {
+            limit,
+            used,
+            remaining: limit === null ? null : Math.max(0, limit - used),
+            resetsAt: end.toISOString()
+        };
+    }
+    return allowance;
+}
+
+// Throws a 429 HttpError (with retryAfter in seconds) when any quota is used up
+async function checkQuota(db, user) {
+    const allowance = await getAllowance(db, user);
+
+    for (const [period, entry] of Object.entries(allowance)) {
+        if (entry.remaining === 0) {
+            const error = new HttpError(
+                `You've used your ${period} AI allowance of ${entry.limit} tokens. It resets at ${entry.resetsAt}.`,
+                429,
+                'quota_exceeded'
+            );
+            error.retryAfter = Math.max(1, Math.ceil((Date.parse(entry.resetsAt) - Date.now()) / 1000));
+            error.details = { period, ...entry };
+            throw error;
+        }
+    }
+}
+
+async function recordUsage({ userId, feature, provider, messages, result }) {
+    const estimated = !result.usage?.prompt_tokens && !result.usage?.completion_tokens;
+    const promptTokens = estimated
+        ? messages.reduce((total, message) => total + estimateTokens(message.content), 0)
+        : result.usage.prompt_tokens || 0;
+    const completionTokens = estimated ? estimateTokens(result.content) : result.usage.completion_tokens || 0;
+
+    try {
+        const db = await getDatabaseConnection();
+        await usage.addUsage(db, {
+            userId, feature, provider: provider.name, model: result.model || provider.model,
+            promptTokens, completionTokens, estimated
+        });
+    } catch (error) {
+        console.error('Usage record error:', error);
+    }
+}
+
+/**
+ * Wraps a provider so every completion is recorded against `userId`.
+ * Streams that fail or are aborted part-way still record what was generated.
+ */
+function meteredProvider(provider, { userId, feature }) {
+    return {
+        ...provider,
+
+        async complete(messages, options) {
+            const result = await provider.complete(messages, options);
+            await recordUsage({ userId, feature, provider, messages, result });
+            return result;
+        },
+
+        async stream(messages, { onToken, ...options } = {}) {
+            let streamed = '';
+
+            try {
+                const result = await provider.stream(messages, {
+                    ...options,
+                    onToken: (token) => {
+                        streamed += token;
+                        onToken(token);
+                    }
+                });
+                await recordUsage({ userId, feature, provider, messages, result });
+                return result;
+            } catch (error) {
+                if (streamed) {
+                    await recordUsage({ userId, feature, provider, messages, result: { content: streamed, usage: null } });
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = {
+    QUOTAS,
+    getAllowance,
+    checkQuota,
+    meteredProvider
+};